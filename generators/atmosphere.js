@@ -1,5 +1,6 @@
 
 import { isInHabitableZone } from './orbit.js';
+import { random } from './random.js';
 // Define the base atmosphere types and the logic to choose one
 const atmospheres = {
     'trace': ['trace'],
@@ -12,7 +13,7 @@ const atmospheres = {
 };
 
 // Helper function to select a random atmosphere from a list
-const randomAtmosphere = (types) => types[Math.floor(Math.random() * types.length)];
+const randomAtmosphere = (types) => types[Math.floor(random() * types.length)];
 
 // Exported function to determine atmosphere based on planet type and other conditions
 export function getPlanetAtmosphere(planetType, orbitRadius, habitableZone) {
@@ -131,11 +132,56 @@ const baseAtmosphereComposition = {
     }
 };
 
+// Molar mass (g/mol) and refractivity (n - 1 at 0 °C and 1 atm, visible light) of each gas;
+// refractivity sets how strongly the gas Rayleigh-scatters
+export const gasProperties = {
+    'H2': { molarMass: 2.016, refractivity: 1.32e-4 },
+    'He': { molarMass: 4.003, refractivity: 0.35e-4 },
+    'N2': { molarMass: 28.014, refractivity: 2.98e-4 },
+    'O2': { molarMass: 31.998, refractivity: 2.71e-4 },
+    'Ar': { molarMass: 39.948, refractivity: 2.81e-4 },
+    'CO2': { molarMass: 44.01, refractivity: 4.49e-4 },
+    'CO': { molarMass: 28.01, refractivity: 3.38e-4 },
+    'CH4': { molarMass: 16.043, refractivity: 4.44e-4 },
+    'NH3': { molarMass: 17.031, refractivity: 3.76e-4 },
+    'H2O': { molarMass: 18.015, refractivity: 2.56e-4 },
+    'SO2': { molarMass: 64.066, refractivity: 6.86e-4 },
+    'HCN': { molarMass: 27.025, refractivity: 4.3e-4 },
+    'C2H2': { molarMass: 26.038, refractivity: 6.1e-4 },
+    'Na': { molarMass: 22.99, refractivity: 0 } // atomic vapour; scatters only at its own lines
+};
+
 // Function to get base composition
 export function getBaseComposition(atmosphereType) {
     return baseAtmosphereComposition[atmosphereType] || {};
 }
 
+// Mole fractions of the gases we have data for, normalised to sum to 1
+export function getMoleFractions(atmosphereType) {
+    const composition = getBaseComposition(atmosphereType);
+    const known = Object.entries(composition).filter(([gas]) => gasProperties[gas]);
+    const total = known.reduce((sum, [, percentage]) => sum + percentage, 0);
+    const fractions = {};
+    known.forEach(([gas, percentage]) => {
+        fractions[gas] = percentage / total;
+    });
+    return fractions;
+}
+
+// Mean molecular weight in g/mol; an empty or unknown mix falls back to Earth air
+export function getMeanMolecularWeight(atmosphereType) {
+    return meanMolecularWeight(getMoleFractions(atmosphereType));
+}
+
+// Same, for any set of mole fractions (e.g. an atmosphere part way through its evolution)
+export function meanMolecularWeight(moleFractions) {
+    const fractions = Object.entries(moleFractions);
+    if (fractions.length === 0) {
+        return 28.97;
+    }
+    return fractions.reduce((sum, [gas, fraction]) => sum + gasProperties[gas].molarMass * fraction, 0);
+}
+
 // A function that could apply adjustments to the base composition
 function applyAdjustments(baseComposition) {
     // Placeholder for potential adjustments
@@ -161,86 +207,4 @@ function applyAdjustments(baseComposition) {
     return displayData;
   }
   
-  export function calculateSurfaceTemperature(starLuminosity, starTemperature, orbitRadiusAU, planetRadius, atmosphereType) {
-    const STEFAN_BOLTZMANN_CONSTANT = 5.67e-8;
-    const SOLAR_LUMINOSITY_IN_WATTS = 3.828e26; // Watts
-    const AU_IN_METERS = 1.496e11;
-    const EARTH_RADIUS_IN_METERS = 6371e3; // Earth radius in meters for scale
-    const SOLAR_TEMPERATURE = 5778; // Kelvin, for the Sun
-
-
-    let adjustedStarLuminosity = starLuminosity * SOLAR_LUMINOSITY_IN_WATTS;
-
-    let temperatureEffectFactor = Math.pow(starTemperature / SOLAR_TEMPERATURE, 4);
-
-    let distanceFromStarInMeters = orbitRadiusAU * AU_IN_METERS;
-
-    let effectiveTemperature = Math.pow(
-        (adjustedStarLuminosity * temperatureEffectFactor * (1 - getPlanetAlbedo(atmosphereType))) /
-        (16 * Math.PI * Math.pow(distanceFromStarInMeters, 2) * STEFAN_BOLTZMANN_CONSTANT),
-        0.25
-    );
-
-    let greenhouseFactor = calculateGreenhouseFactor(atmosphereType);
-    let surfaceTemperature = effectiveTemperature * greenhouseFactor;
-
-    let sizeEffect = calculateSizeEffect(planetRadius);
-    surfaceTemperature *= sizeEffect;
-
-    return surfaceTemperature - 273.15; // Convert from Kelvin to Celsius for readability
-}
-
-
-function getPlanetAlbedo(atmosphereType) {
-    // Adjust albedo based on atmosphere type; different atmospheres reflect sunlight differently
-    const albedoAdjustments = {
-        'trace': 0.11,
-        'carbon_dioxide_type_I': 0.25,
-        'carbon_dioxide_type_II': 0.29,
-        'hydrogen_helium_type_I': 0.20,
-        'hydrogen_helium_type_II': 0.20,
-        'hydrogen_helium_type_III': 0.25,
-        'ice_type_I': 0.50,
-        'ice_type_II': 0.50,
-        'nitrogen_type_I': 0.30,
-        'nitrogen_type_II': 0.30,
-        'nitrogen_type_III': 0.20,
-        'carbon_type_1': 0.30,
-        'ammonia_type_1': 0.30,
-        // Add more types as needed
-    };
-    return albedoAdjustments[atmosphereType] || 0.3; // Default to Earth-like albedo if unknown
-}
-
-function calculateGreenhouseFactor(atmosphereType) {
-    // Refine greenhouse factor based on atmosphere composition
-    const greenhouseAdjustments = {
-        'trace': 1.0,
-        'carbon_dioxide_type_I': 1.25,
-        'carbon_dioxide_type_II': 1.30,
-        'hydrogen_helium_type_I': 1.10,
-        'hydrogen_helium_type_II': 1.10,
-        'hydrogen_helium_type_III': 1.40,
-        'ice_type_I': 1.20,
-        'ice_type_II': 1.17,
-        'nitrogen_type_I': 1.10,
-        'nitrogen_type_II': 1.10,
-        'nitrogen_type_III': 1.20,
-        'carbon_type_1': 1.50,
-        'ammonia_type_1': 1.40,
-    };
-    return greenhouseAdjustments[atmosphereType] || 1.1; // Default factor if unknown
-}
-
-function calculateSizeEffect(planetRadiusEarthUnits) {
-    // Larger planets might have thicker atmospheres and retain heat more effectively
-    if (planetRadiusEarthUnits < 1) {
-        return 0.95; // Smaller planets lose heat more easily
-    } else if (planetRadiusEarthUnits > 1 && planetRadiusEarthUnits < 2) {
-        return 1.05; // Moderate increase for slightly larger planets
-    } else {
-        return 1.1; // Significant heat retention for much larger planets
-    }
-}
-
   export { getAtmosphereDetailsForDisplay };
\ No newline at end of file
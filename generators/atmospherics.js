@@ -0,0 +1,123 @@
+import { getMoleFractions, meanMolecularWeight, gasProperties } from './atmosphere.js';
+
+// Bulk physics of an atmosphere: how much air a planet holds, how fast it thins with height and
+// which gases it can keep
+
+const EARTH_RADIUS_KM = 6378;
+const EARTH_MASS_KG = 5.972e24;
+const EARTH_GRAVITY = 9.81;           // m/s^2
+const EARTH_AIR_DENSITY = 1.225;      // kg/m^3 at sea level
+const GRAVITATIONAL_CONSTANT = 6.674e-11;
+const BOLTZMANN = 1.380649e-23;       // J/K
+const GAS_CONSTANT = 8.314;           // J/(mol K)
+const ATOMIC_MASS_UNIT = 1.66054e-27; // kg
+const PASCALS_PER_BAR = 1e5;
+
+// Bulk density relative to Earth's, which with the radius fixes mass and gravity
+const densityByPlanetType = {
+    'Terrestrial': 1,
+    'Lava Planet': 1,
+    'Ocean World': 0.7,  // a thick layer of water and ice
+    'Gas Giant': 0.24,   // Jupiter
+    'Ice Giant': 0.3,    // Neptune
+    'Dwarf Planet': 0.35 // Pluto
+};
+
+// Share of the planet's mass held in its atmosphere. Pressure goes as this fraction times mass times
+// gravity over area, so bigger worlds of the same kind end up with thicker air
+const atmosphereMassFractions = {
+    'trace': 1e-15,
+    'carbon_dioxide_type_I': 4e-8,   // Mars
+    'carbon_dioxide_type_II': 1e-4,  // Venus
+    'nitrogen_type_I': 2e-6,         // a Titan-like smoggy envelope, about 1.5 bar on an ocean world
+    'nitrogen_type_II': 2e-9,        // Triton
+    'nitrogen_type_III': 8.6e-7,     // Earth
+    'carbon_type_I': 3e-6,
+    'ammonia_type_I': 2e-6
+};
+// Giants have no surface, so their figures are quoted at the 1 bar level, as for Jupiter
+const GIANT_REFERENCE_PRESSURE = 1; // bar
+
+// The exobase, where molecules stop colliding and the fast ones leave, sits well above the surface
+// and is heated by the star's ultraviolet; Earth's runs at about 3.5 times its surface temperature
+const EXOBASE_HEATING = 3.5;
+// Jeans parameter (escape energy over thermal energy) below which a gas is lost, quickly or over aeons
+const escapeRegimes = [
+    { maxJeans: 2, label: 'Hydrodynamic escape' },
+    { maxJeans: 15, label: 'Rapid loss' },
+    { maxJeans: 40, label: 'Slow loss' },
+    { maxJeans: Infinity, label: 'Retained' }
+];
+
+// Mass in Earth masses and surface gravity in g, from the radius in Earth radii
+function calculateBulkProperties(planetType, planetSize) {
+    const density = densityByPlanetType[planetType] || 1;
+    const mass = density * Math.pow(planetSize, 3);
+    return {
+        mass: mass,
+        gravity: mass / (planetSize * planetSize)
+    };
+}
+
+// Surface pressure in bar: the weight of the atmosphere's mass spread over the planet's surface
+function calculateSurfacePressure(planetType, planetSize, atmosphere) {
+    if (planetType === 'Gas Giant' || planetType === 'Ice Giant') {
+        return GIANT_REFERENCE_PRESSURE;
+    }
+    const { mass, gravity } = calculateBulkProperties(planetType, planetSize);
+    const radius = planetSize * EARTH_RADIUS_KM * 1000;
+    const atmosphereMass = (atmosphereMassFractions[atmosphere] || 0) * mass * EARTH_MASS_KG;
+    return atmosphereMass * gravity * EARTH_GRAVITY / (4 * Math.PI * radius * radius) / PASCALS_PER_BAR;
+}
+
+// `surfaceTemperature` in °C. An evolved atmosphere (see evolution.js) brings its own pressure and mix;
+// otherwise both follow from the atmosphere type
+function calculateAtmospherePhysics({ planetType, planetSize, atmosphere, surfaceTemperature, surfacePressure = null, moleFractions = null }) {
+    const { mass, gravity } = calculateBulkProperties(planetType, planetSize);
+    const fractions = moleFractions || getMoleFractions(atmosphere);
+    surfacePressure = surfacePressure !== null ? surfacePressure : calculateSurfacePressure(planetType, planetSize, atmosphere);
+    const molarMass = meanMolecularWeight(fractions);
+    const temperature = Math.max(surfaceTemperature + 273.15, 10);
+    const g = gravity * EARTH_GRAVITY;
+    const radius = planetSize * EARTH_RADIUS_KM * 1000;
+
+    const escapeVelocity = Math.sqrt(2 * GRAVITATIONAL_CONSTANT * mass * EARTH_MASS_KG / radius);
+    const exobaseTemperature = temperature * EXOBASE_HEATING;
+    const jeansParameter = moleculeMass => escapeVelocity * escapeVelocity * moleculeMass * ATOMIC_MASS_UNIT / (2 * BOLTZMANN * exobaseTemperature);
+
+    const surfaceDensity = surfacePressure * PASCALS_PER_BAR * molarMass / 1000 / (GAS_CONSTANT * temperature);
+    const gases = Object.entries(fractions).map(([gas, fraction]) => {
+        const jeans = jeansParameter(gasProperties[gas].molarMass);
+        return {
+            gas: gas,
+            fraction: fraction,
+            partialPressure: surfacePressure * fraction,
+            jeansParameter: jeans,
+            escape: escapeRegime(jeans)
+        };
+    });
+    const bulkJeans = jeansParameter(molarMass);
+
+    return {
+        mass: mass,
+        gravity: gravity,
+        escapeVelocity: escapeVelocity / 1000, // km/s
+        surfacePressure: surfacePressure,
+        meanMolecularWeight: molarMass,
+        // H = kT / mg: the height over which pressure falls by a factor of e
+        scaleHeight: BOLTZMANN * temperature / (molarMass * ATOMIC_MASS_UNIT * g) / 1000, // km
+        surfaceDensity: surfaceDensity,
+        relativeDensity: surfaceDensity / EARTH_AIR_DENSITY,
+        columnMass: surfacePressure * PASCALS_PER_BAR / g, // kg/m^2
+        exobaseTemperature: exobaseTemperature,
+        jeansParameter: bulkJeans,
+        escapeLikelihood: escapeRegime(bulkJeans),
+        gases: gases
+    };
+}
+
+function escapeRegime(jeansParameter) {
+    return escapeRegimes.find(regime => jeansParameter < regime.maxJeans).label;
+}
+
+export { calculateAtmospherePhysics, calculateSurfacePressure, calculateBulkProperties };
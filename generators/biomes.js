@@ -0,0 +1,271 @@
+import { sampleClimate } from './climate.js';
+import { cellToLatLon } from './terrain.js';
+import { SEA_ICE_TEMPERATURE } from './oceans.js';
+import { mixColors, tint } from './color.js';
+
+// Every biome a planet can have; the grid stores indices into BIOME_KEYS
+const BIOMES = {
+    // Water worlds (Whittaker diagram plus coasts and seas)
+    'deep_ocean': { name: 'Deep Ocean', color: [16, 40, 96] },
+    'ocean_shelf': { name: 'Ocean Shelf', color: [36, 88, 150] },
+    'sea_ice': { name: 'Sea Ice', color: [214, 228, 240] },
+    'beach': { name: 'Beach', color: [214, 198, 146] },
+    'ice_sheet': { name: 'Ice Sheet', color: [240, 244, 250] },
+    'tundra': { name: 'Tundra', color: [148, 152, 128] },
+    'taiga': { name: 'Taiga', color: [52, 88, 64] },
+    'cold_desert': { name: 'Cold Desert', color: [170, 160, 136] },
+    'grassland': { name: 'Temperate Grassland', color: [146, 164, 84] },
+    'temperate_forest': { name: 'Temperate Forest', color: [60, 112, 52] },
+    'temperate_rainforest': { name: 'Temperate Rainforest', color: [36, 92, 56] },
+    'desert': { name: 'Desert', color: [218, 188, 124] },
+    'savanna': { name: 'Savanna', color: [176, 166, 80] },
+    'tropical_seasonal_forest': { name: 'Tropical Seasonal Forest', color: [88, 128, 40] },
+    'rainforest': { name: 'Tropical Rainforest', color: [24, 96, 32] },
+    'alpine': { name: 'Alpine', color: [128, 120, 112] },
+    'scorched_desert': { name: 'Scorched Desert', color: [168, 112, 72] },
+
+    // Lava worlds
+    'magma_ocean': { name: 'Magma Ocean', color: [255, 96, 16] },
+    'lava_field': { name: 'Lava Field', color: [200, 56, 16] },
+    'basalt_plain': { name: 'Basalt Plain', color: [52, 44, 44] },
+    'ash_desert': { name: 'Ash Desert', color: [96, 88, 84] },
+    'sulfur_flat': { name: 'Sulfur Flat', color: [204, 188, 64] },
+    'obsidian_ridge': { name: 'Obsidian Ridge', color: [24, 20, 28] },
+
+    // Ice worlds
+    'nitrogen_glacier': { name: 'Nitrogen Glacier', color: [230, 226, 214] },
+    'water_ice_plain': { name: 'Water Ice Plain', color: [200, 212, 224] },
+    'methane_frost': { name: 'Methane Frost', color: [222, 200, 190] },
+    'tholin_dunes': { name: 'Tholin Dunes', color: [150, 92, 60] },
+    'cryovolcanic_field': { name: 'Cryovolcanic Field', color: [168, 196, 208] },
+
+    // Airless rock
+    'dust_basin': { name: 'Dust Basin', color: [96, 92, 88] },
+    'regolith_plain': { name: 'Regolith Plain', color: [132, 128, 124] },
+    'crater_highland': { name: 'Crater Highland', color: [164, 160, 154] }
+};
+
+// How a planet's palette (see color.js) shows through its biomes: land leans this far toward the
+// matching band of the surface ramp, lowlands to the low end and highlands to the high
+const PALETTE_BLEND = 0.35;
+const LOWLAND_BIOMES = ['beach', 'cold_desert', 'desert', 'scorched_desert', 'ash_desert', 'sulfur_flat', 'tholin_dunes', 'dust_basin'];
+const HIGHLAND_BIOMES = ['alpine', 'obsidian_ridge', 'cryovolcanic_field', 'crater_highland'];
+// Ice looks like ice whatever the rock beneath, so it only takes the star's light
+const ICE_BIOMES = ['sea_ice', 'ice_sheet', 'nitrogen_glacier', 'water_ice_plain', 'methane_frost'];
+
+const BIOME_KEYS = Object.keys(BIOMES);
+const BIOME_INDEX = Object.fromEntries(BIOME_KEYS.map((key, i) => [key, i]));
+
+// Giants have no surface to classify
+const biomeSetsByType = {
+    'Terrestrial': 'temperate',
+    'Ocean World': 'temperate',
+    'Lava Planet': 'volcanic',
+    'Dwarf Planet': 'barren'
+};
+
+function getBiomeSet(planetType, climate) {
+    const biomeSet = biomeSetsByType[planetType] || null;
+    if (biomeSet === 'barren' && climate.globalTemperature < -100) {
+        return 'cryogenic';
+    }
+    return biomeSet;
+}
+
+// Elevations are in km relative to sea level, temperature in C, precipitation in mm/year
+function classifyBiome(biomeSet, elevation, temperature, precipitation) {
+    switch (biomeSet) {
+        case 'temperate':
+            return classifyTemperate(elevation, temperature, precipitation);
+        case 'volcanic':
+            return classifyVolcanic(elevation, temperature);
+        case 'cryogenic':
+            return classifyCryogenic(elevation, temperature);
+        default:
+            return classifyBarren(elevation);
+    }
+}
+
+function classifyTemperate(elevation, temperature, precipitation) {
+    if (elevation < 0) {
+        if (temperature < SEA_ICE_TEMPERATURE) {
+            return 'sea_ice';
+        }
+        return elevation < -1 ? 'deep_ocean' : 'ocean_shelf';
+    }
+
+    if (temperature < -10) {
+        return 'ice_sheet';
+    }
+    if (temperature > 50) {
+        return 'scorched_desert';
+    }
+    if (elevation > 3.5) {
+        return 'alpine';
+    }
+    if (elevation < 0.05 && temperature > 0) {
+        return 'beach';
+    }
+
+    if (temperature < -3) {
+        return 'tundra';
+    } else if (temperature < 5) {
+        return precipitation < 250 ? 'cold_desert' : 'taiga';
+    } else if (temperature < 20) {
+        if (precipitation < 300) {
+            return 'desert';
+        } else if (precipitation < 1000) {
+            return 'grassland';
+        } else if (precipitation < 2000) {
+            return 'temperate_forest';
+        }
+        return 'temperate_rainforest';
+    }
+
+    if (precipitation < 400) {
+        return 'desert';
+    } else if (precipitation < 1500) {
+        return 'savanna';
+    } else if (precipitation < 2500) {
+        return 'tropical_seasonal_forest';
+    }
+    return 'rainforest';
+}
+
+function classifyVolcanic(elevation, temperature) {
+    if (elevation < -1) {
+        return 'magma_ocean';
+    } else if (elevation < 0.5) {
+        return temperature > 400 ? 'lava_field' : 'basalt_plain';
+    } else if (elevation < 2) {
+        return temperature > 250 ? 'sulfur_flat' : 'ash_desert';
+    }
+    return 'obsidian_ridge';
+}
+
+function classifyCryogenic(elevation, temperature) {
+    if (elevation < -1) {
+        return 'nitrogen_glacier'; // volatile ices pool in the basins, like Sputnik Planitia
+    } else if (elevation < 1) {
+        return temperature < -200 ? 'methane_frost' : 'water_ice_plain';
+    } else if (elevation < 2) {
+        return 'tholin_dunes';
+    }
+    return 'cryovolcanic_field';
+}
+
+function classifyBarren(elevation) {
+    if (elevation < -1) {
+        return 'dust_basin';
+    } else if (elevation < 1.5) {
+        return 'regolith_plain';
+    }
+    return 'crater_highland';
+}
+
+function generateBiomeGrid(planetType, heightmap, climate, seaLevel = 0) {
+    const biomeSet = getBiomeSet(planetType, climate);
+    if (!biomeSet) {
+        return null;
+    }
+
+    const { width, height } = heightmap;
+    const data = new Uint8Array(width * height);
+    const coverage = {};
+    let totalWeight = 0;
+
+    for (let j = 0; j < height; j++) {
+        const { lat } = cellToLatLon(0, j, width, height);
+        const { temperature, precipitation } = sampleClimate(climate, lat);
+        const weight = Math.cos(lat * Math.PI / 180);
+
+        for (let i = 0; i < width; i++) {
+            const elevation = heightmap.data[j * width + i] - seaLevel;
+
+            // Air cools ~6.5 C per km of altitude and mountains wring out extra rain
+            const localTemperature = temperature - 6.5 * Math.max(elevation, 0);
+            const localPrecipitation = precipitation * (1 + 0.3 * Math.min(Math.max(elevation, 0), 3));
+
+            const biome = classifyBiome(biomeSet, elevation, localTemperature, localPrecipitation);
+            data[j * width + i] = BIOME_INDEX[biome];
+            coverage[biome] = (coverage[biome] || 0) + weight;
+            totalWeight += weight;
+        }
+    }
+
+    Object.keys(coverage).forEach(biome => {
+        coverage[biome] /= totalWeight;
+    });
+
+    return { width, height, data, biomeSet, coverage };
+}
+
+function getBiomeAt(biomeGrid, i, j) {
+    return BIOME_KEYS[biomeGrid.data[j * biomeGrid.width + i]];
+}
+
+// A biome's colour on a planet with this palette: seas take the palette's ocean colours and molten
+// ground its lava glow, while the rest keeps its own hue under the star's light
+function biomeColor(biome, palette) {
+    const color = BIOMES[biome].color;
+    if (!palette) {
+        return color;
+    } else if (biome === 'deep_ocean') {
+        return palette.ocean.deep;
+    } else if (biome === 'ocean_shelf') {
+        return palette.ocean.shallow;
+    } else if ((biome === 'magma_ocean' || biome === 'lava_field') && palette.surface.glow) {
+        return mixColors(color, palette.surface.glow, biome === 'magma_ocean' ? 1 : 0.5);
+    } else if (ICE_BIOMES.includes(biome)) {
+        return tint(color, palette.light);
+    }
+
+    const band = LOWLAND_BIOMES.includes(biome) ? 'low' : (HIGHLAND_BIOMES.includes(biome) ? 'high' : 'mid');
+    return mixColors(tint(color, palette.light), palette.surface[band], PALETTE_BLEND);
+}
+
+// RGBA pixels for the diffuse map, with a little hill shading from the heightmap. Without a palette
+// the biomes keep their reference colours
+function renderBiomeImage(biomeGrid, heightmap, palette = null) {
+    const { width, height } = biomeGrid;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const colors = BIOME_KEYS.map(biome => biomeColor(biome, palette));
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const index = j * width + i;
+            const color = colors[biomeGrid.data[index]];
+
+            const east = heightmap.data[j * width + (i + 1) % width];
+            const west = heightmap.data[j * width + (i - 1 + width) % width];
+            const shade = Math.min(Math.max(1 + (east - west) * 0.15, 0.7), 1.3);
+
+            pixels[index * 4] = color[0] * shade;
+            pixels[index * 4 + 1] = color[1] * shade;
+            pixels[index * 4 + 2] = color[2] * shade;
+            pixels[index * 4 + 3] = 255;
+        }
+    }
+
+    return pixels;
+}
+
+// RGBA pixels for the emissive map: molten ground in the palette's glow colour, black everywhere else
+function renderGlowImage(biomeGrid, palette) {
+    const { width, height } = biomeGrid;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const glow = palette.surface.glow || [0, 0, 0];
+    const strengths = BIOME_KEYS.map(biome => ({ 'magma_ocean': 1, 'lava_field': 0.5 })[biome] || 0);
+
+    for (let index = 0; index < width * height; index++) {
+        const strength = strengths[biomeGrid.data[index]];
+        pixels[index * 4] = glow[0] * strength;
+        pixels[index * 4 + 1] = glow[1] * strength;
+        pixels[index * 4 + 2] = glow[2] * strength;
+        pixels[index * 4 + 3] = 255;
+    }
+
+    return pixels;
+}
+
+export { BIOMES, BIOME_KEYS, classifyBiome, generateBiomeGrid, getBiomeAt, renderBiomeImage, renderGlowImage };
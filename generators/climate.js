@@ -0,0 +1,195 @@
+const STEFAN_BOLTZMANN_CONSTANT = 5.67e-8;
+const SOLAR_CONSTANT = 1361; // W/m^2 at 1 AU from the Sun
+const EARTH_DAY_HOURS = 24;
+
+// Latitude bands are 10 degrees wide, centred on -85 ... 85
+const BAND_WIDTH = 10;
+const LATITUDES = Array.from({ length: 180 / BAND_WIDTH }, (_, i) => -90 + BAND_WIDTH / 2 + i * BAND_WIDTH);
+
+// Seasons are named for the northern hemisphere; the sun's declination is tilt * sin(phase)
+const SEASONS = [
+    { name: 'Spring', phase: 0 },
+    { name: 'Summer', phase: 0.25 },
+    { name: 'Autumn', phase: 0.5 },
+    { name: 'Winter', phase: 0.75 }
+];
+
+function calculateStellarFlux(starLuminosity, orbitRadiusAU) {
+    return SOLAR_CONSTANT * starLuminosity / Math.pow(orbitRadiusAU, 2);
+}
+
+function generateClimate({ stellarFlux, axialTilt = 0, dayLength = EARTH_DAY_HOURS, greenhouseFactor = 1, oceanCoverage = 0, albedo = 0.3, planetRadius = 1 }) {
+    const cells = calculateCirculationCells(dayLength, planetRadius);
+
+    // Oceans store summer heat and carry it poleward; slow rotators even out through the day-night flow
+    const seasonalDamping = 1 - 0.7 * oceanCoverage;
+    const slowRotation = Math.min(Math.log10(Math.max(dayLength / EARTH_DAY_HOURS, 1)) / 2.5, 1);
+    const heatTransport = Math.min(0.35 + 0.3 * oceanCoverage + 0.6 * slowRotation, 0.95);
+
+    const annualInsolation = LATITUDES.map(latitude => averageOverSeasons(axialTilt, latitude));
+    const annualLocal = annualInsolation.map(q => equilibriumTemperature(q * stellarFlux, albedo, greenhouseFactor));
+    const globalMean = areaWeightedMean(annualLocal);
+    const annual = annualLocal.map(t => globalMean + (t - globalMean) * (1 - heatTransport));
+
+    const seasonal = SEASONS.map(season => {
+        const declination = axialTilt * Math.sin(season.phase * Math.PI * 2);
+        const temperatures = LATITUDES.map((latitude, i) => {
+            const local = equilibriumTemperature(dailyInsolation(latitude, declination) * stellarFlux, albedo, greenhouseFactor);
+            const swing = (local - annualLocal[i]) * (1 - heatTransport) * seasonalDamping;
+            return annual[i] + swing;
+        });
+        // The rising branch of the Hadley cell follows the sun about halfway to the tropic
+        const precipitation = LATITUDES.map((latitude, i) => calculatePrecipitation(latitude - declination * 0.5, temperatures[i], cells, oceanCoverage));
+
+        return { name: season.name, declination, temperatures, precipitation };
+    });
+
+    const bands = LATITUDES.map((latitude, i) => {
+        const seasonalTemperatures = seasonal.map(season => season.temperatures[i]);
+        const cell = getCellAtLatitude(latitude, cells);
+
+        return {
+            latitude: latitude,
+            temperature: toCelsius(annual[i]),
+            minTemperature: toCelsius(Math.min(...seasonalTemperatures)),
+            maxTemperature: toCelsius(Math.max(...seasonalTemperatures)),
+            precipitation: seasonal.reduce((sum, season) => sum + season.precipitation[i], 0) / seasonal.length,
+            cell: cell.name,
+            wind: cell.wind,
+            seasons: seasonal.map(season => ({
+                name: season.name,
+                temperature: toCelsius(season.temperatures[i]),
+                precipitation: season.precipitation[i]
+            }))
+        };
+    });
+
+    const equatorBands = bands.filter(band => Math.abs(band.latitude) < BAND_WIDTH);
+    const polarBands = bands.filter(band => Math.abs(band.latitude) > 90 - BAND_WIDTH);
+
+    return {
+        bands: bands,
+        cells: cells,
+        globalTemperature: toCelsius(globalMean),
+        equatorTemperature: equatorBands.reduce((sum, band) => sum + band.temperature, 0) / equatorBands.length,
+        poleTemperature: polarBands.reduce((sum, band) => sum + band.temperature, 0) / polarBands.length
+    };
+}
+
+// Daily-mean top-of-atmosphere insolation as a fraction of the stellar flux
+function dailyInsolation(latitudeDegrees, declinationDegrees) {
+    const phi = latitudeDegrees * Math.PI / 180;
+    const delta = declinationDegrees * Math.PI / 180;
+
+    // Hour angle of sunset; clamped for polar day and polar night
+    const cosH0 = Math.min(Math.max(-Math.tan(phi) * Math.tan(delta), -1), 1);
+    const h0 = Math.acos(cosH0);
+
+    return (h0 * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(h0)) / Math.PI;
+}
+
+function averageOverSeasons(axialTilt, latitude) {
+    const steps = 24;
+    let total = 0;
+    for (let i = 0; i < steps; i++) {
+        total += dailyInsolation(latitude, axialTilt * Math.sin(i / steps * Math.PI * 2));
+    }
+    return total / steps;
+}
+
+function equilibriumTemperature(insolation, albedo, greenhouseFactor) {
+    // Keep a few kelvin of geothermal and back-radiation floor for the polar night
+    const absorbed = Math.max(insolation * (1 - albedo), 0.5);
+    return Math.pow(absorbed / STEFAN_BOLTZMANN_CONSTANT, 0.25) * greenhouseFactor;
+}
+
+function areaWeightedMean(values) {
+    let total = 0;
+    let weights = 0;
+    LATITUDES.forEach((latitude, i) => {
+        const weight = Math.cos(latitude * Math.PI / 180);
+        total += values[i] * weight;
+        weights += weight;
+    });
+    return total / weights;
+}
+
+// Fast, large planets break each hemisphere into more cells (Earth has 3, Jupiter many, Venus 1)
+function calculateCirculationCells(dayLength, planetRadius) {
+    const rotationFactor = Math.sqrt(EARTH_DAY_HOURS / Math.max(dayLength, 1));
+    const perHemisphere = Math.min(Math.max(Math.round(3 * rotationFactor * Math.sqrt(Math.max(planetRadius, 0.1))), 1), 8);
+
+    const boundaries = [];
+    for (let i = 1; i < perHemisphere; i++) {
+        boundaries.push(90 * i / perHemisphere);
+    }
+
+    return {
+        perHemisphere: perHemisphere,
+        hadley: 1,
+        ferrel: Math.max(perHemisphere - 2, 0),
+        polar: perHemisphere > 1 ? 1 : 0,
+        boundaries: boundaries
+    };
+}
+
+function getCellAtLatitude(latitude, cells) {
+    const index = Math.min(Math.floor(Math.abs(latitude) / (90 / cells.perHemisphere)), cells.perHemisphere - 1);
+
+    let name = 'Ferrel';
+    if (index === 0) {
+        name = 'Hadley';
+    } else if (index === cells.perHemisphere - 1) {
+        name = 'Polar';
+    }
+
+    // Surface flow turns westward in cells that feed the equator side, eastward in the next
+    return { index, name, wind: index % 2 === 0 ? 'easterly' : 'westerly' };
+}
+
+// Annual precipitation in mm: wet where cells rise, dry where they sink, scaled by moisture supply
+function calculatePrecipitation(latitude, temperatureKelvin, cells, oceanCoverage) {
+    const cellWidth = 90 / cells.perHemisphere;
+
+    // +1 at rising boundaries (equator, 60 deg on Earth), -1 at sinking ones (30 deg, poles)
+    const uplift = Math.cos(Math.PI * Math.abs(latitude) / cellWidth);
+
+    // Clausius-Clapeyron: warm air holds ~7% more water per kelvin
+    const celsius = toCelsius(temperatureKelvin);
+    const moistureCapacity = Math.exp(0.07 * (Math.min(celsius, 40) - 15));
+
+    // Even dry worlds recycle a little water from lakes, soils and ice
+    const moistureSupply = 0.05 + 0.95 * oceanCoverage;
+
+    // Snow carries less water than rain, and above boiling nothing condenses at all
+    let phaseFactor = 1;
+    if (celsius < -20) {
+        phaseFactor = 0.3;
+    } else if (celsius > 100) {
+        phaseFactor = 0;
+    }
+
+    return Math.max(1000 * moistureSupply * moistureCapacity * (1 + 0.8 * uplift) * phaseFactor, 0);
+}
+
+function toCelsius(kelvin) {
+    return kelvin - 273.15;
+}
+
+// Linear interpolation between bands; season is an index into SEASONS or omitted for the annual mean
+function sampleClimate(climate, latitude, season = null) {
+    const position = (Math.min(Math.max(latitude, LATITUDES[0]), LATITUDES[LATITUDES.length - 1]) - LATITUDES[0]) / BAND_WIDTH;
+    const i = Math.min(Math.floor(position), LATITUDES.length - 2);
+    const t = position - i;
+
+    const read = band => season === null ? band : band.seasons[season];
+    const lower = read(climate.bands[i]);
+    const upper = read(climate.bands[i + 1]);
+
+    return {
+        temperature: lower.temperature + (upper.temperature - lower.temperature) * t,
+        precipitation: lower.precipitation + (upper.precipitation - lower.precipitation) * t
+    };
+}
+
+export { generateClimate, sampleClimate, calculateStellarFlux, calculateCirculationCells, SEASONS };
@@ -0,0 +1,80 @@
+// Simulation clock: the system's own time, in Earth days since the epoch the orbital elements are given
+// at. Each frame advances it by the real time elapsed times the chosen rate, which runs from real time
+// to years per second and can be stopped or turned backwards
+
+const SECONDS_PER_DAY = 86400;
+const DAYS_PER_YEAR = 365.25;
+
+// Rates the time-warp controls step through, in simulated seconds per real second
+const TIME_SCALES = [
+    { scale: 1, label: 'Real time' },
+    { scale: 60, label: '1 minute/s' },
+    { scale: 3600, label: '1 hour/s' },
+    { scale: SECONDS_PER_DAY, label: '1 day/s' },
+    { scale: 7 * SECONDS_PER_DAY, label: '1 week/s' },
+    { scale: 30 * SECONDS_PER_DAY, label: '1 month/s' },
+    { scale: DAYS_PER_YEAR * SECONDS_PER_DAY, label: '1 year/s' },
+    { scale: 10 * DAYS_PER_YEAR * SECONDS_PER_DAY, label: '10 years/s' }
+];
+const DEFAULT_SCALE_INDEX = 3; // A day a second: inner planets visibly move, a 24 hour world turns once a second
+// A frame that arrives after a long stall (a hidden tab) moves the clock by no more than this (ms)
+const MAX_FRAME_INTERVAL = 250;
+
+function createClock({ epoch = 0, scaleIndex = DEFAULT_SCALE_INDEX } = {}) {
+    return {
+        time: epoch,
+        scaleIndex: scaleIndex,
+        direction: 1,
+        paused: false,
+        lastTick: null
+    };
+}
+
+// `now` in ms from the frame timer; returns the simulated time in Earth days
+function advanceClock(clock, now) {
+    if (clock.lastTick !== null && !clock.paused) {
+        const elapsed = Math.min(now - clock.lastTick, MAX_FRAME_INTERVAL) / 1000;
+        clock.time += elapsed * TIME_SCALES[clock.scaleIndex].scale * clock.direction / SECONDS_PER_DAY;
+    }
+    clock.lastTick = now;
+    return clock.time;
+}
+
+function setClockPaused(clock, paused) {
+    clock.paused = paused;
+}
+
+function reverseClock(clock) {
+    clock.direction = -clock.direction;
+}
+
+// Step the rate up (positive) or down (negative) through TIME_SCALES
+function changeTimeScale(clock, steps) {
+    clock.scaleIndex = Math.min(Math.max(clock.scaleIndex + steps, 0), TIME_SCALES.length - 1);
+}
+
+function jumpClock(clock, time) {
+    clock.time = time;
+}
+
+function describeTimeScale(clock) {
+    const label = TIME_SCALES[clock.scaleIndex].label;
+    if (clock.paused) {
+        return `Paused (${label})`;
+    }
+    return clock.direction < 0 ? `${label}, reversed` : label;
+}
+
+// Year and day of the year (both from 1) a time falls on, for a year of `yearLength` Earth days divided
+// into days of `dayLength` hours; before the epoch the years count down from 0
+function calendarDate(time, yearLength, dayLength) {
+    const year = Math.floor(time / yearLength);
+    const timeOfYear = time - year * yearLength;
+    return {
+        year: year + 1,
+        day: Math.floor(timeOfYear * 24 / dayLength) + 1,
+        days: time * 24 / dayLength
+    };
+}
+
+export { TIME_SCALES, DAYS_PER_YEAR, createClock, advanceClock, setClockPaused, reverseClock, changeTimeScale, jumpClock, describeTimeScale, calendarDate };
@@ -0,0 +1,246 @@
+import { getRandomValue } from './random.js';
+
+// Colours are [r, g, b] arrays in 0-255 so generators can mix them without three.js;
+// renderers convert them with colorToHex or paletteUniforms
+
+const STAR_TEMPERATURES = {
+    'O': 35000,
+    'B': 20000,
+    'A': 8750,
+    'F': 6750,
+    'G': 5750,
+    'K': 4250,
+    'M': 3250
+};
+
+// Reflectance colour each element lends to exposed rock, and how strongly it tints it;
+// iron oxides, sulfur and carbon stain far beyond their share of the mass
+const elementPigments = {
+    'Si': { color: [150, 146, 138], strength: 1 },   // silicates
+    'Al': { color: [184, 178, 166], strength: 1 },   // feldspars and clays
+    'Ca': { color: [206, 198, 180], strength: 1 },   // carbonates
+    'Na': { color: [226, 220, 208], strength: 0.5 }, // salts
+    'Mg': { color: [112, 118, 84], strength: 1.5 },  // olivine and pyroxene
+    'Fe': { color: [138, 72, 44], strength: 1.5 },   // rust
+    'Ti': { color: [72, 70, 72], strength: 2 },      // ilmenite
+    'S': { color: [214, 190, 70], strength: 4 },     // native sulfur and sulfates
+    'C': { color: [42, 38, 36], strength: 4 }        // graphite and organics
+};
+
+const DEFAULT_ROCK_COLOR = [132, 126, 118];
+const SEDIMENT_COLOR = [204, 188, 150];
+const WATER_ICE_COLOR = [232, 238, 244];
+const VOLATILE_FROST_COLOR = [230, 220, 205]; // nitrogen and methane ices, faintly reddened by tholins
+const LAVA_GLOW_COLOR = [255, 96, 24];
+
+// Cloud tops of giants stand in for a surface
+const cloudTopsByAtmosphere = {
+    'hydrogen_helium_type_I': [216, 180, 140],  // Jupiter: ammonia clouds stained by sulfur and phosphorus
+    'hydrogen_helium_type_II': [226, 206, 160], // Saturn
+    'hydrogen_helium_type_III': [235, 220, 190],
+    'ice_type_I': [150, 200, 225],              // Uranus: methane absorbs the red
+    'ice_type_II': [90, 140, 210],              // Neptune
+    'carbon_type_I': [200, 160, 100],
+    'ammonia_type_I': [222, 214, 180]
+};
+
+// Colour of the sky seen edge-on; null means pure Rayleigh scattering of the starlight
+const atmosphereColors = {
+    'trace': [200, 200, 200],
+    'carbon_dioxide_type_I': [210, 160, 110], // suspended dust, as on Mars
+    'carbon_dioxide_type_II': [230, 205, 140], // sulfuric acid haze, as on Venus
+    'nitrogen_type_I': null,
+    'nitrogen_type_II': null,
+    'nitrogen_type_III': null,
+    'hydrogen_helium_type_I': [190, 196, 220],
+    'hydrogen_helium_type_II': [206, 200, 190],
+    'hydrogen_helium_type_III': [200, 206, 224],
+    'ice_type_I': [120, 190, 230],
+    'ice_type_II': [90, 150, 230],
+    'carbon_type_I': [220, 150, 70],           // tholin haze, as on Titan
+    'ammonia_type_I': [220, 220, 180]
+};
+
+const cloudColors = {
+    'carbon_dioxide_type_I': [240, 240, 245],  // thin CO2 ice clouds
+    'carbon_dioxide_type_II': [238, 222, 176], // sulfuric acid
+    'hydrogen_helium_type_I': [245, 235, 210],
+    'hydrogen_helium_type_II': [245, 235, 210],
+    'hydrogen_helium_type_III': [245, 238, 220],
+    'ice_type_I': [215, 235, 245],
+    'ice_type_II': [205, 228, 245],
+    'carbon_type_I': [210, 160, 90],
+    'ammonia_type_I': [240, 238, 220]
+};
+const WATER_CLOUD_COLOR = [255, 255, 255];
+
+const DEEP_WATER_COLOR = [8, 36, 84];
+const SHALLOW_WATER_COLOR = [34, 104, 140];
+const HYDROCARBON_SEA_COLOR = [40, 30, 20];
+const SEA_ICE_COLOR = [214, 228, 240];
+
+const ICY_RING_COLORS = [[222, 216, 204], [200, 192, 178], [236, 232, 224]];
+const DUSTY_RING_COLORS = [[150, 134, 112], [120, 108, 94], [172, 156, 130]];
+// Water ice in the rings survives only where the ring particles stay colder than this
+const RING_ICE_TEMPERATURE = 150; // K
+
+function generatePalette({ planetType, composition = null, surfaceTemperature = 15, atmosphere, starType, starLuminosity = 1, orbitRadius = 1, oceans = null, flora = null }) {
+    const light = starLightTint(starType);
+    const rock = composition ? rockColor(composition) : DEFAULT_ROCK_COLOR;
+    const isGiant = planetType === 'Gas Giant' || planetType === 'Ice Giant';
+
+    let surface;
+    if (isGiant) {
+        const cloudTop = cloudTopsByAtmosphere[atmosphere] || (planetType === 'Ice Giant' ? cloudTopsByAtmosphere['ice_type_I'] : cloudTopsByAtmosphere['hydrogen_helium_type_I']);
+        surface = { low: shadeColor(cloudTop, 0.8), mid: cloudTop, high: shadeColor(cloudTop, 1.1), glow: null };
+    } else {
+        surface = surfaceRamp(rock, surfaceTemperature, composition, flora);
+    }
+
+    return {
+        light: light,
+        surface: tintRamp(surface, light),
+        ocean: tintRamp(oceanColors(surfaceTemperature, atmosphere, oceans), light),
+        cloud: tint(cloudColors[atmosphere] || WATER_CLOUD_COLOR, light),
+        atmosphere: jitter(tint(atmosphereColors[atmosphere] || rayleighColor(light), light)),
+        ring: ringColors(rock, orbitRadius, starLuminosity).map(color => tint(color, light))
+    };
+}
+
+// Mass-weighted blend of the element pigments present in the crust
+function rockColor(composition) {
+    const total = Object.values(composition).reduce((sum, mass) => sum + mass, 0);
+    if (total <= 0) {
+        return DEFAULT_ROCK_COLOR;
+    }
+
+    const mixed = [0, 0, 0];
+    let weight = 0;
+    Object.entries(elementPigments).forEach(([symbol, pigment]) => {
+        const share = (composition[symbol] || 0) / total * pigment.strength;
+        for (let c = 0; c < 3; c++) {
+            mixed[c] += pigment.color[c] * share;
+        }
+        weight += share;
+    });
+
+    return weight > 0 ? mixed.map(channel => Math.round(channel / weight)) : DEFAULT_ROCK_COLOR;
+}
+
+// Low ground collects sediment, lowlands carry any vegetation, highlands show bare rock or frost;
+// hot enough and the low ground is molten
+function surfaceRamp(rock, surfaceTemperature, composition, flora) {
+    let low = mixColors(rock, SEDIMENT_COLOR, 0.5);
+    let mid = rock;
+    let high = shadeColor(rock, 1.15);
+    let glow = null;
+
+    if (flora) {
+        mid = mixColors(rock, flora.pigment.color, Math.min(flora.vegetatedFraction * 2, 0.8));
+    }
+
+    if (surfaceTemperature > 700) {
+        glow = LAVA_GLOW_COLOR;
+        low = mixColors(shadeColor(rock, 0.35), LAVA_GLOW_COLOR, 0.6);
+        mid = shadeColor(rock, 0.4);
+        high = shadeColor(rock, 0.55);
+    } else if (surfaceTemperature < -180) {
+        low = mixColors(low, VOLATILE_FROST_COLOR, 0.8);
+        mid = mixColors(mid, VOLATILE_FROST_COLOR, 0.6);
+        high = VOLATILE_FROST_COLOR;
+    } else if (surfaceTemperature < -20 && (!composition || composition['H'])) {
+        mid = mixColors(mid, WATER_ICE_COLOR, 0.5);
+        high = WATER_ICE_COLOR;
+    }
+
+    return { low, mid, high, glow };
+}
+
+function oceanColors(surfaceTemperature, atmosphere, oceans) {
+    if (surfaceTemperature < -150 && atmosphere === 'carbon_type_I') {
+        // Methane and ethane seas, as on Titan
+        return { deep: HYDROCARBON_SEA_COLOR, shallow: shadeColor(HYDROCARBON_SEA_COLOR, 1.6) };
+    }
+    if (surfaceTemperature < -10) {
+        return { deep: SEA_ICE_COLOR, shallow: SEA_ICE_COLOR };
+    }
+    // Shallow seas look greener where warm water grows plankton, paler where salt crusts the shore
+    const shallow = surfaceTemperature > 25 ? mixColors(SHALLOW_WATER_COLOR, [40, 140, 130], 0.4) : SHALLOW_WATER_COLOR;
+    return { deep: DEEP_WATER_COLOR, shallow: oceans && oceans.salinityClass === 'Hypersaline Brine' ? mixColors(shallow, [200, 210, 200], 0.3) : shallow };
+}
+
+// Rings are icy beyond the frost line and dusty (tinted by the planet's rock) within it
+function ringColors(rock, orbitRadius, starLuminosity) {
+    const equilibriumTemperature = 278 * Math.pow(starLuminosity, 0.25) / Math.sqrt(Math.max(orbitRadius, 0.01));
+    if (equilibriumTemperature < RING_ICE_TEMPERATURE) {
+        return ICY_RING_COLORS;
+    }
+    return DUSTY_RING_COLORS.map(color => mixColors(color, rock, 0.3));
+}
+
+// Starlight relative to the Sun's, so a G star leaves colours untouched and an M dwarf warms them
+function starLightTint(starType) {
+    const light = blackbodyColor(STAR_TEMPERATURES[starType] || STAR_TEMPERATURES['G']);
+    const sun = blackbodyColor(STAR_TEMPERATURES['G']);
+    return light.map((channel, c) => channel / sun[c]);
+}
+
+// Rayleigh scattering goes as the inverse fourth power of wavelength, so the sky takes the
+// blue end of whatever light the star gives it
+function rayleighColor(light) {
+    const scattered = [0.35, 0.58, 1].map((weight, c) => weight * light[c]);
+    const peak = Math.max(...scattered);
+    return scattered.map(channel => Math.round(channel / peak * 230));
+}
+
+// Tanner Helland's fit to the blackbody colour, for temperatures in K
+function blackbodyColor(temperature) {
+    const t = temperature / 100;
+    const red = t <= 66 ? 255 : 329.7 * Math.pow(t - 60, -0.1332);
+    const green = t <= 66 ? 99.47 * Math.log(t) - 161.12 : 288.12 * Math.pow(t - 60, -0.0755);
+    const blue = t >= 66 ? 255 : (t <= 19 ? 0 : 138.52 * Math.log(t - 10) - 305.04);
+    return [red, green, blue].map(channel => Math.min(Math.max(channel, 0), 255));
+}
+
+// Half-strength white balance keeps alien light noticeable without washing everything out
+function tint(color, light) {
+    return color.map((channel, c) => Math.round(Math.min(channel * (0.5 + 0.5 * light[c]), 255)));
+}
+
+function tintRamp(ramp, light) {
+    const tinted = {};
+    Object.entries(ramp).forEach(([key, color]) => {
+        tinted[key] = color ? tint(color, light) : null;
+    });
+    return tinted;
+}
+
+function jitter(color) {
+    return color.map(channel => Math.round(Math.min(Math.max(channel + getRandomValue(-5, 5), 0), 255)));
+}
+
+function mixColors(a, b, factor) {
+    return a.map((channel, c) => Math.round(channel + (b[c] - channel) * factor));
+}
+
+function shadeColor(color, factor) {
+    return color.map(channel => Math.round(Math.min(Math.max(channel * factor, 0), 255)));
+}
+
+function colorToHex(color) {
+    return (color[0] << 16) + (color[1] << 8) + color[2];
+}
+
+// Uniform values for the terrain colour ramp in texture.js, as 0-1 vec3s
+function paletteUniforms(palette) {
+    const toVector = color => ({ value: color.map(channel => channel / 255) });
+    return {
+        waterColor: toVector(palette.ocean.deep),
+        sandColor: toVector(palette.surface.low),
+        grassColor: toVector(palette.surface.mid),
+        rockColor: toVector(palette.surface.high),
+        glowColor: toVector(palette.surface.glow || [0, 0, 0])
+    };
+}
+
+export { generatePalette, blackbodyColor, colorToHex, paletteUniforms, tint, mixColors, shadeColor, STAR_TEMPERATURES };
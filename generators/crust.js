@@ -1,3 +1,5 @@
+import { generateTectonics } from './tectonics.js';
+
 async function loadElementsData() {
     const response = await fetch('generators/elements_with_abundances.json');
     const data = await response.json();
@@ -5,12 +7,12 @@ async function loadElementsData() {
     return data;
 }
 
-function generateGeologicalData(planetSize, orbitalRadius, starSize, starMass, planetType) {
+function generateGeologicalData(planetSize, orbitalRadius, starSize, starMass, planetType, starAge) {
     // Calculate the interior structure sizes in meters
     const interiorSizes = calculateInterior(planetSize, planetType);
 
     // Determine the state of the core (e.g., molten or solid), could be a separate function based on planetSize, starMass, distanceFromStar
-    const coreState = assessCoreState(planetSize, starMass, orbitalRadius); // This is a placeholder function call
+    const coreState = assessCoreState(planetSize, planetType, starAge);
 
     // Return an object containing the geological data
     return {
@@ -27,8 +29,7 @@ function generateGeologicalData(planetSize, orbitalRadius, starSize, starMass, p
             thickness: interiorSizes.crust.thickness,
             volume: interiorSizes.crust.volume
         },
-        // Assume tectonic activity is determined by another process/function
-       // tectonics: determineTectonicActivity(planetSize, starMass, orbitalRadius) // Placeholder for actual function
+        tectonics: generateTectonics(planetSize, planetType, coreState, starAge)
     };
 }
 
@@ -58,7 +59,7 @@ function calculateInterior(planetSize, planetType) {
 }
 
 
-async function determinePlanetaryComposition(planetSize, orbitalRadius, starSize, starMass) {
+async function determinePlanetaryComposition(planetSize, orbitalRadius, starSize, starMass, starLuminosity) {
     let composition = {};
 
     // Load elements data
@@ -68,9 +69,10 @@ async function determinePlanetaryComposition(planetSize, orbitalRadius, starSize
     elements.forEach(element => {
         let baseProb = baseProbability(element);
         let starSizeAdjustment = adjustForStarSize(element, starSize);
-        let orbitalRadiusAdjustment = adjustForOrbitalRadius(element, orbitalRadius);
-        let planetSizeAdjustment = adjustForPlanetSize(element.abundance, planetSize); // Ensure this uses final abundance value
-        let adjustedProbability = baseProb * starSizeAdjustment * orbitalRadiusAdjustment * planetSizeAdjustment;
+        let orbitalRadiusAdjustment = adjustForOrbitalRadius(element.symbol, orbitalRadius, starLuminosity);
+        // Scales the base abundance to kg of crust, so the abundance must not be multiplied in a second time
+        let planetSizeAdjustment = adjustForPlanetSize(baseProb, planetSize);
+        let adjustedProbability = starSizeAdjustment * orbitalRadiusAdjustment * planetSizeAdjustment;
 
         composition[element.symbol] = adjustedProbability;
     });
@@ -357,8 +359,25 @@ function estimateCrustSize(planetRadius, planetType) {
 }
 
 
-function assessCoreState(planetRadius, starMass, distanceFromStar) { /* ... */ }
+function assessCoreState(planetRadius, planetType, starAge) {
+    // Giants keep their deep interiors hot and fluid for the life of the system
+    if (planetType === 'Gas Giant' || planetType === 'Ice Giant') {
+        return 'molten';
+    }
+
+    // Cooling time grows with the square of the radius; Earth's core takes ~10 billion years to freeze
+    const coolingTime = 10 * Math.pow(Math.max(planetRadius, 0.05), 2);
+    const cooledFraction = (starAge || 0) / coolingTime;
+
+    if (cooledFraction < 0.3) {
+        return 'molten';
+    } else if (cooledFraction < 1) {
+        return 'partially molten';
+    } else {
+        return 'solid';
+    }
+}
 
 
-export { generateGeologicalData, determinePlanetaryComposition };
+export { generateGeologicalData, determinePlanetaryComposition, calculateIceLine, assessCoreState };
 export const elementsData = await loadElementsData();
@@ -0,0 +1,289 @@
+import { random, getRandomValue, getRandomInt } from './random.js';
+import { BIOME_KEYS } from './biomes.js';
+import { cellToLatLon } from './terrain.js';
+import { createPhonology, generateWord } from './names.js';
+
+const EARTH_RADIUS_KM = 6378;
+
+// How readily people settle each biome; anything missing (seas, ice, scorched ground) is never settled
+const settlementSuitability = {
+    'beach': 0.9,
+    'grassland': 1,
+    'temperate_forest': 0.9,
+    'savanna': 0.8,
+    'tropical_seasonal_forest': 0.7,
+    'temperate_rainforest': 0.6,
+    'rainforest': 0.5,
+    'taiga': 0.4,
+    'desert': 0.2,
+    'cold_desert': 0.15,
+    'tundra': 0.15,
+    'alpine': 0.1
+};
+
+// Typical population of a civilization's largest city, and how far it can hold territory
+const TECH_LEVELS = [
+    { name: 'Stone Age', cityPopulation: [500, 5000], reach: 600, centres: [2, 4] },
+    { name: 'Bronze Age', cityPopulation: [5000, 50000], reach: 900, centres: [3, 5] },
+    { name: 'Iron Age', cityPopulation: [10000, 200000], reach: 1300, centres: [3, 6] },
+    { name: 'Medieval', cityPopulation: [20000, 500000], reach: 1800, centres: [4, 7] },
+    { name: 'Industrial', cityPopulation: [200000, 5000000], reach: 2500, centres: [5, 8] },
+    { name: 'Atomic', cityPopulation: [1000000, 15000000], reach: 3500, centres: [5, 9] },
+    { name: 'Information', cityPopulation: [3000000, 30000000], reach: 4500, centres: [6, 10] },
+    { name: 'Spacefaring', cityPopulation: [5000000, 40000000], reach: 6000, centres: [6, 10] }
+];
+
+const governmentArchetypes = [
+    { name: 'Tribal Council', minTech: 0, maxTech: 1 },
+    { name: 'Chiefdom', minTech: 0, maxTech: 2 },
+    { name: 'Theocracy', minTech: 1, maxTech: 5 },
+    { name: 'Hereditary Monarchy', minTech: 1, maxTech: 5 },
+    { name: 'City-State League', minTech: 1, maxTech: 4 },
+    { name: 'Feudal Realm', minTech: 2, maxTech: 3 },
+    { name: 'Empire', minTech: 1, maxTech: 6 },
+    { name: 'Republic', minTech: 2, maxTech: 7 },
+    { name: 'One-Party State', minTech: 4, maxTech: 7 },
+    { name: 'Technocracy', minTech: 5, maxTech: 7 },
+    { name: 'Corporate Oligarchy', minTech: 4, maxTech: 7 },
+    { name: 'Planetary Federation', minTech: 6, maxTech: 7 }
+];
+
+// Territory tints for the map overlay
+const civilizationColors = [[220, 60, 60], [240, 200, 40], [170, 80, 220], [40, 200, 200], [240, 130, 40], [230, 90, 170]];
+
+// Complex life needs time to turn into anyone who builds cities
+const MIN_STAR_AGE = 2; // Gyr
+
+function generateCivilizations({ surface, fauna, starAge = 0, planetSize = 1, civilizationChance = 0.4 }) {
+    if (!surface || !surface.biomes || !fauna || starAge < MIN_STAR_AGE || random() > civilizationChance) {
+        return null;
+    }
+
+    const radiusKm = planetSize * EARTH_RADIUS_KM;
+    const cells = scoreSettlementCells(surface);
+    if (cells.length === 0) {
+        return null;
+    }
+
+    // Older worlds have had longer for someone to get ahead
+    const baseTech = Math.min(Math.floor(getRandomValue(0, 4) + (starAge - MIN_STAR_AGE) * 0.6), TECH_LEVELS.length - 1);
+    const civilizationCount = getRandomInt(1, Math.min(civilizationColors.length, 1 + Math.round(cells.length / 2500)));
+    const capitals = chooseSites(cells, civilizationCount, 2500 * planetSize, radiusKm);
+
+    const civilizations = capitals.map((capital, index) => {
+        const techLevel = Math.min(Math.max(baseTech + getRandomInt(-1, 1), 0), TECH_LEVELS.length - 1);
+        const languageSeed = Math.floor(random() * 4294967296);
+        const language = createPhonology(languageSeed);
+        const governments = governmentArchetypes.filter(archetype => techLevel >= archetype.minTech && techLevel <= archetype.maxTech);
+
+        return {
+            name: generateWord(language, random, 'region'),
+            languageSeed: languageSeed,
+            language: language,
+            techLevel: techLevel,
+            techName: TECH_LEVELS[techLevel].name,
+            government: governments[Math.floor(random() * governments.length)].name,
+            color: civilizationColors[index],
+            centres: [],
+            population: 0,
+            territoryFraction: 0
+        };
+    });
+
+    const territory = claimTerritory(surface, civilizations, capitals, radiusKm);
+    civilizations.forEach((civilization, index) => {
+        placeCentres(civilization, capitals[index], cells.filter(cell => territory[cell.index] === index), radiusKm);
+        civilization.population = civilization.centres.reduce((sum, centre) => sum + centre.population, 0);
+    });
+
+    const { width, height } = surface.biomes;
+    let totalWeight = 0;
+    const claimed = new Array(civilizations.length).fill(0);
+    for (let j = 0; j < height; j++) {
+        const weight = Math.cos(cellToLatLon(0, j, width, height).lat * Math.PI / 180);
+        for (let i = 0; i < width; i++) {
+            totalWeight += weight;
+            if (territory[j * width + i] >= 0) {
+                claimed[territory[j * width + i]] += weight;
+            }
+        }
+    }
+    civilizations.forEach((civilization, index) => {
+        civilization.territoryFraction = claimed[index] / totalWeight;
+    });
+
+    return { width, height, territory, civilizations };
+}
+
+// Every land cell people would live on, scored by biome and boosted next to coasts, lakes and big rivers
+function scoreSettlementCells(surface) {
+    const { biomes, heightmap, seaLevel, rivers } = surface;
+    const { width, height } = biomes;
+    const cells = [];
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const index = j * width + i;
+            const suitability = settlementSuitability[BIOME_KEYS[biomes.data[index]]];
+            if (!suitability || (rivers && rivers.lakeCells[index] >= 0)) {
+                continue;
+            }
+
+            let coastal = false;
+            let lakeside = false;
+            for (const [di, dj] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nj = j + dj;
+                if (nj < 0 || nj >= height) {
+                    continue;
+                }
+                const neighbour = nj * width + (i + di + width) % width;
+                coastal = coastal || heightmap.data[neighbour] < seaLevel;
+                lakeside = lakeside || (rivers && rivers.lakeCells[neighbour] >= 0);
+            }
+
+            // Trade and water: ports and river towns grow fastest
+            const discharge = rivers ? rivers.discharge[index] : 0;
+            const riverBonus = discharge > 100 ? Math.min(1 + 0.5 * Math.log10(discharge / 100), 2) : 1;
+            const score = suitability * (coastal ? 1.5 : 1) * (lakeside ? 1.3 : 1) * riverBonus;
+            const { lat, lon } = cellToLatLon(i, j, width, height);
+
+            cells.push({ index, lat, lon, score, coastal, river: discharge > 100 });
+        }
+    }
+
+    return cells;
+}
+
+// Best-scoring cells, jittered so the same spots don't always win, kept at least `spacingKm` apart
+function chooseSites(cells, count, spacingKm, radiusKm) {
+    const ranked = cells.map(cell => ({ cell, rank: cell.score * getRandomValue(0.6, 1) })).sort((a, b) => b.rank - a.rank);
+    const sites = [];
+    for (const { cell } of ranked) {
+        if (sites.length >= count) {
+            break;
+        }
+        if (sites.every(site => greatCircleDistance(site, cell, radiusKm) >= spacingKm)) {
+            sites.push(cell);
+        }
+    }
+    return sites;
+}
+
+// Land goes to the nearest capital in reach, with more advanced civilizations reaching further
+function claimTerritory(surface, civilizations, capitals, radiusKm) {
+    const { biomes, heightmap, seaLevel } = surface;
+    const { width, height } = biomes;
+    const territory = new Int8Array(width * height).fill(-1);
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const index = j * width + i;
+            if (heightmap.data[index] < seaLevel) {
+                continue;
+            }
+
+            const point = cellToLatLon(i, j, width, height);
+            let best = Infinity;
+            civilizations.forEach((civilization, id) => {
+                const reach = TECH_LEVELS[civilization.techLevel].reach * Math.sqrt(radiusKm / EARTH_RADIUS_KM);
+                const relativeDistance = greatCircleDistance(capitals[id], point, radiusKm) / reach;
+                if (relativeDistance < 1 && relativeDistance < best) {
+                    best = relativeDistance;
+                    territory[index] = id;
+                }
+            });
+        }
+    }
+
+    return territory;
+}
+
+// The capital first, then the best remaining sites in the territory; populations fall off by rank (Zipf's law)
+function placeCentres(civilization, capital, cells, radiusKm) {
+    const tech = TECH_LEVELS[civilization.techLevel];
+    const count = getRandomInt(tech.centres[0], tech.centres[1]);
+    const spacingKm = tech.reach / 4;
+    const others = chooseSites(cells.filter(cell => greatCircleDistance(cell, capital, radiusKm) >= spacingKm), count - 1, spacingKm, radiusKm);
+    const capitalPopulation = Math.exp(getRandomValue(Math.log(tech.cityPopulation[0]), Math.log(tech.cityPopulation[1])));
+
+    civilization.centres = [capital].concat(others).map((cell, rank) => ({
+        name: generateWord(civilization.language),
+        lat: cell.lat,
+        lon: cell.lon,
+        population: Math.round(capitalPopulation / (rank + 1) * getRandomValue(0.7, 1.3) * Math.min(cell.score, 1.5)),
+        capital: rank === 0,
+        coastal: cell.coastal,
+        river: cell.river
+    }));
+}
+
+function greatCircleDistance(a, b, radiusKm) {
+    const toRadians = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * toRadians;
+    const dLon = (b.lon - a.lon) * toRadians;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * toRadians) * Math.cos(b.lat * toRadians) * Math.sin(dLon / 2) ** 2;
+    return 2 * radiusKm * Math.asin(Math.min(Math.sqrt(h), 1));
+}
+
+// Transparent RGBA overlay at `scale` pixels per grid cell: tinted territories with solid
+// borders, and a dot per population centre sized by its population
+function renderCultureOverlay(culture, scale = 4) {
+    const width = culture.width * scale;
+    const height = culture.height * scale;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+
+    const paint = (x, y, color, alpha) => {
+        const px = ((Math.round(x) % width) + width) % width;
+        const py = Math.round(y);
+        if (py < 0 || py >= height) {
+            return;
+        }
+        const offset = (py * width + px) * 4;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+        pixels[offset + 3] = alpha;
+    };
+
+    for (let j = 0; j < culture.height; j++) {
+        for (let i = 0; i < culture.width; i++) {
+            const id = culture.territory[j * culture.width + i];
+            if (id < 0) {
+                continue;
+            }
+            const border = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([di, dj]) => {
+                const nj = Math.min(Math.max(j + dj, 0), culture.height - 1);
+                return culture.territory[nj * culture.width + (i + di + culture.width) % culture.width] !== id;
+            });
+            const color = culture.civilizations[id].color;
+            for (let y = 0; y < scale; y++) {
+                for (let x = 0; x < scale; x++) {
+                    paint(i * scale + x, j * scale + y, color, border ? 170 : 50);
+                }
+            }
+        }
+    }
+
+    culture.civilizations.forEach(civilization => {
+        civilization.centres.forEach(centre => {
+            const cx = (centre.lon + 180) / 360 * width;
+            const cy = (90 - centre.lat) / 180 * height;
+            const radius = Math.min(1 + Math.log10(Math.max(centre.population, 1)) / 3, 3.5) * scale / 4 * (centre.capital ? 1.4 : 1);
+            const reach = Math.ceil(radius + 1);
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dx = -reach; dx <= reach; dx++) {
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance <= radius) {
+                        paint(cx + dx, cy + dy, [255, 255, 255], 255);
+                    } else if (distance <= radius + 1) {
+                        paint(cx + dx, cy + dy, [20, 20, 20], 255);
+                    }
+                }
+            }
+        });
+    });
+
+    return { width, height, data: pixels };
+}
+
+export { generateCivilizations, renderCultureOverlay, TECH_LEVELS };
@@ -0,0 +1,209 @@
+import { random, withRandomPath } from './random.js';
+import { calculateBulkProperties } from './atmospherics.js';
+import { calculateStellarFlux } from './climate.js';
+import { circularOrbit, orbitalPosition, orbitalVelocity, calculateOrbitalPeriod, calculateSynodicPeriod } from './kepler.js';
+
+// Where everything in a system is at a moment of the simulation clock: positions, velocities, how far
+// each body has turned and how its star lights it. It reads only the generated data, so it runs without
+// a scene; the animation draws what it returns. Positions are in AU and velocities in AU per Earth day,
+// in the scene's frame (see kepler.js)
+
+const DEGREES = Math.PI / 180;
+// Scene units are Earth radii, with the AU squeezed from its true 23455 so the outer planets stay in
+// reach of the camera; moon distances are in the same units, so everything converts with this one scale
+const AU_TO_SCENE_SCALE = 21840.00;
+// Generated rotation speeds turn into sidereal periods at this many hours per radian
+const ROTATION_SPEED_SCALE = 0.001;
+// Moons circle this many planet radii out, each one a little farther than the last
+const MOON_BASE_DISTANCE = 10;
+const MOON_SPACING = 0.2;
+
+// Planets without elements (older exports) go round a circle at their orbit radius
+function planetOrbit(planet) {
+    return planet.orbit || circularOrbit(planet.orbitRadius);
+}
+
+// Earth days; worked out again from the star's mass for planets that came without it
+function planetOrbitalPeriod(planet, star) {
+    if (planet.orbitalPeriod) {
+        return planet.orbitalPeriod;
+    }
+    const { mass } = calculateBulkProperties(planet.type, planet.radius);
+    return calculateOrbitalPeriod(planetOrbit(planet).semiMajorAxis, star.mass || 1, mass);
+}
+
+// Signed spin for a planet `orbitRadius` AU out in a system reaching to `systemOuterEdge` AU: faster
+// farther out, and slowed by up to half away from the middle of the habitable zone; half the
+// planets turn backwards
+function getRotationSpeed(orbitRadius, habitableZone, systemOuterEdge) {
+    let distancePercentage = orbitRadius / systemOuterEdge;
+
+    let habitableZoneWidth = habitableZone.outerBoundary - habitableZone.innerBoundary;
+    let scalingFactor = 1 + (habitableZoneWidth / 2); 
+    
+    let randomFactor = random() * scalingFactor;
+    
+    let baseRotationSpeed = 0.0001 + (distancePercentage * randomFactor * 0.0001);
+
+    let habCenterAU = (habitableZone.innerBoundary + habitableZone.outerBoundary) / 2;
+    let distanceFromCenter = Math.abs(orbitRadius - habCenterAU) / habCenterAU;
+    let speedModifier = Math.max(0.5, 1 - distanceFromCenter); 
+    let finalRotationSpeed = baseRotationSpeed * speedModifier;
+    finalRotationSpeed = Math.max(0.00001, Math.min(finalRotationSpeed, 0.0005)); 
+
+    finalRotationSpeed *= random() < 0.5 ? 1 : -1;
+
+    return finalRotationSpeed;
+}
+
+function rotationSpeedToEarthHours(rotationSpeed) {
+    return (2 * Math.PI / Math.abs(rotationSpeed)) * ROTATION_SPEED_SCALE;
+}
+
+// Hours for one turn against the stars; a locked planet turns once a year
+function calculateSiderealDay({ isTidallyLocked, orbitalPeriod, rotationSpeed }) {
+    return isTidallyLocked ? orbitalPeriod * 24 : rotationSpeedToEarthHours(rotationSpeed);
+}
+
+// Hours from one sunrise to the next: the sidereal day lengthened by the planet's progress round the
+// star, or shortened if it spins backwards. A locked planet's day lasts its whole year
+function calculateDayLength({ isTidallyLocked, orbitalPeriod, rotationSpeed }) {
+    if (isTidallyLocked) {
+        return orbitalPeriod * 24;
+    }
+    return calculateSynodicPeriod(Math.sign(rotationSpeed) * rotationSpeedToEarthHours(rotationSpeed), orbitalPeriod * 24);
+}
+
+// Circular orbits in the planet's equatorial plane; `distance` in Earth radii, angles in radians, `period`
+// in Earth days. Each moon draws from its own sub-seed, as createMoonsForPlanet in script.js always has
+function generateMoonOrbits(planetData, path) {
+    const { mass } = calculateBulkProperties(planetData.type, planetData.radius);
+    return Array.from({ length: planetData.moons || 0 }, (_, i) => withRandomPath(`${path}/moon ${i + 1}`, () => {
+        const size = random();
+        const inclination = (random() - 0.5) * Math.PI;
+        const phase = random() * Math.PI * 2;
+        const distance = planetData.radius * (MOON_BASE_DISTANCE + i * MOON_SPACING);
+        return {
+            size: size,
+            distance: distance,
+            inclination: inclination,
+            phase: phase,
+            period: calculateOrbitalPeriod(distance / AU_TO_SCENE_SCALE, 0, mass)
+        };
+    }));
+}
+
+// `time` in Earth days since the epoch of the orbital elements
+function evaluateSystemState(universeData, time) {
+    const star = universeData.parentStar;
+    return {
+        time: time,
+        star: {
+            position: { x: 0, y: 0, z: 0 },
+            velocity: { x: 0, y: 0, z: 0 },
+            luminosity: star.luminosity
+        },
+        planets: universeData.solarSystem.map((planet, index) => evaluatePlanetState(planet, index, star, time))
+    };
+}
+
+function evaluatePlanetState(planet, index, star, time) {
+    const orbit = planetOrbit(planet);
+    const period = planetOrbitalPeriod(planet, star);
+    const meanAnomaly = orbit.meanAnomalyAtEpoch * DEGREES + Math.PI * 2 * time / period;
+    const { position, distance, trueAnomaly } = orbitalPosition(orbit, meanAnomaly);
+    const velocity = orbitalVelocity(orbit, meanAnomaly, period);
+
+    const rotation = { isTidallyLocked: planet.isTidallyLocked, orbitalPeriod: period, rotationSpeed: planet.rotationSpeed };
+    const direction = planet.isTidallyLocked || !planet.rotationSpeed ? 1 : Math.sign(planet.rotationSpeed);
+    const rotationPhase = wrapTurn(time * 24 / calculateSiderealDay(rotation));
+    const rotationAngle = direction * rotationPhase * Math.PI * 2;
+    const tilt = (planet.axialTilt || 0) * DEGREES;
+
+    const light = illumination(position, star.luminosity, orbit.semiMajorAxis);
+    // The point with the star overhead, from the star's direction turned into the planet's own frame
+    const starDirection = fromEquatorial(light.starDirection, tilt, rotationAngle);
+    light.subStellarLatitude = Math.asin(clamp(starDirection.y, -1, 1)) / DEGREES;
+    light.subStellarLongitude = Math.atan2(-starDirection.z, starDirection.x) / DEGREES;
+
+    const moons = (planet.moonOrbits || []).map((moonOrbit, moonIndex) => evaluateMoonState(moonOrbit, moonIndex, { position, velocity, tilt, luminosity: star.luminosity }, time));
+
+    return {
+        index: index,
+        name: planet.name,
+        position: position,
+        velocity: velocity,
+        distance: distance,
+        trueAnomaly: trueAnomaly,
+        meanAnomaly: wrapTurn(meanAnomaly / (Math.PI * 2)) * 360,
+        rotationPhase: rotationPhase,
+        rotationAngle: rotationAngle,
+        dayLength: calculateDayLength(rotation),
+        illumination: light,
+        moons: moons
+    };
+}
+
+// `offset` is the moon's place relative to its planet in Earth radii; moons keep one face to their planet
+function evaluateMoonState(moonOrbit, index, planet, time) {
+    const rate = Math.PI * 2 / moonOrbit.period;
+    const angle = moonOrbit.phase + rate * time;
+    const sinInclination = Math.sin(moonOrbit.inclination);
+    const cosInclination = Math.cos(moonOrbit.inclination);
+    const r = moonOrbit.distance;
+
+    const offset = toEquatorial({ x: Math.cos(angle) * r, y: Math.sin(angle) * sinInclination * r, z: Math.sin(angle) * cosInclination * r }, planet.tilt);
+    const relativeVelocity = toEquatorial({ x: -Math.sin(angle) * r * rate, y: Math.cos(angle) * sinInclination * r * rate, z: Math.cos(angle) * cosInclination * r * rate }, planet.tilt);
+    const position = addScaled(planet.position, offset, 1 / AU_TO_SCENE_SCALE);
+
+    return {
+        index: index,
+        offset: offset,
+        position: position,
+        velocity: addScaled(planet.velocity, relativeVelocity, 1 / AU_TO_SCENE_SCALE),
+        rotationPhase: wrapTurn(angle / (Math.PI * 2)),
+        rotationAngle: angle,
+        illumination: illumination(position, planet.luminosity, null)
+    };
+}
+
+// Starlight at a position: distance (AU), flux (W/m^2), flux relative to the mean at the semi-major axis
+// and the unit vector towards the star
+function illumination(position, luminosity, semiMajorAxis) {
+    const distance = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+    return {
+        distance: distance,
+        flux: calculateStellarFlux(luminosity, distance),
+        relativeFlux: semiMajorAxis ? Math.pow(semiMajorAxis / distance, 2) : 1,
+        starDirection: { x: -position.x / distance, y: -position.y / distance, z: -position.z / distance }
+    };
+}
+
+// A planet's equator is its orbital frame tipped by the axial tilt about X, as the scene tilts its mesh
+function toEquatorial(vector, tilt) {
+    const c = Math.cos(tilt), s = Math.sin(tilt);
+    return { x: vector.x, y: vector.y * c - vector.z * s, z: vector.y * s + vector.z * c };
+}
+
+// Scene direction into the frame of the turning planet: untilt, then unspin
+function fromEquatorial(vector, tilt, rotationAngle) {
+    const c = Math.cos(tilt), s = Math.sin(tilt);
+    const y = vector.y * c + vector.z * s;
+    const z = -vector.y * s + vector.z * c;
+    const cosSpin = Math.cos(rotationAngle), sinSpin = Math.sin(rotationAngle);
+    return { x: vector.x * cosSpin - z * sinSpin, y: y, z: vector.x * sinSpin + z * cosSpin };
+}
+
+function addScaled(base, vector, scale) {
+    return { x: base.x + vector.x * scale, y: base.y + vector.y * scale, z: base.z + vector.z * scale };
+}
+
+function wrapTurn(turns) {
+    return ((turns % 1) + 1) % 1;
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+export { evaluateSystemState, generateMoonOrbits, planetOrbit, planetOrbitalPeriod, calculateSiderealDay, calculateDayLength, getRotationSpeed, rotationSpeedToEarthHours, AU_TO_SCENE_SCALE };
@@ -0,0 +1,291 @@
+import { getMoleFractions, gasProperties } from './atmosphere.js';
+import { calculateBulkProperties, calculateSurfacePressure } from './atmospherics.js';
+import { calculatePlanetTemperatures } from './greenhouse.js';
+import { calculateStellarFlux } from './climate.js';
+import { calculateTectonicActivity } from './tectonics.js';
+import { assessCoreState } from './crust.js';
+
+// An atmosphere's history from the planet's formation to the star's present age: volcanoes add gas,
+// rain and rock draw the carbon dioxide back down, and the young star's wind strips whatever no
+// magnetic field shields. What is left at the end is the planet's air today
+
+const TIME_STEPS = 40;
+
+// Gough (1981): the Sun began at about 70% of today's output and brightens as it burns its hydrogen.
+// Other stars follow the same curve stretched over their own main-sequence lifetime (10 M^-2.5 Gyr)
+const SOLAR_AGE = 4.57;       // Gyr
+const SOLAR_LIFETIME = 10;    // Gyr
+const YOUNG_STAR_DIMMING = 0.4;
+// Past this share of its lifetime a star leaves the curve, and the model with it
+const MAX_LIFETIME_FRACTION = 1.2;
+// Ultraviolet and wind stay saturated for the first 100 Myr, then fade as t^-1.23 (Ribas et al. 2005)
+const SATURATION_AGE = 0.1;   // Gyr
+const ACTIVITY_DECAY = 1.23;
+
+// Gas the interior releases per billion years (bar) at tectonic activity 1 on an Earth-sized planet;
+// Earth's volcanoes put out about 40 bar of CO2 a billion years today, at an activity of 0.4. Bigger
+// planets hold more volatiles and more heat to drive them out, so the rate goes with the radius squared
+const outgassingRates = {
+    'CO2': 100,
+    'N2': 0.2
+};
+// Carbonate-silicate cycle (Walker et al. 1981): with liquid water, rain and weathering rock pull CO2
+// down until they take it out as fast as the volcanoes put it in, twice as hard for every 13.7 K warmer
+// and in proportion to the square root of the CO2 left. That pins it at Earth's 0.3 mbar for Earth's
+// outgassing and temperature
+const EARTH_CO2_PRESSURE = 3e-4;
+const EARTH_OUTGASSING = 0.4; // tectonic activity times planet size squared
+const EARTH_SURFACE_TEMPERATURE = 15; // °C
+const WEATHERING_TEMPERATURE_SCALE = 13.7;
+const MIN_CARBON_DIOXIDE = 1e-8; // bar
+const WEATHERING_ITERATIONS = 16;
+
+// Atmosphere an Earth-gravity planet without a magnetic field loses to today's Sun's wind at 1 AU,
+// per billion years (bar). Weaker gravity lets it go faster, a dynamo's field deflects most of the wind,
+// and lighter gases go first
+const STRIPPING_RATE = 0.3;
+const MAGNETIC_SHIELDING = 0.1;
+const REFERENCE_MOLAR_MASS = 28.97;
+
+// Gases freeze out onto the coldest ground once their pressure passes their frost point: each has its
+// sublimation temperature at 1 bar (K) and latent heat over the gas constant (K) for Clausius-Clapeyron
+const frostPoints = {
+    'CO2': { temperature: 194.7, latentHeat: 3150 },
+    'N2': { temperature: 77.4, latentHeat: 830 },
+    'CH4': { temperature: 111.7, latentHeat: 1100 },
+    'NH3': { temperature: 239.8, latentHeat: 2900 }
+};
+
+// Below this (bar) what's left is a tenuous exosphere
+const TRACE_PRESSURE = 1e-6;
+// Liquid water needs at least the pressure of water's triple point
+const TRIPLE_POINT_PRESSURE = 6.11e-3;
+// A thick carbon dioxide envelope is of the Venus kind
+const DENSE_PRESSURE = 10;
+
+const giantTypes = ['Gas Giant', 'Ice Giant'];
+
+// `primordialAtmosphere` is the atmosphere type the planet formed with; `star` carries the present
+// luminosity (L_sun), mass (M_sun) and age (Gyr). The present-day atmosphere comes back as a type plus the
+// pressure and mix it has evolved to, with snapshots along the way
+function evolveAtmosphere({ planetType, planetSize, orbitRadius, primordialAtmosphere, star, oceanCoverage = 0 }) {
+    const age = star.age || 0;
+    const isGiant = giantTypes.includes(planetType);
+    const { gravity } = calculateBulkProperties(planetType, planetSize);
+    const lifetime = SOLAR_LIFETIME * Math.pow(Math.max(star.mass || 1, 0.1), -2.5);
+    const presentBrightness = relativeBrightness(age, lifetime);
+
+    // Giants hold their envelopes whatever happens; the rest start from the gas they formed with
+    const initialPressure = calculateSurfacePressure(planetType, planetSize, primordialAtmosphere);
+    const partialPressures = {};
+    Object.entries(getMoleFractions(primordialAtmosphere)).forEach(([gas, fraction]) => {
+        partialPressures[gas] = fraction * initialPressure;
+    });
+
+    let waterCoverage = oceanCoverage;
+    let oceansLost = false;
+    let magneticField = true;
+    const timeline = [];
+    const timeStep = age / TIME_STEPS;
+    const climateAt = luminosity => calculatePlanetTemperatures({
+        stellarFlux: calculateStellarFlux(luminosity, orbitRadius),
+        planetType: planetType,
+        planetSize: planetSize,
+        atmosphere: classifyAtmosphere(partialPressures, planetType, primordialAtmosphere),
+        surfacePressure: totalPressure(partialPressures),
+        moleFractions: normalise(partialPressures),
+        oceanCoverage: waterCoverage
+    });
+
+    for (let k = 1; age > 0 && k <= TIME_STEPS; k++) {
+        const time = k * timeStep;
+        const luminosity = star.luminosity * relativeBrightness(time, lifetime) / presentBrightness;
+        const coreState = assessCoreState(planetSize, planetType, time);
+        const activity = calculateTectonicActivity(planetSize, planetType, coreState, time);
+        magneticField = hasMagneticField(planetType, coreState);
+
+        let outgassing = 0;
+        let stripping = 0;
+        if (!isGiant) {
+            Object.entries(outgassingRates).forEach(([gas, rate]) => {
+                const added = rate * activity * planetSize * planetSize * timeStep;
+                partialPressures[gas] = (partialPressures[gas] || 0) + added;
+                outgassing += added;
+            });
+
+            const wind = stellarActivity(time) * star.luminosity / (orbitRadius * orbitRadius);
+            const loss = STRIPPING_RATE * wind / (gravity * gravity) * (magneticField ? MAGNETIC_SHIELDING : 1) * timeStep;
+            stripping = stripGases(partialPressures, loss);
+        }
+
+        let climate = climateAt(luminosity);
+        if (!isGiant && waterCoverage > 0 && partialPressures['CO2']) {
+            climate = weatherCarbonDioxide(partialPressures, () => climateAt(luminosity), activity * planetSize * planetSize / EARTH_OUTGASSING);
+        }
+        if (!isGiant) {
+            freezeOut(partialPressures, climate.poleTemperature + 273.15);
+        }
+
+        // A runaway greenhouse splits the steam and the hydrogen escapes: the oceans never come back
+        if (climate.runawayGreenhouse) {
+            waterCoverage = 0;
+            oceansLost = true;
+        }
+
+        timeline.push({
+            age: time,
+            luminosity: luminosity,
+            surfaceTemperature: climate.surfaceTemperature,
+            surfacePressure: totalPressure(partialPressures),
+            atmosphere: classifyAtmosphere(partialPressures, planetType, primordialAtmosphere),
+            tectonicActivity: activity,
+            magneticField: magneticField,
+            oceans: waterCoverage > 0,
+            outgassing: outgassing / timeStep, // bar per Gyr
+            stripping: stripping / timeStep
+        });
+    }
+
+    const surfacePressure = isGiant ? initialPressure : totalPressure(partialPressures);
+    return {
+        primordialAtmosphere: primordialAtmosphere,
+        atmosphere: classifyAtmosphere(partialPressures, planetType, primordialAtmosphere),
+        surfacePressure: surfacePressure,
+        partialPressures: partialPressures,
+        moleFractions: normalise(partialPressures),
+        oceanCoverage: waterCoverage,
+        oceansLost: oceansLost,
+        magneticField: magneticField,
+        timeline: timeline
+    };
+}
+
+// Weathering works far faster than a time step (CO2 lasts only millennia in the air), so the CO2 settles
+// where the drawdown at the temperature it sets matches the outgassing. Warmer air only lowers that
+// balance, so bisecting on the CO2 finds it; frozen or boiling oceans don't weather, and with too little
+// CO2 to reach it everything outgassed stays up. Returns the climate at the settled CO2
+function weatherCarbonDioxide(partialPressures, climateAt, outgassingShare) {
+    const available = partialPressures['CO2'];
+    const excess = pressure => {
+        partialPressures['CO2'] = pressure;
+        const climate = climateAt();
+        const liquidWater = totalPressure(partialPressures) >= TRIPLE_POINT_PRESSURE && climate.surfaceTemperature > 0 && climate.surfaceTemperature < 100;
+        if (!liquidWater) {
+            return climate.surfaceTemperature <= 0 ? -Infinity : Infinity;
+        }
+        const equilibrium = EARTH_CO2_PRESSURE * outgassingShare * outgassingShare * Math.exp(-2 * (climate.surfaceTemperature - EARTH_SURFACE_TEMPERATURE) / WEATHERING_TEMPERATURE_SCALE);
+        return Math.log(pressure / equilibrium);
+    };
+
+    if (excess(available) <= 0) {
+        return climateAt();
+    }
+    let low = Math.log(MIN_CARBON_DIOXIDE);
+    let high = Math.log(available);
+    for (let k = 0; k < WEATHERING_ITERATIONS; k++) {
+        const middle = (low + high) / 2;
+        if (excess(Math.exp(middle)) > 0) {
+            high = middle;
+        } else {
+            low = middle;
+        }
+    }
+    partialPressures['CO2'] = Math.exp(high);
+    return climateAt();
+}
+
+// Luminosity on Gough's curve relative to a zero-age star, with time as a share of the star's lifetime
+function relativeBrightness(time, lifetime) {
+    const reference = SOLAR_AGE / SOLAR_LIFETIME * lifetime;
+    const elapsed = Math.min(time, MAX_LIFETIME_FRACTION * lifetime);
+    return 1 / (1 + YOUNG_STAR_DIMMING * (1 - elapsed / reference));
+}
+
+// Wind and ultraviolet relative to today's Sun
+function stellarActivity(time) {
+    return Math.pow(Math.max(time, SATURATION_AGE) / SOLAR_AGE, -ACTIVITY_DECAY);
+}
+
+// A dynamo needs a liquid, convecting core; the giants' metallic hydrogen always has one
+function hasMagneticField(planetType, coreState) {
+    if (giantTypes.includes(planetType)) {
+        return true;
+    }
+    return planetType !== 'Dwarf Planet' && coreState !== 'solid';
+}
+
+// Takes `loss` bar from the atmosphere, lighter gases first, and returns how much actually went
+function stripGases(partialPressures, loss) {
+    const weights = {};
+    let totalWeight = 0;
+    Object.entries(partialPressures).forEach(([gas, pressure]) => {
+        weights[gas] = pressure * REFERENCE_MOLAR_MASS / gasProperties[gas].molarMass;
+        totalWeight += weights[gas];
+    });
+    if (totalWeight === 0) {
+        return 0;
+    }
+
+    let removed = 0;
+    Object.keys(partialPressures).forEach(gas => {
+        const taken = Math.min(partialPressures[gas], loss * weights[gas] / totalWeight);
+        partialPressures[gas] -= taken;
+        removed += taken;
+    });
+    return removed;
+}
+
+// Caps each condensable gas at its vapour pressure over ice at `temperature` (K), the coldest ground's
+function freezeOut(partialPressures, temperature) {
+    Object.entries(frostPoints).forEach(([gas, frost]) => {
+        if (partialPressures[gas]) {
+            const vapourPressure = Math.exp(-frost.latentHeat * (1 / Math.max(temperature, 1) - 1 / frost.temperature));
+            partialPressures[gas] = Math.min(partialPressures[gas], vapourPressure);
+        }
+    });
+}
+
+// Names the mix after the closest of the standard atmosphere types (see atmosphere.js)
+function classifyAtmosphere(partialPressures, planetType, primordialAtmosphere) {
+    if (giantTypes.includes(planetType)) {
+        return primordialAtmosphere;
+    }
+
+    const total = totalPressure(partialPressures);
+    if (total < TRACE_PRESSURE) {
+        return 'trace';
+    }
+    const share = gas => (partialPressures[gas] || 0) / total;
+
+    if (share('NH3') + share('H2') > 0.5) {
+        return 'ammonia_type_I';
+    } else if (share('H2O') + share('CO') + share('CH4') + share('HCN') > 0.5) {
+        return 'carbon_type_I';
+    } else if (share('CO2') > 0.5) {
+        return total > DENSE_PRESSURE ? 'carbon_dioxide_type_II' : 'carbon_dioxide_type_I';
+    } else if (share('CH4') > 0.02) {
+        return 'nitrogen_type_I';
+    } else if (total < TRIPLE_POINT_PRESSURE) {
+        return 'nitrogen_type_II';
+    }
+    return 'nitrogen_type_III';
+}
+
+function totalPressure(partialPressures) {
+    return Object.values(partialPressures).reduce((sum, pressure) => sum + pressure, 0);
+}
+
+function normalise(partialPressures) {
+    const total = totalPressure(partialPressures);
+    const fractions = {};
+    if (total > 0) {
+        Object.entries(partialPressures).forEach(([gas, pressure]) => {
+            if (pressure > 0) {
+                fractions[gas] = pressure / total;
+            }
+        });
+    }
+    return fractions;
+}
+
+export { evolveAtmosphere, classifyAtmosphere };
@@ -0,0 +1,210 @@
+import { random, getRandomValue } from './random.js';
+import { generateSpeciesName } from './names.js';
+
+// Where each biome's animals live, and the ways of getting around that suit it
+const habitatsByBiome = {
+    'deep_ocean': { habitat: 'aquatic', locomotion: ['swimming', 'jet propulsion', 'drifting'] },
+    'ocean_shelf': { habitat: 'aquatic', locomotion: ['swimming', 'crawling', 'jet propulsion'] },
+    'sea_ice': { habitat: 'ice', locomotion: ['swimming', 'walking', 'sliding'] },
+    'beach': { habitat: 'shore', locomotion: ['crawling', 'walking', 'burrowing'] },
+    'tundra': { habitat: 'open', locomotion: ['walking', 'running', 'burrowing'] },
+    'taiga': { habitat: 'forest', locomotion: ['walking', 'climbing', 'burrowing'] },
+    'cold_desert': { habitat: 'open', locomotion: ['running', 'burrowing', 'hopping'] },
+    'grassland': { habitat: 'open', locomotion: ['running', 'hopping', 'burrowing'] },
+    'temperate_forest': { habitat: 'forest', locomotion: ['walking', 'climbing', 'gliding'] },
+    'temperate_rainforest': { habitat: 'forest', locomotion: ['climbing', 'walking', 'gliding'] },
+    'desert': { habitat: 'open', locomotion: ['running', 'burrowing', 'hopping'] },
+    'savanna': { habitat: 'open', locomotion: ['running', 'walking', 'burrowing'] },
+    'tropical_seasonal_forest': { habitat: 'forest', locomotion: ['climbing', 'walking', 'gliding'] },
+    'rainforest': { habitat: 'forest', locomotion: ['climbing', 'gliding', 'walking'] },
+    'alpine': { habitat: 'open', locomotion: ['climbing', 'walking', 'hopping'] }
+};
+
+const bodyPlansByLocomotion = {
+    'swimming': ['streamlined finned', 'paddle-limbed', 'ribbon-bodied'],
+    'jet propulsion': ['tentacled mantle', 'bell-shaped'],
+    'drifting': ['radial', 'bell-shaped', 'colonial'],
+    'crawling': ['many-legged armoured', 'segmented', 'radial'],
+    'sliding': ['flippered', 'sledge-bellied'],
+    'walking': ['quadruped', 'hexapod', 'biped'],
+    'running': ['long-legged quadruped', 'hexapod', 'striding biped'],
+    'hopping': ['spring-legged biped', 'tripod'],
+    'burrowing': ['serpentine', 'segmented', 'shovel-headed quadruped'],
+    'climbing': ['hook-limbed hexapod', 'prehensile-tailed quadruped', 'tentacled'],
+    'gliding': ['membrane-winged quadruped', 'flat-bodied hexapod'],
+    'flapping flight': ['four-winged', 'feathered biped', 'membrane-winged'],
+    'soaring': ['broad-winged', 'sail-backed'],
+    'buoyant floating': ['gas-bladdered', 'balloon-bodied']
+};
+
+// Heaviest animal in kg, at Earth gravity, that can get about this way
+const massLimitsByLocomotion = {
+    'gliding': 30,
+    'flapping flight': 15,
+    'soaring': 25,
+    'burrowing': 50,
+    'buoyant floating': 200
+};
+
+// Body mass ranges in kg on an Earth-gravity world for each way of feeding
+const trophicRoles = {
+    'herbivore': { minMass: 0.01, maxMass: 3000, diets: ['grazer', 'browser', 'seed eater', 'fruit eater', 'filter feeder'] },
+    'predator': { minMass: 0.05, maxMass: 200, diets: ['pursuit hunter', 'ambush hunter', 'insectivore analogue', 'scavenger'] },
+    'apex predator': { minMass: 50, maxMass: 1500, diets: ['pack hunter', 'ambush hunter', 'pursuit hunter'] },
+    'decomposer': { minMass: 0.00001, maxMass: 0.05, diets: ['detritivore', 'fungal analogue', 'carrion recycler'] }
+};
+
+const descriptors = ['Banded', 'Crested', 'Spotted', 'Long-tailed', 'Horned', 'Pale', 'Dusky', 'Spiny', 'Glassy', 'Ridged', 'Plumed', 'Hooded', 'Bristled', 'Frilled', 'Spiral-shelled', 'Lantern'];
+const rolesNouns = {
+    'herbivore': ['Grazer', 'Browser', 'Forager', 'Trundler', 'Nibbler'],
+    'predator': ['Stalker', 'Snapper', 'Hunter', 'Lurker', 'Darter'],
+    'apex predator': ['Tyrant', 'Ravager', 'Reaver', 'Dread'],
+    'decomposer': ['Mould', 'Crawler', 'Creep', 'Mite']
+};
+
+// Ecological efficiency: each step up the food chain keeps about a tenth of the energy below it
+const TROPHIC_EFFICIENCY = 0.1;
+
+// `gravity` and `atmosphereDensity` are relative to Earth's (see atmospherics.js)
+function generateFauna({ flora, gravity = 1, atmosphereDensity = 1, phonology = null }) {
+    if (!flora) {
+        return null;
+    }
+
+    gravity = Math.max(gravity, 0.1);
+    const density = atmosphereDensity;
+    const flight = flightModes(density, gravity);
+    const species = [];
+
+    // Only the biomes with enough land or sea to matter get their own fauna
+    flora.ecosystems.filter(ecosystem => ecosystem.coverage > 0.005 && habitatsByBiome[ecosystem.biome]).forEach(ecosystem => {
+        const habitat = habitatsByBiome[ecosystem.biome];
+
+        // Richer, larger biomes support more species and longer food chains
+        const richness = Math.log10(1 + ecosystem.productivity * ecosystem.coverage * 10);
+        const herbivoreCount = Math.max(1, Math.round(richness * 1.5 + getRandomValue(0, 1)));
+        const predatorCount = Math.max(1, Math.round(richness + getRandomValue(-0.5, 0.5)));
+        const hasApex = ecosystem.productivity * Math.pow(TROPHIC_EFFICIENCY, 2) > 5;
+
+        species.push(createProducer(ecosystem, phonology));
+        for (let k = 0; k < herbivoreCount; k++) {
+            species.push(createAnimal('herbivore', ecosystem, habitat, flight, gravity, phonology));
+        }
+        for (let k = 0; k < predatorCount; k++) {
+            species.push(createAnimal('predator', ecosystem, habitat, flight, gravity, phonology));
+        }
+        if (hasApex) {
+            species.push(createAnimal('apex predator', ecosystem, habitat, flight, gravity, phonology));
+        }
+        species.push(createAnimal('decomposer', ecosystem, habitat, flight, gravity, phonology));
+    });
+
+    return {
+        atmosphereDensity: density,
+        gravity: gravity,
+        flight: flight,
+        species: species,
+        foodWeb: buildFoodWeb(species)
+    };
+}
+
+// Flight gets harder as gravity rises and easier as the air thickens; in very dense air animals can float
+function flightModes(density, gravity) {
+    const lift = density / Math.pow(gravity, 1.5);
+    const modes = [];
+    if (lift > 0.3) {
+        modes.push('flapping flight');
+    }
+    if (lift > 0.8) {
+        modes.push('soaring');
+    }
+    if (lift > 4) {
+        modes.push('buoyant floating');
+    }
+    return modes;
+}
+
+function createProducer(ecosystem, phonology) {
+    return {
+        name: generateSpeciesName(phonology),
+        commonName: `${ecosystem.name} ${ecosystem.growthForm.toLowerCase()}`,
+        trophicLevel: 'producer',
+        biome: ecosystem.biome,
+        bodyPlan: ecosystem.growthForm,
+        locomotion: 'sessile',
+        diet: 'photosynthesis',
+        bodyMass: null,
+        length: ecosystem.canopyHeight,
+        // Dry plant biomass per m^2
+        biomassDensity: ecosystem.biomassDensity
+    };
+}
+
+function createAnimal(role, ecosystem, habitat, flight, gravity, phonology) {
+    const trophic = trophicRoles[role];
+    const locomotion = chooseLocomotion(role, habitat, flight);
+    const bodyPlans = bodyPlansByLocomotion[locomotion];
+    const bodyPlan = bodyPlans[Math.floor(random() * bodyPlans.length)];
+    const diet = habitat.habitat === 'aquatic' && role === 'herbivore' ? 'filter feeder' : trophic.diets[Math.floor(random() * trophic.diets.length)];
+
+    // Stronger gravity shrinks land animals (limbs must carry the weight) unless water carries it instead
+    const gravityFactor = habitat.habitat === 'aquatic' ? 1 : Math.pow(gravity, 1.5);
+    // Fliers and burrowers are capped by what wings can lift and tunnels can fit
+    const maxMass = Math.min(trophic.maxMass / gravityFactor, locomotion in massLimitsByLocomotion ? massLimitsByLocomotion[locomotion] / gravity : Infinity);
+    const minMass = Math.min(trophic.minMass / gravityFactor, maxMass);
+    const bodyMass = Math.exp(getRandomValue(Math.log(minMass), Math.log(maxMass)));
+
+    const nouns = rolesNouns[role];
+    const commonName = `${descriptors[Math.floor(random() * descriptors.length)]} ${ecosystem.name.split(' ').pop()} ${nouns[Math.floor(random() * nouns.length)]}`;
+
+    return {
+        name: generateSpeciesName(phonology),
+        commonName: commonName,
+        trophicLevel: role,
+        biome: ecosystem.biome,
+        bodyPlan: bodyPlan,
+        locomotion: locomotion,
+        diet: diet,
+        bodyMass: bodyMass,
+        // Animals of a given build keep roughly the same density, so length goes with the cube root of mass
+        length: Math.cbrt(bodyMass / 1000) * getRandomValue(1.2, 2.5),
+        biomassDensity: null
+    };
+}
+
+// Most animals get about the way their biome suits; a few take to the air if the air allows it.
+// Decomposers stay small and low, in the litter or the water column
+function chooseLocomotion(role, habitat, flight) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    if (role === 'decomposer') {
+        return habitat.habitat === 'aquatic' ? pick(['drifting', 'crawling']) : pick(['crawling', 'burrowing']);
+    }
+    if (habitat.habitat !== 'aquatic' && flight.length && random() < 0.2) {
+        return pick(flight);
+    }
+    return pick(habitat.locomotion);
+}
+
+// Who eats whom within each biome: herbivores eat the producers, predators the herbivores,
+// apex predators the predators and the larger herbivores, and decomposers everything
+function buildFoodWeb(species) {
+    const links = [];
+    const byBiome = {};
+    species.forEach((organism, index) => {
+        (byBiome[organism.biome] = byBiome[organism.biome] || []).push(index);
+    });
+
+    Object.values(byBiome).forEach(members => {
+        const atLevel = level => members.filter(index => species[index].trophicLevel === level);
+        const link = (eater, eaten) => eaten.forEach(prey => links.push({ predator: eater, prey: prey }));
+
+        atLevel('herbivore').forEach(index => link(index, atLevel('producer')));
+        atLevel('predator').forEach(index => link(index, atLevel('herbivore').filter(prey => species[prey].bodyMass < species[index].bodyMass * 3)));
+        atLevel('apex predator').forEach(index => link(index, atLevel('predator').concat(atLevel('herbivore').filter(prey => species[prey].bodyMass > 10))));
+        atLevel('decomposer').forEach(index => link(index, members.filter(other => species[other].trophicLevel !== 'decomposer')));
+    });
+
+    return links;
+}
+
+export { generateFauna, flightModes };
@@ -0,0 +1,202 @@
+import { random, getRandomValue } from './random.js';
+import { getBaseComposition } from './atmosphere.js';
+import { sampleClimate } from './climate.js';
+import { BIOME_KEYS, BIOMES } from './biomes.js';
+import { cellToLatLon } from './terrain.js';
+
+const EARTH_RADIUS_KM = 6378;
+
+// Leaf pigments evolve to harvest the most plentiful photons that reach the ground, so what they
+// reflect (their colour) follows the star: blue-green under hot stars, green under the Sun,
+// red and finally near-black under cool M dwarfs that shine mostly in the infrared.
+const pigmentsByStarType = {
+    'O': { name: 'UV-screening carotenoid analogue', color: [186, 196, 214], photonFactor: 0.7 },
+    'B': { name: 'UV-screening carotenoid analogue', color: [150, 178, 210], photonFactor: 0.8 },
+    'A': { name: 'Blue-reflecting chlorophyll analogue', color: [72, 112, 168], photonFactor: 1 },
+    'F': { name: 'Blue-green chlorophyll analogue', color: [48, 126, 132], photonFactor: 1.05 },
+    'G': { name: 'Chlorophyll analogue', color: [58, 118, 46], photonFactor: 1 },
+    'K': { name: 'Red-orange bacteriochlorophyll analogue', color: [156, 88, 42], photonFactor: 0.9 },
+    'M': { name: 'Infrared-absorbing black pigment', color: [34, 28, 34], photonFactor: 0.7 }
+};
+
+// Aquatic and frozen biomes have fixed growth forms; land biomes are sorted by their climate
+const aquaticForms = {
+    'deep_ocean': { growthForm: 'Drifting phytoplankton', height: 0, residence: 0.05, maxProductivity: 125 },
+    'ocean_shelf': { growthForm: 'Kelp-like fronds', height: 30, residence: 1, maxProductivity: 400 },
+    'sea_ice': { growthForm: 'Ice algae films', height: 0, residence: 0.2, maxProductivity: 30 }
+};
+
+const barrenBiomes = ['ice_sheet', 'scorched_desert'];
+
+// Years a growth form holds its yearly production as standing biomass, and its height on Earth
+const growthForms = {
+    'Crustose mats': { height: 0.02, residence: 5 },
+    'Succulent rosettes': { height: 1, residence: 4 },
+    'Grass-like sward': { height: 0.8, residence: 1.5 },
+    'Thorn scrub': { height: 4, residence: 6 },
+    'Needle-leaf spires': { height: 30, residence: 25 },
+    'Broadleaf canopy': { height: 30, residence: 20 },
+    'Parkland trees': { height: 15, residence: 10 },
+    'Layered rainforest canopy': { height: 45, residence: 25 }
+};
+
+const traitPool = {
+    'Crustose mats': ['freeze-tolerant spores', 'rock-etching rhizoids', 'symbiotic fungal partners'],
+    'Succulent rosettes': ['water-storing leaves', 'night-opening pores', 'reflective wax coats', 'deep taproots'],
+    'Grass-like sward': ['growth from the base', 'underground runners', 'fire-resistant crowns', 'wind-borne seeds'],
+    'Thorn scrub': ['defensive spines', 'drought-deciduous leaves', 'resinous bark'],
+    'Needle-leaf spires': ['evergreen needles', 'antifreeze sap', 'snow-shedding crowns'],
+    'Broadleaf canopy': ['seasonal leaf drop', 'wide sun-tracking leaves', 'animal-dispersed fruit'],
+    'Parkland trees': ['umbrella crowns', 'fire-scarred bark', 'deep water-seeking roots'],
+    'Layered rainforest canopy': ['buttress roots', 'climbing vines', 'epiphyte gardens', 'drip-tip leaves'],
+    'Drifting phytoplankton': ['silica shells', 'gas-vacuole buoyancy', 'bioluminescent blooms'],
+    'Kelp-like fronds': ['gas-filled floats', 'holdfast anchors', 'fast vertical growth'],
+    'Ice algae films': ['antifreeze proteins', 'brine-channel colonies']
+};
+
+function generateFlora({ biomes, heightmap, climate, seaLevel = 0, starType, atmosphere, planetSize = 1 }) {
+    if (!biomes || biomes.biomeSet !== 'temperate' || !climate) {
+        return null;
+    }
+
+    const pigment = choosePigment(starType);
+    const photosynthesis = (getBaseComposition(atmosphere)['O2'] || 0) > 1 ? 'oxygenic' : 'anoxygenic';
+    // Without free oxygen to make an ozone layer and power metabolism, plants stay small and slow
+    const metabolismFactor = photosynthesis === 'oxygenic' ? 1 : 0.4;
+    // Taller plants must lift water and hold their weight against stronger gravity
+    const gravity = Math.max(planetSize, 0.1);
+
+    const radiusKm = planetSize * EARTH_RADIUS_KM;
+    const conditions = measureBiomeConditions(biomes, heightmap, climate, seaLevel);
+    const ecosystems = [];
+    let totalBiomass = 0;
+    let totalProductivity = 0;
+
+    BIOME_KEYS.forEach(biome => {
+        const condition = conditions[biome];
+        if (!condition || barrenBiomes.includes(biome)) {
+            return;
+        }
+
+        const growthForm = chooseGrowthForm(biome, condition.temperature, condition.precipitation);
+        const form = aquaticForms[biome] || growthForms[growthForm];
+        // Grams of dry matter per m^2 per year
+        const productivity = calculateProductivity(condition.temperature, condition.precipitation, aquaticForms[biome]) * pigment.photonFactor * metabolismFactor;
+        const biomassDensity = productivity * form.residence / 1000; // kg/m^2
+        const areaKm2 = condition.coverage * 4 * Math.PI * radiusKm * radiusKm;
+        const traits = traitPool[growthForm];
+
+        ecosystems.push({
+            biome: biome,
+            name: BIOMES[biome].name,
+            coverage: condition.coverage,
+            growthForm: growthForm,
+            canopyHeight: form.height / gravity * getRandomValue(0.8, 1.2),
+            productivity: productivity,
+            biomassDensity: biomassDensity,
+            // Darker where the growth is densest
+            color: shadeColor(pigment.color, 1.15 - Math.min(biomassDensity / 40, 0.4)),
+            traits: [traits[Math.floor(random() * traits.length)], traits[Math.floor(random() * traits.length)]].filter((trait, i, list) => list.indexOf(trait) === i)
+        });
+
+        totalBiomass += biomassDensity * areaKm2 * 1e6; // kg
+        totalProductivity += productivity * areaKm2 * 1e6 / 1000; // kg per year
+    });
+
+    ecosystems.sort((a, b) => b.biomassDensity * b.coverage - a.biomassDensity * a.coverage);
+
+    return {
+        pigment: pigment,
+        photosynthesis: photosynthesis,
+        ecosystems: ecosystems,
+        totalBiomass: totalBiomass / 1e12, // gigatonnes
+        totalProductivity: totalProductivity / 1e12, // gigatonnes per year
+        vegetatedFraction: ecosystems.filter(ecosystem => !aquaticForms[ecosystem.biome]).reduce((sum, ecosystem) => sum + ecosystem.coverage, 0)
+    };
+}
+
+// Pigment for the star, nudged a little so no two worlds share the exact shade
+function choosePigment(starType) {
+    const base = pigmentsByStarType[starType] || pigmentsByStarType['G'];
+    const color = base.color.map(channel => Math.round(Math.min(Math.max(channel * getRandomValue(0.85, 1.15), 0), 255)));
+    return { name: base.name, color: color, photonFactor: base.photonFactor };
+}
+
+// Area-weighted coverage, temperature and precipitation for every biome on the grid, with the
+// same altitude corrections the biome classifier used
+function measureBiomeConditions(biomes, heightmap, climate, seaLevel) {
+    const { width, height, data } = biomes;
+    const totals = {};
+    let totalWeight = 0;
+
+    for (let j = 0; j < height; j++) {
+        const { lat } = cellToLatLon(0, j, width, height);
+        const { temperature, precipitation } = sampleClimate(climate, lat);
+        const weight = Math.cos(lat * Math.PI / 180);
+
+        for (let i = 0; i < width; i++) {
+            const biome = BIOME_KEYS[data[j * width + i]];
+            const elevation = heightmap ? Math.max(heightmap.data[j * width + i] - seaLevel, 0) : 0;
+            if (!totals[biome]) {
+                totals[biome] = { weight: 0, temperature: 0, precipitation: 0 };
+            }
+            totals[biome].weight += weight;
+            totals[biome].temperature += (temperature - 6.5 * elevation) * weight;
+            totals[biome].precipitation += precipitation * (1 + 0.3 * Math.min(elevation, 3)) * weight;
+            totalWeight += weight;
+        }
+    }
+
+    const conditions = {};
+    Object.entries(totals).forEach(([biome, total]) => {
+        conditions[biome] = {
+            coverage: total.weight / totalWeight,
+            temperature: total.temperature / total.weight,
+            precipitation: total.precipitation / total.weight
+        };
+    });
+    return conditions;
+}
+
+// Thresholds follow the Whittaker bands the biome classifier uses
+function chooseGrowthForm(biome, temperature, precipitation) {
+    if (aquaticForms[biome]) {
+        return aquaticForms[biome].growthForm;
+    }
+    if (biome === 'beach') {
+        return 'Grass-like sward';
+    }
+    if (biome === 'alpine' || temperature < -3) {
+        return 'Crustose mats';
+    }
+
+    if (temperature < 5) {
+        return precipitation < 250 ? 'Succulent rosettes' : 'Needle-leaf spires';
+    } else if (temperature < 20) {
+        if (precipitation < 300) {
+            return 'Succulent rosettes';
+        }
+        return precipitation < 1000 ? 'Grass-like sward' : 'Broadleaf canopy';
+    }
+
+    if (precipitation < 400) {
+        return 'Thorn scrub';
+    } else if (precipitation < 1500) {
+        return 'Parkland trees';
+    }
+    return precipitation < 2500 ? 'Broadleaf canopy' : 'Layered rainforest canopy';
+}
+
+// Miami model: net primary productivity is limited by whichever of warmth or rain runs out first
+function calculateProductivity(temperature, precipitation, aquaticForm) {
+    const byTemperature = 3000 / (1 + Math.exp(1.315 - 0.119 * temperature));
+    // Water is never short in the sea; nutrients keep ocean production low instead
+    const byPrecipitation = aquaticForm ? aquaticForm.maxProductivity : 3000 * (1 - Math.exp(-0.000664 * precipitation));
+    return Math.max(Math.min(byTemperature, byPrecipitation), 0);
+}
+
+function shadeColor(color, factor) {
+    return color.map(channel => Math.round(Math.min(Math.max(channel * factor, 0), 255)));
+}
+
+export { generateFlora };
@@ -0,0 +1,186 @@
+import { getMoleFractions, meanMolecularWeight } from './atmosphere.js';
+import { calculateBulkProperties } from './atmospherics.js';
+import { calculateScattering } from './scattering.js';
+
+// Gray-atmosphere radiative balance: how much starlight a planet keeps, how opaque its air is to
+// the heat it radiates back, and how evenly that heat is spread between day and night, equator and pole
+
+const STEFAN_BOLTZMANN_CONSTANT = 5.67e-8;
+const EARTH_DAY_HOURS = 24;
+const EARTH_AIR_MOLAR_MASS = 28.97;   // g/mol
+const EARTH_SURFACE_TEMPERATURE = 288; // K
+
+// Gray infrared absorption of each greenhouse gas, tau = k (p P)^n with p its partial pressure and P
+// the total pressure that broadens its lines, both in bar. Strong bands saturate, giving n = 1/2; water
+// flattens further because it freezes out above the warm lowest layer, so only that layer thickens as
+// the surface warms. Calibrated on Venus (CO2), Earth (H2O) and Titan (CH4)
+const infraredAbsorption = {
+    'CO2': { strength: 1.8, exponent: 0.5 },
+    'CH4': { strength: 2.7, exponent: 0.5 },
+    'NH3': { strength: 2.7, exponent: 0.5 },
+    'H2O': { strength: 2.4, exponent: 0.25 }
+};
+// Collisions in dense gas absorb too (Titan's N2, Venus's CO2, the H2 of the giants), going with density squared
+const COLLISION_INDUCED_ABSORPTION = 0.03;
+
+// Reflectance of the ground, or of the cloud deck the giants show instead of one
+const surfaceAlbedoByPlanetType = {
+    'Terrestrial': 0.15,
+    'Lava Planet': 0.1,
+    'Ocean World': 0.15,
+    'Dwarf Planet': 0.45,
+    'Gas Giant': 0.34, // Jupiter
+    'Ice Giant': 0.29  // Neptune
+};
+const WATER_ALBEDO = 0.06;
+const ICE_ALBEDO = 0.6;
+// Sea ice starts to spread below the warmer bound and covers everything by the colder one (K)
+const ICE_FREE_TEMPERATURE = 273;
+const FROZEN_TEMPERATURE = 243;
+
+// Water vapour follows Clausius-Clapeyron from the triple point at a fixed relative humidity, up to
+// what the oceans hold: Earth's would make about 270 bar of steam
+const RELATIVE_HUMIDITY = 0.77;
+const TRIPLE_POINT_PRESSURE = 6.11e-3; // bar
+const TRIPLE_POINT_TEMPERATURE = 273.16;
+const LATENT_HEAT_OVER_GAS_CONSTANT = 5420; // K, L / R_v for water
+const EARTH_OCEAN_COVERAGE = 0.7;
+const EARTH_OCEAN_STEAM = 270; // bar
+// A moist atmosphere can radiate no more than this (W/m^2, the Simpson-Nakajima limit): absorb more
+// and the oceans boil away into steam
+const STEAM_EMISSION_LIMIT = 282;
+
+// Clouds condense from the vapour; Earth's cover half the sky and reflect about 40% of what hits them
+const MAX_CLOUD_COVER = 0.5;
+const CLOUD_ALBEDO = 0.4;
+const CLOUDY_VAPOUR_PRESSURE = 0.01; // bar of vapour for full cover
+
+// Air of this pressure (bar) carries half the heat between day and night sides, and between equator and
+// poles; thin air carries little, and a year-long day leaves the night side to cool
+const DAY_NIGHT_TRANSPORT_PRESSURE = 0.1;
+const LATITUDE_TRANSPORT_PRESSURE = 3;
+// Heat stored in the ground and leaking from the interior keeps the darkest side above this (K)
+const MINIMUM_TEMPERATURE = 40;
+
+const ITERATIONS = 40;
+const INITIAL_TEMPERATURE = 300; // K
+
+// `stellarFlux` in W/m^2, `surfacePressure` in bar (from calculateSurfacePressure in atmospherics.js),
+// `dayLength` in hours; temperatures come back in °C. `moleFractions` overrides the atmosphere type's
+// standard mix, for air that has evolved away from it (see evolution.js)
+function calculatePlanetTemperatures({ stellarFlux, planetType, planetSize, atmosphere, surfacePressure = 1, moleFractions = null, oceanCoverage = 0, axialTilt = 0, dayLength = EARTH_DAY_HOURS, isTidallyLocked = false }) {
+    const fractions = moleFractions || getMoleFractions(atmosphere);
+    const { gravity } = calculateBulkProperties(planetType, planetSize);
+    const scattering = calculateScattering({ atmosphere, gravity, surfacePressure, moleFractions: fractions });
+    const skyReflectance = atmosphereReflectance(scattering);
+    const waterInventory = EARTH_OCEAN_STEAM * oceanCoverage / EARTH_OCEAN_COVERAGE;
+
+    // Albedo and water vapour both depend on the temperature they set, so step towards the balance.
+    // Planets form hot, so start warm: a world that could keep open oceans isn't talked into a snowball
+    let temperature = INITIAL_TEMPERATURE;
+    let state = null;
+    for (let k = 0; k < ITERATIONS; k++) {
+        state = radiativeState(temperature, { stellarFlux, planetType, fractions, surfacePressure, oceanCoverage, skyReflectance, waterInventory });
+        temperature = (temperature + state.surfaceTemperature) / 2;
+    }
+
+    const { albedo, equilibriumTemperature, opticalDepth, waterVapourPressure, totalPressure, runawayGreenhouse } = state;
+    const greenhouseFactor = Math.pow(1 + 0.75 * opticalDepth, 0.25);
+    const surfaceTemperature = equilibriumTemperature * greenhouseFactor;
+
+    // Day and night sides (Cowan & Agol 2011): with no transport the day side takes 2/3 of the absorbed
+    // light and the night side none; with full transport both sit at the global mean
+    const rotation = isTidallyLocked ? 0 : EARTH_DAY_HOURS / (EARTH_DAY_HOURS + dayLength);
+    const dayNight = 1 - (1 - transportEfficiency(totalPressure, DAY_NIGHT_TRANSPORT_PRESSURE)) * (1 - rotation);
+    const sideTemperature = share => Math.max(surfaceTemperature * Math.pow(4 * share, 0.25), MINIMUM_TEMPERATURE);
+
+    // Annual mean sunlight by latitude is 1 + s2 P2(sin latitude) (North 1975), s2 set by the tilt;
+    // whatever the air doesn't carry poleward stays where it fell
+    const tilt = axialTilt * Math.PI / 180;
+    const s2 = -5 / 16 * (3 * Math.cos(tilt) * Math.cos(tilt) - 1);
+    const retained = 1 - transportEfficiency(totalPressure, LATITUDE_TRANSPORT_PRESSURE);
+    const latitudeTemperature = p2 => Math.max(surfaceTemperature * Math.pow(Math.max(1 + retained * s2 * p2, 0), 0.25), MINIMUM_TEMPERATURE);
+
+    return {
+        surfaceTemperature: surfaceTemperature - 273.15,
+        dayTemperature: sideTemperature(2 / 3 - 5 / 12 * dayNight) - 273.15,
+        nightTemperature: sideTemperature(dayNight / 4) - 273.15,
+        equatorTemperature: latitudeTemperature(-0.5) - 273.15,
+        poleTemperature: latitudeTemperature(1) - 273.15,
+        equilibriumTemperature: equilibriumTemperature - 273.15,
+        albedo: albedo,
+        opticalDepth: opticalDepth,
+        greenhouseFactor: greenhouseFactor,
+        waterVapourPressure: waterVapourPressure,
+        runawayGreenhouse: runawayGreenhouse,
+        heatTransport: dayNight
+    };
+}
+
+// Bond albedo and infrared optical depth at a trial surface temperature (K)
+function radiativeState(temperature, { stellarFlux, planetType, fractions, surfacePressure, oceanCoverage, skyReflectance, waterInventory }) {
+    const saturatedVapour = RELATIVE_HUMIDITY * saturationVapourPressure(temperature) * Math.min(oceanCoverage / 0.3, 1);
+    let waterVapourPressure = Math.min(saturatedVapour, waterInventory);
+
+    // Ground, then clouds, then the clear sky above them
+    const iceCover = oceanCoverage > 0 ? clamp((ICE_FREE_TEMPERATURE - temperature) / (ICE_FREE_TEMPERATURE - FROZEN_TEMPERATURE), 0, 1) : 0;
+    const landAlbedo = surfaceAlbedoByPlanetType[planetType] || 0.3;
+    const groundAlbedo = (oceanCoverage * WATER_ALBEDO + (1 - oceanCoverage) * landAlbedo) * (1 - iceCover) + ICE_ALBEDO * iceCover;
+    const cloudAlbedo = MAX_CLOUD_COVER * Math.min(waterVapourPressure / CLOUDY_VAPOUR_PRESSURE, 1) * CLOUD_ALBEDO;
+    const albedo = stackReflectance(skyReflectance, stackReflectance(cloudAlbedo, groundAlbedo));
+
+    // The oceans are gone to steam once the air could hold all of them, or once the planet takes in more
+    // light than a moist atmosphere can radiate
+    const runawayGreenhouse = waterInventory > 0 && (saturatedVapour >= waterInventory || stellarFlux * (1 - albedo) / 4 > STEAM_EMISSION_LIMIT);
+    if (runawayGreenhouse) {
+        waterVapourPressure = waterInventory;
+    }
+    const totalPressure = surfacePressure + waterVapourPressure;
+
+    const partialPressures = {};
+    Object.entries(fractions).forEach(([gas, fraction]) => {
+        partialPressures[gas] = fraction * surfacePressure;
+    });
+    partialPressures['H2O'] = (partialPressures['H2O'] || 0) + waterVapourPressure;
+
+    const lineAbsorption = Object.entries(infraredAbsorption).reduce((sum, [gas, { strength, exponent }]) => sum + strength * Math.pow((partialPressures[gas] || 0) * totalPressure, exponent), 0);
+    const relativeDensity = totalPressure * meanMolecularWeight(fractions) / EARTH_AIR_MOLAR_MASS * EARTH_SURFACE_TEMPERATURE / temperature;
+    const opticalDepth = lineAbsorption + COLLISION_INDUCED_ABSORPTION * relativeDensity * relativeDensity;
+
+    const equilibriumTemperature = Math.pow(stellarFlux * (1 - albedo) / (4 * STEFAN_BOLTZMANN_CONSTANT), 0.25);
+    return {
+        albedo: albedo,
+        equilibriumTemperature: equilibriumTemperature,
+        opticalDepth: opticalDepth,
+        surfaceTemperature: equilibriumTemperature * Math.pow(1 + 0.75 * opticalDepth, 0.25),
+        waterVapourPressure: waterVapourPressure,
+        totalPressure: totalPressure,
+        runawayGreenhouse: runawayGreenhouse
+    };
+}
+
+// Sunlight scattered straight back by the gas and haze, from their green-light optical depths;
+// forward-scattering haze counts for less. Two-stream, conservative scattering
+function atmosphereReflectance(scattering) {
+    const depth = scattering.rayleighDepth[1] + (1 - scattering.mieAsymmetry) * scattering.mieDepth;
+    return depth / (depth + 2);
+}
+
+// Reflectance of a layer laid over another, counting the light bouncing between them
+function stackReflectance(top, bottom) {
+    return top + (1 - top) * (1 - top) * bottom / (1 - top * bottom);
+}
+
+function saturationVapourPressure(temperature) {
+    return TRIPLE_POINT_PRESSURE * Math.exp(LATENT_HEAT_OVER_GAS_CONSTANT * (1 / TRIPLE_POINT_TEMPERATURE - 1 / temperature));
+}
+
+function transportEfficiency(pressure, halfPressure) {
+    return pressure / (pressure + halfPressure);
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+export { calculatePlanetTemperatures };
@@ -0,0 +1,154 @@
+import { random } from './random.js';
+
+// Keplerian orbits: each planet's ellipse as six classical elements, and where on it the planet sits.
+// Angles are kept in degrees like the rest of the generated data; positions come back in AU in the
+// scene's frame, where the reference plane is XZ and Y points to the ecliptic north
+
+const DEGREES = Math.PI / 180;
+const SIDEREAL_YEAR_DAYS = 365.256;
+const EARTH_MASS_IN_SOLAR_MASSES = 3.003e-6;
+
+// Spread of the Rayleigh distributions eccentricity and inclination are drawn from: compact rocky
+// systems are nearly circular and flat (Kepler multi-planet systems), giants stir themselves up more
+const elementSpreadByPlanetType = {
+    'Gas Giant': { eccentricity: 0.06, inclination: 1.5 },
+    'Ice Giant': { eccentricity: 0.05, inclination: 1.5 },
+    'Dwarf Planet': { eccentricity: 0.12, inclination: 6 }
+};
+const DEFAULT_SPREAD = { eccentricity: 0.04, inclination: 1.5 };
+const MAX_ECCENTRICITY = 0.6;
+
+const KEPLER_TOLERANCE = 1e-10;
+const KEPLER_ITERATIONS = 30;
+const ORBIT_SEGMENTS = 512;
+
+// `semiMajorAxis` in AU
+function generateOrbitalElements(planetType, semiMajorAxis) {
+    const spread = elementSpreadByPlanetType[planetType] || DEFAULT_SPREAD;
+    return {
+        semiMajorAxis: semiMajorAxis,
+        eccentricity: Math.min(rayleigh(spread.eccentricity), MAX_ECCENTRICITY),
+        inclination: rayleigh(spread.inclination),
+        longitudeOfAscendingNode: random() * 360,
+        argumentOfPeriapsis: random() * 360,
+        meanAnomalyAtEpoch: random() * 360
+    };
+}
+
+// For planets that came without elements (older exports): a circle in the reference plane
+function circularOrbit(semiMajorAxis) {
+    return {
+        semiMajorAxis: semiMajorAxis,
+        eccentricity: 0,
+        inclination: 0,
+        longitudeOfAscendingNode: 0,
+        argumentOfPeriapsis: 0,
+        meanAnomalyAtEpoch: 0
+    };
+}
+
+function rayleigh(sigma) {
+    return sigma * Math.sqrt(-2 * Math.log(1 - random()));
+}
+
+// Eccentric anomaly E from mean anomaly M (radians): M = E - e sin E, by Newton's method from a start
+// that converges for every eccentricity below 1
+function solveKepler(meanAnomaly, eccentricity) {
+    const M = wrapAngle(meanAnomaly);
+    let E = eccentricity < 0.8 ? M : Math.PI;
+    for (let k = 0; k < KEPLER_ITERATIONS; k++) {
+        const step = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= step;
+        if (Math.abs(step) < KEPLER_TOLERANCE) {
+            break;
+        }
+    }
+    return E;
+}
+
+// Position (AU) at a mean anomaly in radians, with the distance from the star and the true anomaly
+function orbitalPosition(elements, meanAnomaly) {
+    const e = elements.eccentricity;
+    const a = elements.semiMajorAxis;
+    const E = solveKepler(meanAnomaly, e);
+
+    // In the orbit's own plane, periapsis along +x
+    const xOrbit = a * (Math.cos(E) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+    const [x, y, z] = rotateToReference(elements, xOrbit, yOrbit);
+
+    return {
+        position: { x: x, y: y, z: z },
+        distance: a * (1 - e * Math.cos(E)),
+        trueAnomaly: Math.atan2(yOrbit, xOrbit) / DEGREES,
+        eccentricAnomaly: E
+    };
+}
+
+// Velocity (AU per Earth day) at a mean anomaly in radians, for an orbit of `period` Earth days
+function orbitalVelocity(elements, meanAnomaly, period) {
+    const e = elements.eccentricity;
+    const a = elements.semiMajorAxis;
+    const E = solveKepler(meanAnomaly, e);
+    // dE/dt = n / (1 - e cos E), with n the mean motion
+    const rate = Math.PI * 2 / period / (1 - e * Math.cos(E));
+
+    const [x, y, z] = rotateToReference(elements, -a * Math.sin(E) * rate, a * Math.sqrt(1 - e * e) * Math.cos(E) * rate);
+    return { x: x, y: y, z: z };
+}
+
+// Orbital plane to reference frame: rotate by the argument of periapsis, tilt by the inclination about
+// the line of nodes, then turn the nodes to their longitude. Ecliptic (x, y, z) maps to scene (x, z, -y),
+// a proper rotation, so prograde motion turns the same way as a positive spin about the scene's Y
+function rotateToReference(elements, xOrbit, yOrbit) {
+    const omega = elements.argumentOfPeriapsis * DEGREES;
+    const node = elements.longitudeOfAscendingNode * DEGREES;
+    const inclination = elements.inclination * DEGREES;
+    const cosOmega = Math.cos(omega), sinOmega = Math.sin(omega);
+    const cosNode = Math.cos(node), sinNode = Math.sin(node);
+    const cosInclination = Math.cos(inclination), sinInclination = Math.sin(inclination);
+
+    const x = (cosNode * cosOmega - sinNode * sinOmega * cosInclination) * xOrbit + (-cosNode * sinOmega - sinNode * cosOmega * cosInclination) * yOrbit;
+    const y = (sinNode * cosOmega + cosNode * sinOmega * cosInclination) * xOrbit + (-sinNode * sinOmega + cosNode * cosOmega * cosInclination) * yOrbit;
+    const z = (sinOmega * sinInclination) * xOrbit + (cosOmega * sinInclination) * yOrbit;
+    return [x, z, -y];
+}
+
+// Points evenly spaced in eccentric anomaly, which crowds them round periapsis where the curve is tightest
+function orbitPoints(elements, segments = ORBIT_SEGMENTS) {
+    const e = elements.eccentricity;
+    const points = [];
+    for (let k = 0; k < segments; k++) {
+        const E = k / segments * Math.PI * 2;
+        points.push(orbitalPosition(elements, E - e * Math.sin(E)).position);
+    }
+    return points;
+}
+
+// Kepler's third law, P^2 = a^3 / (M + m): the period in Earth days from the semi-major axis in AU, the
+// star's mass in solar masses and the planet's in Earth masses (which only tells for the giants)
+function calculateOrbitalPeriod(semiMajorAxis, starMass, planetMass = 0) {
+    return SIDEREAL_YEAR_DAYS * Math.sqrt(Math.pow(semiMajorAxis, 3) / (starMass + planetMass * EARTH_MASS_IN_SOLAR_MASSES));
+}
+
+// Time between two lineups of motions with these periods, in the same units: the solar day from the
+// sidereal day and the year (a negative period runs backwards, as a retrograde spin does), or the time
+// between two planets' conjunctions from their years
+function calculateSynodicPeriod(period, referencePeriod) {
+    return 1 / Math.abs(1 / period - 1 / referencePeriod);
+}
+
+function periapsisDistance(elements) {
+    return elements.semiMajorAxis * (1 - elements.eccentricity);
+}
+
+function apoapsisDistance(elements) {
+    return elements.semiMajorAxis * (1 + elements.eccentricity);
+}
+
+function wrapAngle(angle) {
+    const turn = Math.PI * 2;
+    return ((angle % turn) + turn) % turn;
+}
+
+export { generateOrbitalElements, circularOrbit, solveKepler, orbitalPosition, orbitalVelocity, orbitPoints, calculateOrbitalPeriod, calculateSynodicPeriod, periapsisDistance, apoapsisDistance };
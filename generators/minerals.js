@@ -0,0 +1,338 @@
+import { random, getRandomValue } from './random.js';
+import { elementsData } from './crust.js';
+import { sampleTectonics, latLonToVector } from './tectonics.js';
+import { sampleHeightmap } from './terrain.js';
+import { sampleClimate } from './climate.js';
+
+// Formula units as atom counts. Layer weights are the mineral's typical share (%) of that layer on
+// Earth; `setting` ties crustal minerals to granitic (felsic) continents or basaltic (mafic) sea
+// floor, and ices need the cold. A planet's own composition then shifts these Earth proportions.
+const MINERALS = [
+    // Silicates
+    { name: 'Quartz', formula: 'SiO2', group: 'silicate', atoms: { Si: 1, O: 2 }, layers: { crust: 20 }, setting: 'felsic' },
+    { name: 'Orthoclase', formula: 'KAlSi3O8', group: 'silicate', atoms: { K: 1, Al: 1, Si: 3, O: 8 }, layers: { crust: 15 }, setting: 'felsic' },
+    { name: 'Albite', formula: 'NaAlSi3O8', group: 'silicate', atoms: { Na: 1, Al: 1, Si: 3, O: 8 }, layers: { crust: 25 }, setting: 'felsic' },
+    { name: 'Muscovite', formula: 'KAl3Si3O10(OH)2', group: 'silicate', atoms: { K: 1, Al: 3, Si: 3, O: 12, H: 2 }, layers: { crust: 5 }, setting: 'felsic', needsWater: true },
+    { name: 'Anorthite', formula: 'CaAl2Si2O8', group: 'silicate', atoms: { Ca: 1, Al: 2, Si: 2, O: 8 }, layers: { crust: 30 }, setting: 'mafic' },
+    { name: 'Diopside', formula: 'CaMgSi2O6', group: 'silicate', atoms: { Ca: 1, Mg: 1, Si: 2, O: 6 }, layers: { crust: 25, mantle: 10 }, setting: 'mafic' },
+    { name: 'Serpentine', formula: 'Mg3Si2O5(OH)4', group: 'silicate', atoms: { Mg: 3, Si: 2, O: 9, H: 4 }, layers: { crust: 5 }, setting: 'mafic', needsWater: true },
+    { name: 'Forsterite', formula: 'Mg2SiO4', group: 'silicate', atoms: { Mg: 2, Si: 1, O: 4 }, layers: { crust: 8, mantle: 55 }, setting: 'mafic' },
+    { name: 'Fayalite', formula: 'Fe2SiO4', group: 'silicate', atoms: { Fe: 2, Si: 1, O: 4 }, layers: { crust: 2, mantle: 5 }, setting: 'mafic' },
+    { name: 'Enstatite', formula: 'MgSiO3', group: 'silicate', atoms: { Mg: 1, Si: 1, O: 3 }, layers: { crust: 5, mantle: 20 }, setting: 'mafic' },
+    { name: 'Pyrope', formula: 'Mg3Al2Si3O12', group: 'silicate', atoms: { Mg: 3, Al: 2, Si: 3, O: 12 }, layers: { mantle: 10 } },
+    // Enstatite collapses into the perovskite structure under the lower mantle of large planets
+    { name: 'Bridgmanite', formula: 'MgSiO3', group: 'silicate', atoms: { Mg: 1, Si: 1, O: 3 }, layers: { mantle: 60 }, minPlanetSize: 0.6 },
+
+    // Oxides and hydroxides
+    { name: 'Magnetite', formula: 'Fe3O4', group: 'oxide', atoms: { Fe: 3, O: 4 }, layers: { crust: 2 } },
+    { name: 'Hematite', formula: 'Fe2O3', group: 'oxide', atoms: { Fe: 2, O: 3 }, layers: { crust: 1 }, needsWater: true },
+    { name: 'Ilmenite', formula: 'FeTiO3', group: 'oxide', atoms: { Fe: 1, Ti: 1, O: 3 }, layers: { crust: 2 }, setting: 'mafic' },
+    { name: 'Rutile', formula: 'TiO2', group: 'oxide', atoms: { Ti: 1, O: 2 }, layers: { crust: 0.1 } },
+    { name: 'Chromite', formula: 'FeCr2O4', group: 'oxide', atoms: { Fe: 1, Cr: 2, O: 4 }, layers: { crust: 0.05, mantle: 0.2 }, setting: 'mafic' },
+    { name: 'Corundum', formula: 'Al2O3', group: 'oxide', atoms: { Al: 2, O: 3 }, layers: { crust: 0.01 } },
+    { name: 'Gibbsite', formula: 'Al(OH)3', group: 'oxide', atoms: { Al: 1, O: 3, H: 3 }, layers: { crust: 0.5 }, needsWater: true },
+    { name: 'Cassiterite', formula: 'SnO2', group: 'oxide', atoms: { Sn: 1, O: 2 }, layers: { crust: 0.0002 }, setting: 'felsic' },
+    { name: 'Periclase', formula: 'MgO', group: 'oxide', atoms: { Mg: 1, O: 1 }, layers: { mantle: 15 }, minPlanetSize: 0.6 },
+
+    // Sulfides
+    { name: 'Pyrite', formula: 'FeS2', group: 'sulfide', atoms: { Fe: 1, S: 2 }, layers: { crust: 0.5 } },
+    { name: 'Troilite', formula: 'FeS', group: 'sulfide', atoms: { Fe: 1, S: 1 }, layers: { crust: 0.02, core: 10 } },
+    { name: 'Pentlandite', formula: '(Fe,Ni)9S8', group: 'sulfide', atoms: { Fe: 4.5, Ni: 4.5, S: 8 }, layers: { crust: 0.01, mantle: 0.05 }, setting: 'mafic' },
+    { name: 'Chalcopyrite', formula: 'CuFeS2', group: 'sulfide', atoms: { Cu: 1, Fe: 1, S: 2 }, layers: { crust: 0.01 } },
+    { name: 'Sphalerite', formula: 'ZnS', group: 'sulfide', atoms: { Zn: 1, S: 1 }, layers: { crust: 0.01 } },
+    { name: 'Galena', formula: 'PbS', group: 'sulfide', atoms: { Pb: 1, S: 1 }, layers: { crust: 0.002 }, setting: 'felsic' },
+    { name: 'Molybdenite', formula: 'MoS2', group: 'sulfide', atoms: { Mo: 1, S: 2 }, layers: { crust: 0.0005 }, setting: 'felsic' },
+    { name: 'Acanthite', formula: 'Ag2S', group: 'sulfide', atoms: { Ag: 2, S: 1 }, layers: { crust: 0.00001 } },
+    { name: 'Cinnabar', formula: 'HgS', group: 'sulfide', atoms: { Hg: 1, S: 1 }, layers: { crust: 0.00001 } },
+
+    // Native metals
+    { name: 'Iron-Nickel Alloy', formula: 'FeNi', group: 'metal', atoms: { Fe: 9, Ni: 1 }, layers: { core: 90 } },
+    { name: 'Native Gold', formula: 'Au', group: 'metal', atoms: { Au: 1 }, layers: { crust: 0.000001 } },
+    { name: 'Native Platinum', formula: 'Pt', group: 'metal', atoms: { Pt: 1 }, layers: { crust: 0.000001 }, setting: 'mafic' },
+
+    // Ices, stable only below their melting (or sublimation) point in C
+    { name: 'Water Ice', formula: 'H2O', group: 'ice', atoms: { H: 2, O: 1 }, layers: { crust: 60, mantle: 65 }, maxTemperature: 0 },
+    { name: 'Carbon Dioxide Ice', formula: 'CO2', group: 'ice', atoms: { C: 1, O: 2 }, layers: { crust: 3 }, maxTemperature: -78 },
+    { name: 'Ammonia Ice', formula: 'NH3', group: 'ice', atoms: { N: 1, H: 3 }, layers: { crust: 2, mantle: 15 }, maxTemperature: -78 },
+    { name: 'Methane Ice', formula: 'CH4', group: 'ice', atoms: { C: 1, H: 4 }, layers: { crust: 1, mantle: 20 }, maxTemperature: -182 },
+    { name: 'Nitrogen Ice', formula: 'N2', group: 'ice', atoms: { N: 2 }, layers: { crust: 2 }, maxTemperature: -210 }
+];
+
+const MINERAL_GROUPS = ['silicate', 'oxide', 'sulfide', 'metal', 'ice'];
+
+// Which layers each planet type builds minerals in; giants have no crust to speak of, and the
+// "mantle" of an ice giant is a hot, dense slush of water, ammonia and methane
+const layersByType = {
+    'Terrestrial': ['crust', 'mantle', 'core'],
+    'Ocean World': ['crust', 'mantle', 'core'],
+    'Lava Planet': ['crust', 'mantle', 'core'],
+    'Dwarf Planet': ['crust', 'mantle', 'core'],
+    'Gas Giant': ['core'],
+    'Ice Giant': ['mantle', 'core']
+};
+
+// Ore deposit styles. Grades are typical of economic deposits on Earth, in % or grams per tonne;
+// tonnage in millions of tonnes of ore. `rate` is the expected number per unit of their setting.
+const DEPOSIT_TYPES = {
+    'porphyry_copper': { name: 'Porphyry Copper', setting: 'convergent', commodity: 'Cu', grade: 0.6, unit: '%', tonnage: 500, minerals: ['Chalcopyrite', 'Molybdenite', 'Pyrite'], rate: 1.5 },
+    'epithermal_gold': { name: 'Epithermal Gold-Silver', setting: 'convergent', commodity: 'Au', grade: 5, unit: 'g/t', tonnage: 5, minerals: ['Native Gold', 'Acanthite', 'Cinnabar'], rate: 1 },
+    'tin_granite': { name: 'Granite-Hosted Tin', setting: 'convergent', commodity: 'Sn', grade: 0.8, unit: '%', tonnage: 10, minerals: ['Cassiterite', 'Quartz'], rate: 0.5, crust: 'continental' },
+    'orogenic_gold': { name: 'Orogenic Gold', setting: 'transform', commodity: 'Au', grade: 6, unit: 'g/t', tonnage: 10, minerals: ['Native Gold', 'Pyrite', 'Quartz'], rate: 1 },
+    'volcanogenic_massive_sulfide': { name: 'Volcanogenic Massive Sulfide', setting: 'divergent', commodity: 'Zn', grade: 5, unit: '%', tonnage: 20, minerals: ['Sphalerite', 'Chalcopyrite', 'Galena', 'Pyrite'], rate: 1.5, crust: 'oceanic', needsWater: true },
+    'magmatic_nickel': { name: 'Magmatic Nickel Sulfide', setting: 'divergent', commodity: 'Ni', grade: 1.5, unit: '%', tonnage: 50, minerals: ['Pentlandite', 'Chalcopyrite', 'Native Platinum'], rate: 0.8, crust: 'continental' },
+    'layered_chromitite': { name: 'Layered Chromitite', setting: 'intraplate', commodity: 'Cr', grade: 40, unit: '%', tonnage: 100, minerals: ['Chromite', 'Native Platinum'], rate: 0.4, minAge: 2 },
+    'banded_iron': { name: 'Banded Iron Formation', setting: 'intraplate', commodity: 'Fe', grade: 55, unit: '%', tonnage: 1000, minerals: ['Hematite', 'Magnetite', 'Quartz'], rate: 0.8, minAge: 1.5, needsWater: true },
+    'impact_nickel': { name: 'Impact Melt Sheet', setting: 'anywhere', commodity: 'Ni', grade: 1.2, unit: '%', tonnage: 100, minerals: ['Pentlandite', 'Chalcopyrite', 'Troilite'], rate: 0.4 },
+    'placer_gold': { name: 'Placer Gold', setting: 'river', commodity: 'Au', grade: 1, unit: 'g/t', tonnage: 2, minerals: ['Native Gold', 'Cassiterite'], rate: 0.5 },
+    'lithium_brine': { name: 'Lithium Brine', setting: 'salt lake', commodity: 'Li', grade: 0.1, unit: '%', tonnage: 50, minerals: [], rate: 0.5 },
+    'bauxite': { name: 'Bauxite Laterite', setting: 'tropical', commodity: 'Al', grade: 45, unit: '%', tonnage: 200, minerals: ['Gibbsite', 'Hematite'], rate: 1.5 },
+    'polar_ice': { name: 'Buried Ice Sheet', setting: 'polar', commodity: 'H2O', element: 'H', grade: 90, unit: '%', tonnage: 1000, minerals: ['Water Ice'], rate: 1.5 }
+};
+
+const MAX_DEPOSITS_PER_TYPE = 6;
+
+function generateMinerals({ planetType, planetSize = 1, composition, geologicalData, surface = null, oceans = null, climate = null, surfaceTemperature = 15, starAge = 0 }) {
+    const fractions = toMassFractions(composition) || referenceFractions();
+    const tectonics = geologicalData ? geologicalData.tectonics : null;
+    const hasWater = !!(oceans && oceans.coverage > 0);
+    const continentalFraction = calculateContinentalFraction(tectonics, planetType);
+
+    const reference = referenceFractions();
+
+    const assemblages = {};
+    (layersByType[planetType] || layersByType['Terrestrial']).forEach(layer => {
+        assemblages[layer] = buildAssemblage(layer, fractions, reference, { planetType, planetSize, hasWater, continentalFraction, surfaceTemperature });
+    });
+
+    const deposits = surface ? placeDeposits(fractions, reference, { tectonics, surface, oceans, climate, hasWater, starAge, surfaceTemperature }) : [];
+
+    return { assemblages, deposits };
+}
+
+function toMassFractions(composition) {
+    if (!composition) {
+        return null;
+    }
+    const total = Object.values(composition).reduce((sum, mass) => sum + (mass > 0 ? mass : 0), 0);
+    if (total <= 0) {
+        return null;
+    }
+
+    const fractions = {};
+    Object.entries(composition).forEach(([symbol, mass]) => {
+        fractions[symbol] = mass > 0 ? mass / total : 0;
+    });
+    return fractions;
+}
+
+// Earth's crust, for planets without a composition and as the yardstick for enrichment
+function referenceFractions() {
+    const reference = {};
+    elementsData.elements.forEach(element => {
+        reference[element.symbol] = element.abundance || 0;
+    });
+    return toMassFractions(reference);
+}
+
+// A planet richer or poorer than Earth in a mineral's scarcest ingredient has more or less of it
+function mineralEnrichment(mineral, fractions, reference) {
+    return Object.keys(mineral.atoms).reduce((lowest, symbol) => {
+        const ratio = reference[symbol] > 0 ? (fractions[symbol] || 0) / reference[symbol] : 1;
+        return Math.min(lowest, ratio);
+    }, Infinity);
+}
+
+function calculateContinentalFraction(tectonics, planetType) {
+    if (!tectonics || tectonics.plates.length === 0) {
+        return 0.3;
+    }
+    const continental = tectonics.plates.filter(plate => plate.crust === 'continental').reduce((sum, plate) => sum + plate.area, 0);
+    // Lava worlds keep resurfacing themselves in basalt before granite can differentiate
+    return planetType === 'Lava Planet' ? continental * 0.3 : continental;
+}
+
+function buildAssemblage(layer, fractions, reference, { planetType, planetSize, hasWater, continentalFraction, surfaceTemperature }) {
+    const weights = {};
+    let total = 0;
+
+    MINERALS.forEach(mineral => {
+        const layerWeight = mineral.layers[layer];
+        if (!layerWeight) {
+            return;
+        }
+        if (mineral.minPlanetSize && planetSize < mineral.minPlanetSize) {
+            return;
+        }
+        if (mineral.needsWater && !hasWater) {
+            return;
+        }
+        // Deep ices are held solid by pressure; at the surface they need the cold
+        if (mineral.group === 'ice') {
+            const isIceMantle = layer === 'mantle' && planetType === 'Ice Giant';
+            if (layer === 'mantle' ? !isIceMantle : surfaceTemperature > mineral.maxTemperature) {
+                return;
+            }
+        } else if (layer === 'mantle' && planetType === 'Ice Giant') {
+            return;
+        }
+
+        let settingWeight = 1;
+        if (layer === 'crust' && mineral.setting === 'felsic') {
+            settingWeight = continentalFraction;
+        } else if (layer === 'crust' && mineral.setting === 'mafic') {
+            settingWeight = 1 - continentalFraction;
+        }
+
+        const weight = layerWeight * settingWeight * mineralEnrichment(mineral, fractions, reference);
+        if (weight > 0) {
+            weights[mineral.name] = weight;
+            total += weight;
+        }
+    });
+
+    const minerals = Object.entries(weights)
+        .map(([name, weight]) => {
+            const mineral = MINERALS.find(candidate => candidate.name === name);
+            return { name: name, formula: mineral.formula, group: mineral.group, percent: weight / total * 100 };
+        })
+        .sort((a, b) => b.percent - a.percent);
+
+    const groups = {};
+    MINERAL_GROUPS.forEach(group => {
+        groups[group] = minerals.filter(mineral => mineral.group === group).reduce((sum, mineral) => sum + mineral.percent, 0);
+    });
+
+    return { minerals, groups };
+}
+
+function placeDeposits(fractions, reference, context) {
+    const candidates = findCandidateSites(context);
+    const deposits = [];
+
+    Object.entries(DEPOSIT_TYPES).forEach(([type, depositType]) => {
+        if (depositType.needsWater && !context.hasWater) {
+            return;
+        }
+        if (depositType.minAge && context.starAge < depositType.minAge) {
+            return;
+        }
+
+        let sites = candidates[depositType.setting] || [];
+        if (depositType.crust) {
+            sites = sites.filter(site => site.crust === depositType.crust);
+        }
+        if (sites.length === 0) {
+            return;
+        }
+
+        // Boundaries and rivers are measured in units of 10,000 km; other settings count once per planet
+        const expected = depositType.rate * candidates.measure[depositType.setting] * (sites.length / (candidates[depositType.setting].length || 1));
+        const count = Math.min(Math.floor(expected + random()), MAX_DEPOSITS_PER_TYPE);
+
+        // Richer source rock makes richer ore, though concentration processes matter more
+        const element = depositType.element || depositType.commodity;
+        const enrichment = Math.sqrt(Math.min(Math.max((fractions[element] || 0) / (reference[element] || 1), 0.1), 10));
+
+        for (let k = 0; k < count; k++) {
+            const site = sites[Math.floor(random() * sites.length)];
+            const grade = Math.min(depositType.grade * enrichment * logNormal(0.4), depositType.unit === '%' ? 95 : Infinity);
+            const elevation = sampleHeightmap(context.surface.heightmap, site.lat, site.lon) - context.surface.seaLevel;
+
+            deposits.push({
+                type: type,
+                name: depositType.name,
+                commodity: depositType.commodity,
+                minerals: depositType.minerals,
+                grade: grade,
+                unit: depositType.unit,
+                tonnage: depositType.tonnage * logNormal(0.8),
+                lat: site.lat,
+                lon: site.lon,
+                offshore: elevation < 0
+            });
+        }
+    });
+
+    return deposits;
+}
+
+// Places each deposit setting could occur, plus how much of that setting the planet has
+function findCandidateSites({ tectonics, surface, oceans, climate, surfaceTemperature }) {
+    const candidates = { convergent: [], divergent: [], transform: [], intraplate: [], anywhere: [], river: [], 'salt lake': [], tropical: [], polar: [] };
+    const measure = { convergent: 0, divergent: 0, transform: 0, intraplate: 1, anywhere: 1, river: 0, 'salt lake': 0, tropical: 1, polar: 1 };
+    const crustAt = (lat, lon) => {
+        if (!tectonics || tectonics.plates.length === 0) {
+            return 'oceanic';
+        }
+        const p = latLonToVector(lat, lon);
+        return sampleTectonics(tectonics, p[0], p[1], p[2]).plate.crust;
+    };
+
+    if (tectonics) {
+        tectonics.boundaries.forEach(boundary => {
+            measure[boundary.type] += boundary.length / 10000;
+            boundary.points.forEach(point => {
+                candidates[point.type].push({ lat: point.lat, lon: point.lon, crust: crustAt(point.lat, point.lon) });
+            });
+        });
+    }
+
+    // Uniform random spots on the sphere for settings that are not tied to a feature
+    for (let k = 0; k < 200; k++) {
+        const lat = Math.asin(getRandomValue(-1, 1)) * 180 / Math.PI;
+        const lon = getRandomValue(-180, 180);
+        const site = { lat: lat, lon: lon, crust: crustAt(lat, lon) };
+        const elevation = sampleHeightmap(surface.heightmap, lat, lon) - surface.seaLevel;
+
+        candidates.anywhere.push(site);
+        if (tectonics && tectonics.plates.length > 1) {
+            const p = latLonToVector(lat, lon);
+            if (site.crust === 'continental' && sampleTectonics(tectonics, p[0], p[1], p[2]).boundaryDistance > 0.2) {
+                candidates.intraplate.push(site);
+            }
+        } else {
+            candidates.intraplate.push(site);
+        }
+        if (climate && elevation > 0 && Math.abs(lat) < 25 && sampleClimate(climate, lat).precipitation > 1500) {
+            candidates.tropical.push(site);
+        }
+        if (surfaceTemperature < 0 || (climate && sampleClimate(climate, lat).temperature < -20)) {
+            if (Math.abs(lat) > 60 || surfaceTemperature < -50) {
+                candidates.polar.push(site);
+            }
+        }
+    }
+
+    if (surface.rivers) {
+        surface.rivers.rivers.forEach(river => {
+            measure.river += river.length / 10000;
+            // Gold settles where the current slackens, along the middle and lower course
+            river.points.slice(Math.floor(river.points.length / 2), -1).forEach(point => {
+                candidates.river.push({ lat: point.lat, lon: point.lon, crust: 'continental' });
+            });
+        });
+        surface.rivers.lakes.filter(lake => lake.endorheic).forEach(lake => {
+            measure['salt lake'] += 1;
+            candidates['salt lake'].push({ lat: lake.lat, lon: lake.lon, crust: 'continental' });
+        });
+    }
+
+    // Ocean worlds drown their tropics and polar plains alike
+    if (oceans && oceans.coverage >= 1) {
+        candidates.tropical = [];
+        candidates.polar = [];
+    }
+
+    candidates.measure = measure;
+    return candidates;
+}
+
+// Multiplier with a median of 1; ore grades and tonnages are famously log-normal
+function logNormal(sigma) {
+    const u = Math.max(random(), 1e-9);
+    const v = random();
+    const normal = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    return Math.exp(normal * sigma);
+}
+
+export { generateMinerals, MINERALS, MINERAL_GROUPS, DEPOSIT_TYPES };
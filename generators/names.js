@@ -1,27 +1,207 @@
-function generatePlanetName(systemNumber, planetIndex, atmosphereType, geologicalActivity, moonCount) {
-    const bodyType = 'P'; // 'P' for planet
-    atmosphereType = atmosphereType || getRandomAtmosphereType();
-    geologicalActivity = geologicalActivity || getRandomGeologicalActivity();
-    moonCount = moonCount || getRandomMoonCount();
+import { random, createRandom, deriveSeed } from './random.js';
 
-    return `${bodyType}-${systemNumber}-${planetIndex}-${atmosphereType}-${geologicalActivity}-${moonCount}`;
+// Every sound a language can draw on; each phonology keeps its own subset, so all the names
+// one system (or one people) coins sound alike while two systems sound different
+const CONSONANTS = ['p', 'b', 't', 'd', 'k', 'g', 'm', 'n', 's', 'z', 'f', 'v', 'l', 'r', 'h', 'sh', 'th', 'ch', 'kh', 'y', 'w', 'j'];
+// Sounds nearly every language has, so small inventories still keep some of them
+const COMMON_CONSONANTS = ['t', 'k', 'm', 'n', 's', 'l', 'r'];
+const VOWELS = ['a', 'e', 'i', 'o', 'u'];
+const DIPHTHONGS = ['aa', 'ae', 'ei', 'ou', 'ai', 'ia'];
+const ONSET_CLUSTERS = ['br', 'dr', 'tr', 'kr', 'gr', 'pr', 'st', 'sk', 'sp', 'pl', 'kl', 'fl', 'bl', 'sl'];
+const CODAS = ['n', 'm', 'r', 'l', 's', 'k', 't', 'th', 'nd', 'rn', 'st', 'sh'];
+// C: consonant or cluster at the start, V: vowel, K: consonant at the end
+const SYLLABLE_STRUCTURES = ['CV', 'CVK', 'V', 'VK', 'CV', 'CVK'];
+
+// Syllable counts for each kind of name, and whether the kind carries a suffix of its own
+const nameStyles = {
+    'star': { minSyllables: 2, maxSyllables: 3, suffixChance: 0.5 },
+    'planet': { minSyllables: 2, maxSyllables: 3, suffixChance: 0.3 },
+    'moon': { minSyllables: 1, maxSyllables: 2, suffixChance: 0.2 },
+    'region': { minSyllables: 2, maxSyllables: 3, suffixChance: 0.6 },
+    'stem': { minSyllables: 1, maxSyllables: 2, suffixChance: 0 },
+    'word': { minSyllables: 1, maxSyllables: 3, suffixChance: 0 }
+};
+// Shortest and longest names worth keeping; anything outside is redrawn
+const MIN_NAME_LENGTH = 3;
+const MAX_NAME_LENGTH = 11;
+const NAME_ATTEMPTS = 10;
+
+// Latinate endings that mark a binomial, whatever the language of the stem
+const genusEndings = ['ix', 'us', 'odon', 'ops', 'ella', 'aria', 'ax', 'ites', 'ia'];
+const speciesEndings = ['ensis', 'icus', 'alis', 'ata', 'osus', 'ii', 'ina', 'ifer'];
+
+// Stand-in for species named outside any system's language
+const LATIN_PHONOLOGY = {
+    seed: 0,
+    consonants: ['b', 'c', 'd', 'l', 'm', 'n', 'p', 'r', 's', 't', 'v'],
+    vowels: ['a', 'e', 'i', 'o', 'u'],
+    diphthongs: ['ae'],
+    clusters: ['tr', 'pr', 'cr'],
+    codas: ['n', 'r', 's', 'l'],
+    structures: ['CV', 'CVK', 'V'],
+    suffixes: {}
+};
+
+// Roman numerals for moons in catalogue designations
+const ROMAN_NUMERALS = [['M', 1000], ['CM', 900], ['D', 500], ['CD', 400], ['C', 100], ['XC', 90], ['L', 50], ['XL', 40], ['X', 10], ['IX', 9], ['V', 5], ['IV', 4], ['I', 1]];
+const CATALOGUE_PREFIX = 'PGS';
+
+function createPhonology(seed) {
+    const draw = createRandom(seed);
+    const subset = (list, count) => shuffle(list, draw).slice(0, count);
+
+    const consonants = Array.from(new Set(subset(COMMON_CONSONANTS, 4).concat(subset(CONSONANTS, 5 + Math.floor(draw() * 8)))));
+    const phonology = {
+        seed: seed,
+        consonants: consonants,
+        vowels: subset(VOWELS, 3 + Math.floor(draw() * 3)),
+        diphthongs: subset(DIPHTHONGS, Math.floor(draw() * 3)),
+        // Clusters and codas only use consonants the language already has
+        clusters: subset(ONSET_CLUSTERS, Math.floor(draw() * 5)).filter(cluster => cluster.split('').every(letter => consonants.includes(letter))),
+        codas: subset(CODAS, 2 + Math.floor(draw() * 5)).filter(coda => coda.split('').every(letter => consonants.some(consonant => consonant.includes(letter)))),
+        structures: subset(SYLLABLE_STRUCTURES, 2 + Math.floor(draw() * 3)),
+        suffixes: {}
+    };
+    if (phonology.codas.length === 0) {
+        phonology.structures = phonology.structures.filter(structure => !structure.includes('K')).concat(['CV']);
+    }
+
+    // A stock suffix per kind of name gives a system its house style (every star ending in -ra, say)
+    Object.keys(nameStyles).forEach(kind => {
+        phonology.suffixes[kind] = buildSyllable(phonology, 'CV', draw).toLowerCase();
+    });
+
+    return phonology;
+}
+
+// Seeded draws from a phonology's inventory; `draw` defaults to the shared stream
+function generateWord(phonology, draw = random, kind = 'word') {
+    const style = nameStyles[kind] || nameStyles['word'];
+    const pick = list => list[Math.floor(draw() * list.length)];
+
+    let word = '';
+    for (let attempt = 0; attempt < NAME_ATTEMPTS; attempt++) {
+        const syllableCount = style.minSyllables + Math.floor(draw() * (style.maxSyllables - style.minSyllables + 1));
+        word = '';
+        for (let k = 0; k < syllableCount; k++) {
+            let structure = pick(phonology.structures);
+            // A vowel-initial syllable after a vowel would run the two together, so give it an onset
+            if (structure[0] === 'V' && /[aeiou]$/.test(word)) {
+                structure = 'C' + structure;
+            }
+            word += buildSyllable(phonology, structure, draw);
+        }
+        if (draw() < style.suffixChance) {
+            word += phonology.suffixes[kind];
+        }
+        word = tidyWord(word);
+        if (word.length >= MIN_NAME_LENGTH && word.length <= MAX_NAME_LENGTH) {
+            break;
+        }
+    }
+
+    return capitalize(word);
+}
+
+function buildSyllable(phonology, structure, draw) {
+    const pick = list => list[Math.floor(draw() * list.length)];
+    let syllable = '';
+    for (const slot of structure) {
+        if (slot === 'C') {
+            syllable += phonology.clusters.length && draw() < 0.2 ? pick(phonology.clusters) : pick(phonology.consonants);
+        } else if (slot === 'V') {
+            syllable += phonology.diphthongs.length && draw() < 0.2 ? pick(phonology.diphthongs) : pick(phonology.vowels);
+        } else if (phonology.codas.length) {
+            syllable += pick(phonology.codas);
+        }
+    }
+    return syllable;
+}
+
+// Squeezes out runs no one could say: tripled letters, and more than two vowels or consonants in a row
+function tidyWord(word) {
+    return word
+        .replace(/(.)\1\1+/g, '$1$1')
+        .replace(/([aeiou]{2})[aeiou]+/g, '$1')
+        .replace(/([^aeiou]{2})[^aeiou]+/g, '$1');
+}
+
+// Name for a body at a random path ('star', 'star/planet 3', 'star/planet 3/moon 1', 'star/planet 3/river 2'),
+// drawn from its own stream so it never changes while the seed stays the same
+function nameForPath(phonology, path) {
+    return generateWord(phonology, createRandom(deriveSeed(phonology.seed, path)), kindOfPath(path));
+}
+
+function kindOfPath(path) {
+    const last = path.split('/').pop();
+    if (last === 'star') {
+        return 'star';
+    } else if (last.startsWith('planet')) {
+        return 'planet';
+    } else if (last.startsWith('moon')) {
+        return 'moon';
+    }
+    return 'region';
+}
+
+// Genus and species epithet built from the language's own stems with Latinate endings, e.g. "Tessarix komalis"
+function generateSpeciesName(phonology = null, draw = random) {
+    phonology = phonology || LATIN_PHONOLOGY;
+    const pick = list => list[Math.floor(draw() * list.length)];
+    const genus = stripFinalVowels(generateWord(phonology, draw, 'stem')) + pick(genusEndings);
+    const species = stripFinalVowels(generateWord(phonology, draw, 'stem')).toLowerCase() + pick(speciesEndings);
+    return `${capitalize(tidyWord(genus.toLowerCase()))} ${tidyWord(species)}`;
+}
+
+function stripFinalVowels(word) {
+    return word.replace(/[aeiou]+$/i, '') || word;
+}
+
+// Survey-style fallback that needs no language: "PGS 482913" for the star, planets lettered
+// from b outward, moons numbered in Roman numerals. The path numbers planets by their place from the
+// star, which is not the order their sub-seeds were drawn in
+function catalogueDesignation(systemSeed, path) {
+    const starNumber = String(deriveSeed(systemSeed || 0, 'catalogue') % 1000000).padStart(6, '0');
+    let designation = `${CATALOGUE_PREFIX} ${starNumber}`;
+
+    // Redrawn systems' paths carry an "attempt N" segment, which is no part of a body's designation
+    path.split('/').slice(1).filter(segment => !segment.startsWith('attempt ')).forEach(segment => {
+        const [kind, number] = segment.split(' ');
+        const index = Number(number);
+        if (kind === 'planet') {
+            designation += ` ${String.fromCharCode(97 + index)}`;
+        } else if (kind === 'moon') {
+            designation += ` ${toRoman(index)}`;
+        } else {
+            designation += ` ${kind.charAt(0).toUpperCase()}${index}`;
+        }
+    });
+
+    return designation;
 }
 
-function getRandomAtmosphereType() {
-    // Placeholder function for atmosphere type
-    const types = ['M', 'O', 'K', 'L']; // Example types
-    return types[Math.floor(Math.random() * types.length)];
+function toRoman(number) {
+    let remaining = number;
+    return ROMAN_NUMERALS.reduce((numeral, [symbol, value]) => {
+        while (remaining >= value) {
+            numeral += symbol;
+            remaining -= value;
+        }
+        return numeral;
+    }, '');
 }
 
-function getRandomGeologicalActivity() {
-    // Placeholder function for geological activity
-    const activities = ['None', 'Active', 'Very Active'];
-    return activities[Math.floor(Math.random() * activities.length)];
+function shuffle(list, draw) {
+    const shuffled = list.slice();
+    for (let k = shuffled.length - 1; k > 0; k--) {
+        const swap = Math.floor(draw() * (k + 1));
+        [shuffled[k], shuffled[swap]] = [shuffled[swap], shuffled[k]];
+    }
+    return shuffled;
 }
 
-function getRandomMoonCount() {
-    // Placeholder function for moon count
-    return Math.floor(Math.random() * 5); // Random number of moons up to 4
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
 }
 
-export { generatePlanetName };
+export { createPhonology, generateWord, nameForPath, generateSpeciesName, catalogueDesignation };
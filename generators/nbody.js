@@ -0,0 +1,394 @@
+import { calculateBulkProperties } from './atmospherics.js';
+import { orbitalPosition, orbitalVelocity, calculateOrbitalPeriod } from './kepler.js';
+
+// N-body integration of a generated system, to see whether its planets leave each other alone. It uses
+// the Wisdom-Holman map in democratic heliocentric coordinates (Duncan, Levison & Lee 1998): each planet
+// rides its exact Kepler orbit round the star, and the planets' pulls on each other come in as kicks
+// between, so steps of a twentieth of the innermost orbit hold up over long runs. Units are AU, Earth
+// days and solar masses; positions are in the scene's frame, as from kepler.js
+
+const GAUSSIAN_GRAVITATIONAL_CONSTANT = 0.01720209895; // sqrt(G) in these units
+const G = GAUSSIAN_GRAVITATIONAL_CONSTANT * GAUSSIAN_GRAVITATIONAL_CONSTANT;
+const EARTH_MASS_IN_SOLAR_MASSES = 3.003e-6;
+const SOLAR_RADIUS_AU = 0.00465;
+const DAYS_PER_YEAR = 365.25;
+
+const STEPS_PER_INNER_ORBIT = 20;
+// The integration stops at this many steps even if the horizon is further off, which for most systems
+// is a few centuries. Only the spacing estimate below reaches the rest of the way, and it is reported apart
+const MAX_STEPS = 200000;
+const DEFAULT_HORIZON_YEARS = 1e7;
+
+// Planets passing within this many mutual Hill radii have had a close encounter, after which their
+// orbits are scrambled and the map no longer follows them
+const CLOSE_ENCOUNTER_HILL_RADII = 1;
+// Unbound and this many times farther out than the widest starting orbit: gone
+const EJECTION_DISTANCE_FACTOR = 10;
+// Events that end a system as generated. Crossing orbits are reported too, but a resonance can keep the
+// planets apart for good, as it keeps Pluto from Neptune
+const DESTABILISING_EVENTS = ['Close encounter', 'Ejection', 'Fell into the star'];
+
+// Two planets are Hill stable, never able to meet, above this spacing in mutual Hill radii (Gladman 1993).
+// With more planets spacing only delays the end: Chambers et al. (1996) find the time to the first close
+// encounter grows as log10(t / inner period) = b delta + c. Their fit is for near-circular, coplanar
+// planets of equal mass, so for generated systems it is a rough guide rather than a verdict
+const HILL_STABLE_SPACING = 2 * Math.sqrt(3);
+const CHAMBERS_SLOPE = 1.176;
+const CHAMBERS_INTERCEPT = -1.663;
+
+// Period ratios (j + k) : j checked for mean-motion resonance, first and second order, and how close
+// to one the observed ratio has to come
+const RESONANCE_ORDERS = [1, 2];
+const MAX_RESONANCE_INDEX = 6;
+const RESONANCE_TOLERANCE = 0.02;
+// A resonant angle that stays out of some of these sectors of the circle is librating, not circulating.
+// Runs too short to sample it twice per sector leave the question open (null)
+const LIBRATION_SECTORS = 12;
+
+// `planets` as generated, sorted outwards, with their orbit elements; `years` is the span to integrate and
+// to extrapolate the spacing estimate over. `stable` only says whether the planets came through the
+// `integratedYears` actually run without a close encounter, ejection or fall, and is null with a `maxSteps`
+// of 0, when nothing is integrated; `spacingEstimate` holds the extrapolation to the full `years`
+function simulateSystem({ star, planets, years = DEFAULT_HORIZON_YEARS, maxSteps = MAX_STEPS }) {
+    const starMass = star.mass || 1;
+    const bodies = planets.map(planet => createBody(planet, starMass));
+    const pairs = assessSpacing(bodies, starMass);
+    const resonances = findResonances(bodies);
+    const report = {
+        integratedYears: 0,
+        steps: 0,
+        stepDays: 0,
+        energyError: 0,
+        events: [],
+        pairs: pairs,
+        resonances: resonances,
+        spacingEstimate: estimateFromSpacing(pairs, years),
+        planets: bodies.map(body => ({ minSemiMajorAxis: body.orbit.semiMajorAxis, maxSemiMajorAxis: body.orbit.semiMajorAxis, maxEccentricity: body.orbit.eccentricity })),
+        stable: null
+    };
+    if (bodies.length === 0) {
+        return report;
+    }
+
+    toBarycentricVelocities(bodies, starMass);
+    const innerPeriod = Math.min(...bodies.map(body => body.period));
+    const dt = innerPeriod / STEPS_PER_INNER_ORBIT;
+    const steps = Math.min(Math.ceil(years * DAYS_PER_YEAR / dt), maxSteps);
+    const ejectionDistance = EJECTION_DISTANCE_FACTOR * Math.max(...bodies.map(body => body.orbit.semiMajorAxis * (1 + body.orbit.eccentricity)));
+    const starRadius = (star.size || 1) * SOLAR_RADIUS_AU;
+    const crossed = new Set();
+    const initialEnergy = totalEnergy(bodies, starMass);
+    report.stepDays = dt;
+
+    let step = 0;
+    let ended = false;
+    while (step < steps && !ended) {
+        const encounter = kick(bodies, dt / 2);
+        if (encounter) {
+            report.events.push({ type: 'Close encounter', years: step * dt / DAYS_PER_YEAR, planets: encounter });
+            break;
+        }
+        jump(bodies, starMass, dt / 2);
+        bodies.forEach(body => keplerDrift(body, G * starMass, dt));
+        jump(bodies, starMass, dt / 2);
+        kick(bodies, dt / 2);
+        step++;
+
+        const elapsedYears = step * dt / DAYS_PER_YEAR;
+        bodies.forEach((body, index) => {
+            const distance = Math.hypot(body.x, body.y, body.z);
+            if (distance < starRadius) {
+                report.events.push({ type: 'Fell into the star', years: elapsedYears, planets: [index] });
+                ended = true;
+            } else if (distance > ejectionDistance && heliocentricEnergy(body, bodies, starMass) > 0) {
+                report.events.push({ type: 'Ejection', years: elapsedYears, planets: [index] });
+                ended = true;
+            }
+        });
+
+        // Once an inner orbit, read off every orbit and watch for crossings and resonant angles
+        if (step % STEPS_PER_INNER_ORBIT === 0) {
+            const elements = bodies.map(body => osculatingElements(body, bodies, starMass));
+            elements.forEach((orbit, index) => {
+                const planet = report.planets[index];
+                planet.minSemiMajorAxis = Math.min(planet.minSemiMajorAxis, orbit.semiMajorAxis);
+                planet.maxSemiMajorAxis = Math.max(planet.maxSemiMajorAxis, orbit.semiMajorAxis);
+                planet.maxEccentricity = Math.max(planet.maxEccentricity, orbit.eccentricity);
+                const outer = elements[index + 1];
+                if (outer && !crossed.has(index) && orbit.semiMajorAxis * (1 + orbit.eccentricity) > outer.semiMajorAxis * (1 - outer.eccentricity)) {
+                    crossed.add(index);
+                    report.events.push({ type: 'Orbit crossing', years: elapsedYears, planets: [index, index + 1] });
+                }
+            });
+            resonances.forEach(resonance => sampleResonantAngle(resonance, elements));
+        }
+    }
+
+    report.steps = step;
+    report.integratedYears = step * dt / DAYS_PER_YEAR;
+    report.energyError = Math.abs((totalEnergy(bodies, starMass) - initialEnergy) / initialEnergy);
+    resonances.forEach(resonance => {
+        resonance.librating = resonance.samples >= LIBRATION_SECTORS * 2 ? resonance.sectors.size < LIBRATION_SECTORS : null;
+        delete resonance.sectors;
+        delete resonance.samples;
+    });
+    report.stable = step > 0 || report.events.length > 0 ? !report.events.some(event => DESTABILISING_EVENTS.includes(event.type)) : null;
+    return report;
+}
+
+// The Chambers lifetime of the most crowded pair, against the span asked about
+function estimateFromSpacing(pairs, years) {
+    const lifetimeYears = pairs.reduce((shortest, pair) => Math.min(shortest, pair.estimatedLifetimeYears), Infinity);
+    return {
+        horizonYears: years,
+        lifetimeYears: lifetimeYears,
+        stable: lifetimeYears >= years
+    };
+}
+
+// Heliocentric position and velocity from the orbit elements, with the planet's mass
+function createBody(planet, starMass) {
+    const { mass } = calculateBulkProperties(planet.type, planet.radius || planet.size);
+    const orbit = planet.orbit;
+    const period = calculateOrbitalPeriod(orbit.semiMajorAxis, starMass, mass);
+    const meanAnomaly = orbit.meanAnomalyAtEpoch * Math.PI / 180;
+    const { position } = orbitalPosition(orbit, meanAnomaly);
+    const velocity = orbitalVelocity(orbit, meanAnomaly, period);
+    return {
+        mass: mass * EARTH_MASS_IN_SOLAR_MASSES,
+        orbit: orbit,
+        period: period,
+        x: position.x, y: position.y, z: position.z,
+        vx: velocity.x, vy: velocity.y, vz: velocity.z
+    };
+}
+
+// Democratic heliocentric coordinates keep heliocentric positions but barycentric velocities
+function toBarycentricVelocities(bodies, starMass) {
+    const totalMass = bodies.reduce((sum, body) => sum + body.mass, starMass);
+    const momentum = systemMomentum(bodies);
+    bodies.forEach(body => {
+        body.vx -= momentum.x / totalMass;
+        body.vy -= momentum.y / totalMass;
+        body.vz -= momentum.z / totalMass;
+    });
+}
+
+function systemMomentum(bodies) {
+    return bodies.reduce((sum, body) => ({ x: sum.x + body.mass * body.vx, y: sum.y + body.mass * body.vy, z: sum.z + body.mass * body.vz }), { x: 0, y: 0, z: 0 });
+}
+
+// The planets' pulls on each other; returns the first pair found within an encounter distance
+function kick(bodies, dt) {
+    let encounter = null;
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            const a = bodies[i], b = bodies[j];
+            const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+            const distanceSquared = dx * dx + dy * dy + dz * dz;
+            const distance = Math.sqrt(distanceSquared);
+            const factor = G * dt / (distanceSquared * distance);
+            a.vx += factor * b.mass * dx; a.vy += factor * b.mass * dy; a.vz += factor * b.mass * dz;
+            b.vx -= factor * a.mass * dx; b.vy -= factor * a.mass * dy; b.vz -= factor * a.mass * dz;
+            if (!encounter && distance < CLOSE_ENCOUNTER_HILL_RADII * a.hillPair[j]) {
+                encounter = [i, j];
+            }
+        }
+    }
+    return encounter;
+}
+
+// The star's reaction to the planets, shared out as a drift of their heliocentric positions
+function jump(bodies, starMass, dt) {
+    const momentum = systemMomentum(bodies);
+    bodies.forEach(body => {
+        body.x += momentum.x / starMass * dt;
+        body.y += momentum.y / starMass * dt;
+        body.z += momentum.z / starMass * dt;
+    });
+}
+
+// Advance a body along its two-body orbit by dt, in universal variables so ejected planets on open
+// orbits go through the same code (Bate, Mueller & White 1971, chapter 4)
+function keplerDrift(body, mu, dt) {
+    const sqrtMu = Math.sqrt(mu);
+    const r0 = Math.hypot(body.x, body.y, body.z);
+    const speedSquared = body.vx * body.vx + body.vy * body.vy + body.vz * body.vz;
+    const radialVelocity = (body.x * body.vx + body.y * body.vy + body.z * body.vz) / r0;
+    const alpha = 2 / r0 - speedSquared / mu; // 1 / a
+
+    let chi = sqrtMu * Math.abs(alpha) * dt;
+    if (alpha <= 0 || chi === 0) {
+        chi = sqrtMu * dt / r0;
+    }
+    let r = r0, c = 0.5, s = 1 / 6;
+    for (let k = 0; k < 50; k++) {
+        const z = alpha * chi * chi;
+        c = stumpffC(z);
+        s = stumpffS(z);
+        const time = (r0 * radialVelocity / sqrtMu) * chi * chi * c + (1 - alpha * r0) * chi * chi * chi * s + r0 * chi;
+        r = chi * chi * c + (r0 * radialVelocity / sqrtMu) * chi * (1 - z * s) + r0 * (1 - z * c);
+        const step = (time - sqrtMu * dt) / r;
+        chi -= step;
+        if (Math.abs(step) < 1e-12 * Math.max(Math.abs(chi), 1e-12)) {
+            break;
+        }
+    }
+
+    const chiSquared = chi * chi;
+    const f = 1 - chiSquared / r0 * c;
+    const g = dt - chiSquared * chi * s / sqrtMu;
+    const x = f * body.x + g * body.vx;
+    const y = f * body.y + g * body.vy;
+    const z = f * body.z + g * body.vz;
+    const r1 = Math.hypot(x, y, z);
+    const fDot = sqrtMu / (r1 * r0) * (alpha * chiSquared * chi * s - chi);
+    const gDot = 1 - chiSquared / r1 * c;
+    const vx = fDot * body.x + gDot * body.vx;
+    const vy = fDot * body.y + gDot * body.vy;
+    const vz = fDot * body.z + gDot * body.vz;
+    body.x = x; body.y = y; body.z = z;
+    body.vx = vx; body.vy = vy; body.vz = vz;
+}
+
+function stumpffC(z) {
+    if (z > 1e-6) {
+        return (1 - Math.cos(Math.sqrt(z))) / z;
+    } else if (z < -1e-6) {
+        return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+    }
+    return 1 / 2 - z / 24 + z * z / 720;
+}
+
+function stumpffS(z) {
+    if (z > 1e-6) {
+        const root = Math.sqrt(z);
+        return (root - Math.sin(root)) / (root * root * root);
+    } else if (z < -1e-6) {
+        const root = Math.sqrt(-z);
+        return (Math.sinh(root) - root) / (root * root * root);
+    }
+    return 1 / 6 - z / 120 + z * z / 5040;
+}
+
+// Velocity relative to the star, from the barycentric one the map carries
+function heliocentricVelocity(body, bodies, starMass) {
+    const momentum = systemMomentum(bodies);
+    return { x: body.vx + momentum.x / starMass, y: body.vy + momentum.y / starMass, z: body.vz + momentum.z / starMass };
+}
+
+function heliocentricEnergy(body, bodies, starMass) {
+    const v = heliocentricVelocity(body, bodies, starMass);
+    return (v.x * v.x + v.y * v.y + v.z * v.z) / 2 - G * (starMass + body.mass) / Math.hypot(body.x, body.y, body.z);
+}
+
+function totalEnergy(bodies, starMass) {
+    const momentum = systemMomentum(bodies);
+    let energy = (momentum.x * momentum.x + momentum.y * momentum.y + momentum.z * momentum.z) / (2 * starMass);
+    bodies.forEach((body, i) => {
+        energy += body.mass * (body.vx * body.vx + body.vy * body.vy + body.vz * body.vz) / 2;
+        energy -= G * starMass * body.mass / Math.hypot(body.x, body.y, body.z);
+        for (let j = i + 1; j < bodies.length; j++) {
+            const other = bodies[j];
+            energy -= G * body.mass * other.mass / Math.hypot(other.x - body.x, other.y - body.y, other.z - body.z);
+        }
+    });
+    return energy;
+}
+
+// Semi-major axis, eccentricity and the longitudes of periapsis and mean longitude (radians) of the
+// two-body orbit the planet is on right now. Longitudes are measured in the reference plane, which is
+// close enough for the few-degree inclinations generated
+function osculatingElements(body, bodies, starMass) {
+    const mu = G * (starMass + body.mass);
+    const v = heliocentricVelocity(body, bodies, starMass);
+    // Scene (x, y, z) back to ecliptic (x, -z, y), the inverse of the mapping in kepler.js
+    const rx = body.x, ry = -body.z, rz = body.y;
+    const vx = v.x, vy = -v.z, vz = v.y;
+    const r = Math.hypot(rx, ry, rz);
+    const speedSquared = vx * vx + vy * vy + vz * vz;
+    const radialSpeed = rx * vx + ry * vy + rz * vz;
+
+    const semiMajorAxis = 1 / (2 / r - speedSquared / mu);
+    const ex = ((speedSquared - mu / r) * rx - radialSpeed * vx) / mu;
+    const ey = ((speedSquared - mu / r) * ry - radialSpeed * vy) / mu;
+    const ez = ((speedSquared - mu / r) * rz - radialSpeed * vz) / mu;
+    const eccentricity = Math.hypot(ex, ey, ez);
+
+    const periapsisLongitude = Math.atan2(ey, ex);
+    const trueAnomaly = Math.atan2(ry, rx) - periapsisLongitude;
+    const eccentricAnomaly = 2 * Math.atan(Math.sqrt(Math.max(1 - eccentricity, 0) / (1 + eccentricity)) * Math.tan(trueAnomaly / 2));
+    const meanAnomaly = eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly);
+    return {
+        semiMajorAxis: semiMajorAxis > 0 ? semiMajorAxis : Infinity,
+        eccentricity: eccentricity,
+        periapsisLongitude: periapsisLongitude,
+        meanLongitude: periapsisLongitude + meanAnomaly
+    };
+}
+
+// Spacing of neighbours in mutual Hill radii, r_H = ((m1 + m2) / 3M)^(1/3) (a1 + a2) / 2, and the
+// lifetime it suggests; a lone Hill-stable pair lasts for ever. Also stores every pair's Hill radius on the bodies for the encounter check
+function assessSpacing(bodies, starMass) {
+    bodies.forEach((body, i) => {
+        body.hillPair = bodies.map(other => Math.cbrt((body.mass + other.mass) / (3 * starMass)) * (body.orbit.semiMajorAxis + other.orbit.semiMajorAxis) / 2);
+        body.hillPair[i] = 0;
+    });
+    const pairs = [];
+    for (let i = 0; i + 1 < bodies.length; i++) {
+        const inner = bodies[i], outer = bodies[i + 1];
+        const hillSpacing = (outer.orbit.semiMajorAxis - inner.orbit.semiMajorAxis) / inner.hillPair[i + 1];
+        const crossing = inner.orbit.semiMajorAxis * (1 + inner.orbit.eccentricity) > outer.orbit.semiMajorAxis * (1 - outer.orbit.eccentricity);
+        const innerOrbits = bodies.length === 2 ? Infinity : Math.pow(10, CHAMBERS_SLOPE * hillSpacing + CHAMBERS_INTERCEPT);
+        pairs.push({
+            planets: [i, i + 1],
+            hillSpacing: hillSpacing,
+            hillStable: hillSpacing > HILL_STABLE_SPACING && !crossing,
+            crossing: crossing,
+            estimatedLifetimeYears: crossing || hillSpacing <= HILL_STABLE_SPACING ? 0 : innerOrbits * inner.period / DAYS_PER_YEAR
+        });
+    }
+    return pairs;
+}
+
+// Neighbours whose period ratio sits near (j + k) : j
+function findResonances(bodies) {
+    const resonances = [];
+    for (let i = 0; i + 1 < bodies.length; i++) {
+        const ratio = bodies[i + 1].period / bodies[i].period;
+        RESONANCE_ORDERS.forEach(order => {
+            for (let j = 1; j <= MAX_RESONANCE_INDEX; j++) {
+                const nominal = (j + order) / j;
+                if (greatestCommonDivisor(j + order, j) === 1 && Math.abs(ratio / nominal - 1) < RESONANCE_TOLERANCE) {
+                    resonances.push({
+                        planets: [i, i + 1],
+                        ratio: `${j + order}:${j}`,
+                        periodRatio: ratio,
+                        offset: ratio / nominal - 1,
+                        outer: j + order,
+                        inner: j,
+                        librating: false,
+                        sectors: new Set(),
+                        samples: 0
+                    });
+                }
+            }
+        });
+    }
+    return resonances;
+}
+
+// phi = p lambda_outer - q lambda_inner - (p - q) varpi_inner, which stays bounded while in resonance
+function sampleResonantAngle(resonance, elements) {
+    const inner = elements[resonance.planets[0]], outer = elements[resonance.planets[1]];
+    const angle = resonance.outer * outer.meanLongitude - resonance.inner * inner.meanLongitude - (resonance.outer - resonance.inner) * inner.periapsisLongitude;
+    const turn = Math.PI * 2;
+    resonance.sectors.add(Math.floor(((angle % turn) + turn) % turn / turn * LIBRATION_SECTORS));
+    resonance.samples++;
+}
+
+function greatestCommonDivisor(a, b) {
+    return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+export { simulateSystem };
@@ -0,0 +1,10 @@
+import { simulateSystem } from './nbody.js';
+import { generateOrbit } from './orbit.js';
+
+// Runs the N-body work off the page's thread and posts back the result: given a `seed`, the whole
+// generate-and-redraw loop behind rejecting unstable systems (the orbit data generateOrbit returns);
+// given a star and planets, the full stability check of that system (simulateSystem's report)
+self.onmessage = event => {
+    const request = event.data;
+    self.postMessage(request.seed !== undefined ? generateOrbit(request.seed, { rejectUnstable: true }) : simulateSystem(request));
+};
@@ -0,0 +1,172 @@
+import { getRandomValue } from './random.js';
+import { calculateIceLine } from './crust.js';
+import { sampleClimate } from './climate.js';
+import { cellToLatLon } from './terrain.js';
+
+const EARTH_RADIUS_KM = 6378;
+const EARTH_OCEAN_VOLUME_KM3 = 1.335e9;
+
+// Hydrogen's share of the crust composition for a planet formed just past the ice line, like Earth
+const REFERENCE_HYDROGEN_FRACTION = 0.148;
+
+// Annual mean below which the sea surface stays frozen over
+const SEA_ICE_TEMPERATURE = -10;
+
+// Water inventory in Earth oceans before the ice line and composition adjust it
+const waterBudgetByType = {
+    'Terrestrial': 1,
+    'Ocean World': 40,
+    'Lava Planet': 0.02,
+    'Dwarf Planet': 0.5
+};
+
+function generateOceans({ planetType, planetSize, orbitRadius, starLuminosity, starAge, composition, heightmap, surfaceTemperature }) {
+    if (waterBudgetByType[planetType] === undefined || !heightmap) {
+        return null;
+    }
+
+    const waterBudget = calculateWaterBudget(planetType, orbitRadius, starLuminosity, composition);
+
+    // Above boiling the budget sits in the atmosphere as steam instead of in basins
+    const isBoiledOff = surfaceTemperature > 100;
+    const oceanVolume = isBoiledOff ? 0 : waterBudget * EARTH_OCEAN_VOLUME_KM3 * Math.pow(planetSize, 2);
+
+    const radiusKm = planetSize * EARTH_RADIUS_KM;
+    const { seaLevel, coverage } = findSeaLevel(heightmap, oceanVolume, radiusKm);
+    const oceanArea = coverage * 4 * Math.PI * radiusKm * radiusKm;
+    const averageDepth = oceanArea > 0 ? oceanVolume / oceanArea * 1000 : 0; // metres
+    const salinity = calculateSalinity(starAge, 1 - coverage, averageDepth, surfaceTemperature);
+
+    return {
+        waterBudget: waterBudget,
+        seaLevel: seaLevel,
+        coverage: coverage,
+        averageDepth: averageDepth,
+        volume: oceanVolume,
+        salinity: salinity,
+        salinityClass: classifySalinity(salinity, coverage),
+        iceCaps: null
+    };
+}
+
+// Water inventory in Earth oceans. The composition already favours volatiles past the ice line;
+// planets far beyond it also sweep up icy planetesimals and hold several times more.
+function calculateWaterBudget(planetType, orbitRadius, starLuminosity, composition) {
+    let hydrogenEnrichment = 1;
+    if (composition && composition['H'] !== undefined) {
+        const totalMass = Object.values(composition).reduce((sum, mass) => sum + mass, 0);
+        hydrogenEnrichment = totalMass > 0 ? (composition['H'] / totalMass) / REFERENCE_HYDROGEN_FRACTION : 1;
+    }
+
+    const iceLine = calculateIceLine(starLuminosity);
+    const iceLineFactor = 1 + smoothstep(3, 6, orbitRadius / iceLine) * 2;
+
+    // Late delivery by comets and asteroids scatters the result
+    const delivery = getRandomValue(0.4, 1.6);
+
+    return waterBudgetByType[planetType] * hydrogenEnrichment * iceLineFactor * delivery;
+}
+
+// Bisects for the level at which the heightmap's basins hold the ocean volume
+function findSeaLevel(heightmap, oceanVolume, radiusKm) {
+    const { width, height, data, min, max } = heightmap;
+    if (oceanVolume <= 0) {
+        return { seaLevel: min, coverage: 0 };
+    }
+
+    const cellAreas = new Float32Array(height);
+    for (let j = 0; j < height; j++) {
+        const { lat } = cellToLatLon(0, j, width, height);
+        cellAreas[j] = radiusKm * radiusKm * Math.cos(lat * Math.PI / 180) * (Math.PI / height) * (2 * Math.PI / width);
+    }
+
+    const volumeBelow = level => {
+        let volume = 0;
+        let area = 0;
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const depth = level - data[j * width + i];
+                if (depth > 0) {
+                    volume += depth * cellAreas[j];
+                    area += cellAreas[j];
+                }
+            }
+        }
+        return { volume, area };
+    };
+
+    const sphereArea = 4 * Math.PI * radiusKm * radiusKm;
+    const brimful = volumeBelow(max);
+    if (oceanVolume >= brimful.volume) {
+        // Every continent is drowned; the rest piles up as a global ocean
+        return { seaLevel: max + (oceanVolume - brimful.volume) / sphereArea, coverage: 1 };
+    }
+
+    let low = min;
+    let high = max;
+    for (let step = 0; step < 30; step++) {
+        const middle = (low + high) / 2;
+        if (volumeBelow(middle).volume < oceanVolume) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    const seaLevel = (low + high) / 2;
+    return { seaLevel: seaLevel, coverage: Math.min(volumeBelow(seaLevel).area / sphereArea, 1) };
+}
+
+// Parts per thousand: salt builds up from weathering over time, faster with more land to
+// weather and more evaporation, and is diluted in deep oceans
+function calculateSalinity(starAge, landFraction, averageDepth, surfaceTemperature) {
+    const accumulation = 1 - Math.exp(-(starAge || 0) / 1.5);
+    const weathering = 0.3 + 2 * landFraction;
+    const dilution = Math.pow(Math.max(averageDepth, 100) / 3700, -0.5);
+    const evaporation = Math.exp(0.02 * (Math.min(surfaceTemperature, 100) - 15));
+    return 35 * accumulation * weathering * dilution * evaporation * getRandomValue(0.8, 1.2);
+}
+
+function classifySalinity(salinity, coverage) {
+    if (coverage === 0) {
+        return 'None';
+    } else if (salinity < 0.5) {
+        return 'Fresh';
+    } else if (salinity < 30) {
+        return 'Brackish';
+    } else if (salinity < 50) {
+        return 'Saline';
+    }
+    return 'Hypersaline Brine';
+}
+
+// Latitude (per hemisphere) where the annual mean drops below freezing for sea water,
+// and the share of the planet's surface poleward of it
+function calculateIceCaps(oceans, climate) {
+    if (!oceans || oceans.coverage === 0) {
+        return null;
+    }
+
+    let edgeLatitude = 90;
+    for (let latitude = 0; latitude <= 90; latitude += 1) {
+        const north = sampleClimate(climate, latitude).temperature;
+        const south = sampleClimate(climate, -latitude).temperature;
+        if ((north + south) / 2 < SEA_ICE_TEMPERATURE) {
+            edgeLatitude = latitude;
+            break;
+        }
+    }
+
+    return {
+        latitude: edgeLatitude,
+        // Both caps together cover 1 - sin(edge) of a sphere
+        fraction: 1 - Math.sin(edgeLatitude * Math.PI / 180)
+    };
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
+export { generateOceans, calculateWaterBudget, calculateIceCaps, SEA_ICE_TEMPERATURE };
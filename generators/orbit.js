@@ -1,43 +1,57 @@
-// Courtesy of bryc and Bob Jenkins
-function splitmix32(a) {
-    return function() {
-      a |= 0; a = a + 0x9e3779b9 | 0;
-      var t = a ^ a >>> 16; t = Math.imul(t, 0x21f0aaad);
-          t = t ^ t >>> 15; t = Math.imul(t, 0x735a2d97);
-      return ((t = t ^ t >>> 15) >>> 0) / 4294967296;
-    }
-}
-
-var SEED = Date.now();
-
-var random = splitmix32(SEED);
-
-export function set_random_seed(seed) {
-    random = splitmix32(seed);
-}
-
-function getRandomValue(min, max) {
-    return random() * (max - min) + min;
-}
-
-function generateOrbit(seed = null) {
+import { random, set_random_seed, getRandomValue, getRandomInt, withRandomPath } from './random.js';
+import { generateOrbitalElements } from './kepler.js';
+import { simulateSystem } from './nbody.js';
+
+// Every system gets a spacing estimate (see nbody.js) to flag planets packed too closely to last. Only with
+// `rejectUnstable` is each draw integrated as well, briefly, and the planets redrawn until they pass, up to
+// MAX_SYSTEM_ATTEMPTS times. Small stars crowd their giants and may never pass, and then the system as
+// first drawn is kept, flagged. The redraws can take seconds, so the page runs them in nbodyWorker.js
+const STABILITY_CHECK_STEPS = 20000;
+const MAX_SYSTEM_ATTEMPTS = 10;
+
+// Orbits are laid out in fixed slots, each filled or left empty by its own planet's sub-seed, which
+// gives 3 to 18 planets most of the time. Within its slot a planet is jittered by up to this share of
+// the spacing either way, so neighbours never swap places
+const PLANET_SLOTS = 18;
+const SLOT_OCCUPANCY = 0.6;
+const SLOT_JITTER = 0.35;
+
+function generateOrbit(seed = null, { rejectUnstable = false } = {}) {
     if (seed != null)
     {
         set_random_seed(seed);
     }
 
-    const parentStar = generateParentStar();
+    const parentStar = withRandomPath('star', generateParentStar);
     const luminosity = generateStarLuminosity(parentStar.type, parentStar.size);
     parentStar.habitableZone = calculateHabitableZone(luminosity);
-    const solarSystem = generateSolarSystem(parentStar);
+
+    let solarSystem = generateSolarSystem(parentStar);
+    const stabilityCheckSteps = rejectUnstable ? STABILITY_CHECK_STEPS : 0;
+    let stability = simulateSystem({ star: parentStar, planets: solarSystem, maxSteps: stabilityCheckSteps });
+    for (let attempt = 2; rejectUnstable && !passesStabilityCheck(stability) && attempt <= MAX_SYSTEM_ATTEMPTS; attempt++) {
+        const candidate = generateSolarSystem(parentStar, attempt);
+        const candidateStability = simulateSystem({ star: parentStar, planets: candidate, maxSteps: stabilityCheckSteps });
+        if (passesStabilityCheck(candidateStability)) {
+            solarSystem = candidate;
+            stability = candidateStability;
+        }
+    }
 
     return {
         parentStar: parentStar,
         solarSystem: solarSystem,
-        habitableZone: parentStar.habitableZone
+        habitableZone: parentStar.habitableZone,
+        stability: stability
     };
 }
 
+// A kept draw must come through its brief integration and pass the spacing estimate, the only part of
+// the check that looks further ahead than a few centuries
+function passesStabilityCheck(stability) {
+    return stability.stable !== false && stability.spacingEstimate.stable;
+}
+
 function generateParentStar() {
     const starTypes = ["M", "K", "G", "F", "A", "B", "O"];
     const type = starTypes[Math.floor(random() * starTypes.length)];
@@ -173,49 +187,70 @@ function generateStarLuminosity(type, size) {
     return luminosity;
 }
 
-function generateSolarSystem(parentStar) {
-    const numberOfPlanets = getRandomInt(3, 18);
+function generateSolarSystem(parentStar, attempt = 1) {
+    const prefix = attempt === 1 ? 'star' : `star/attempt ${attempt}`;
     let solarSystemPlanets = [];
-    let habitableZonePlanetAdded = false;
 
-    for (let i = 0; i < numberOfPlanets; i++) {
-        const orbitRadius = getRandomOrbitRadius(parentStar, i, numberOfPlanets);
-        const planetType = determinePlanetType(parentStar, orbitRadius, habitableZonePlanetAdded);
-        const planetSize = getPlanetSize(planetType); 
+    for (let slot = 0; slot < PLANET_SLOTS; slot++) {
+        const planet = generatePlanet(parentStar, slot, attempt);
+        if (planet) {
+            solarSystemPlanets.push(planet);
+        }
+    }
+    // A system that rolled no planets at all keeps its innermost one, drawn as it would have been
+    if (solarSystemPlanets.length === 0) {
+        solarSystemPlanets.push(generatePlanet(parentStar, 0, attempt, 1));
+    }
+
+    withRandomPath(`${prefix}/habitable`, () => adjustForHabitableZonePlanet(solarSystemPlanets, parentStar.habitableZone));
+    solarSystemPlanets.sort((a, b) => a.orbitRadius - b.orbitRadius);
+    // The rest of the ellipse is drawn once the semi-major axis is settled, from the planet's own sub-seed
+    solarSystemPlanets.forEach(planet => {
+        planet.orbit = withRandomPath(`${planet.path}/orbit`, () => generateOrbitalElements(planet.type, planet.orbitRadius));
+    });
+    return solarSystemPlanets;
+}
+
+// Each planet draws from its own sub-seed, named for its orbital slot (e.g. "star/planet 3"), so it comes
+// out the same no matter what its siblings rolled, or whether they are there at all. Systems redrawn for
+// stability get fresh sub-seeds ("star/attempt 2/planet 3"). Returns null for an empty slot
+function generatePlanet(parentStar, slot, attempt = 1, occupancy = SLOT_OCCUPANCY) {
+    const path = attempt === 1 ? `star/planet ${slot + 1}` : `star/attempt ${attempt}/planet ${slot + 1}`;
+
+    return withRandomPath(path, () => {
+        if (random() >= occupancy) {
+            return null;
+        }
+        const orbitRadius = getRandomOrbitRadius(parentStar, slot);
+        const planetType = determinePlanetType(parentStar, orbitRadius);
+        const planetSize = getPlanetSize(planetType);
         const planetAtmosphere = getPlanetAtmosphere(planetType, orbitRadius, parentStar.habitableZone);
-        const planetMoons = getPlanetMoons(planetType); 
+        const planetMoons = getPlanetMoons(planetType);
         const axialTilt = getAxialTilt(planetType);
-        if (isInHabitableZone(orbitRadius, parentStar.habitableZone)) {
-            habitableZonePlanetAdded = true;
-        }
 
-        solarSystemPlanets.push({
+        return {
+            path: path,
             type: planetType,
             orbitRadius: orbitRadius,
             size: planetSize,
-        	radius: planetSize,
+            radius: planetSize,
             atmosphere: planetAtmosphere,
             moons: planetMoons,
             axialTilt
-        });
-    }
-
-	    if (!habitableZonePlanetAdded) {
-	        adjustForHabitableZonePlanet(solarSystemPlanets, parentStar.habitableZone);
-    }
-    solarSystemPlanets.sort((a, b) => a.orbitRadius - b.orbitRadius);
-    return solarSystemPlanets;
+        };
+    });
 }
 
-function getRandomOrbitRadius(parentStar, planetIndex, totalPlanets) {
+// Somewhere in the slot's share of the range, which is cut evenly in log radius whatever the planet count
+function getRandomOrbitRadius(parentStar, slot) {
     const luminosity = parentStar.luminosity; 
-    const innerHabitable = Math.sqrt(luminosity / 1.1);
     const outerHabitable = Math.sqrt(luminosity / 0.53);
 
     const minOrbit = 0.2; 
     const maxOrbit = Math.max(50, outerHabitable + 20); 
-    const spacingFactor = (Math.log(maxOrbit) - Math.log(minOrbit)) / totalPlanets;
-    return Math.exp(Math.log(minOrbit) + spacingFactor * planetIndex);
+    const spacingFactor = (Math.log(maxOrbit) - Math.log(minOrbit)) / PLANET_SLOTS;
+    const jitter = (random() * 2 - 1) * SLOT_JITTER;
+    return Math.exp(Math.log(minOrbit) + spacingFactor * (slot + jitter));
 }
 
 function getAxialTilt(planetType){
@@ -228,7 +263,7 @@ function getAxialTilt(planetType){
         'Ice Giant': { min: 10, max: 90 },
     };
     const range = tiltRanges[planetType] || tiltRanges['Terrestrial']; 
-    return Math.random() * (range.max - range.min) + range.min;
+    return random() * (range.max - range.min) + range.min;
 }
 
 
@@ -240,7 +275,7 @@ function determinePlanetType(parentStar, orbitRadius) {
     if (orbitRadius < innerHabitable) {
         return "Lava Planet";
     } else if (orbitRadius >= innerHabitable && orbitRadius <= outerHabitable) {
-        return Math.random() > 0.5 ? "Terrestrial" : "Ocean World";
+        return random() > 0.5 ? "Terrestrial" : "Ocean World";
     } else if (orbitRadius > outerHabitable && orbitRadius < outerHabitable + 15) {
         return "Gas Giant";
     } else if (orbitRadius >= outerHabitable + 5 && orbitRadius < 30) {
@@ -282,7 +317,7 @@ function getPlanetAtmosphere(planetType, orbitRadius, habitableZone) {
         'ammonia': ['ammonia_type_I']
     };
 
-    const randomAtmosphere = (types) => types[Math.floor(Math.random() * types.length)];
+    const randomAtmosphere = (types) => types[Math.floor(random() * types.length)];
 
     switch (planetType) {
         case "Terrestrial":
@@ -327,11 +362,6 @@ function getPlanetMoons(planetType) {
     }
 }
 
-function getRandomInt(min, max) {
-    return Math.floor(random() * (max - min + 1)) + min;
-}
-
-
 function adjustForHabitableZonePlanet(planets, habitableZone) {
     let habitableZonePlanetExists = planets.some(planet => isInHabitableZone(planet.orbitRadius, habitableZone));
 
@@ -346,4 +376,4 @@ export function isInHabitableZone(orbitRadius, habitableZone) {
     return orbitRadius >= habitableZone.innerBoundary && orbitRadius <= habitableZone.outerBoundary;
 }
 
-export { generateOrbit, generateParentStar, generateStarSizeAndMass, generateStarLuminosity, calculateHabitableZone, determinePlanetType, getPlanetAtmosphere };
\ No newline at end of file
+export { set_random_seed, generateOrbit, generateParentStar, generatePlanet, generateStarSizeAndMass, generateStarLuminosity, calculateHabitableZone, determinePlanetType, getPlanetAtmosphere };
\ No newline at end of file
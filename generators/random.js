@@ -0,0 +1,79 @@
+// Courtesy of bryc and Bob Jenkins
+function splitmix32(a) {
+    return function() {
+      a |= 0; a = a + 0x9e3779b9 | 0;
+      var t = a ^ a >>> 16; t = Math.imul(t, 0x21f0aaad);
+          t = t ^ t >>> 15; t = Math.imul(t, 0x735a2d97);
+      return ((t = t ^ t >>> 15) >>> 0) / 4294967296;
+    }
+}
+
+// Every generator and renderer-side randomizer draws from this one stream, so
+// re-seeding it before a generation reproduces the whole system.
+var SEED = Date.now();
+
+var source = splitmix32(SEED);
+
+function set_random_seed(seed) {
+    SEED = Number(seed) || 0;
+    source = splitmix32(SEED);
+}
+
+// Swap in any function returning values in [0, 1), e.g. a fixed sequence for debugging
+function set_random_source(randomSource) {
+    source = randomSource;
+}
+
+function getRandomSeed() {
+    return SEED;
+}
+
+function random() {
+    return source();
+}
+
+function getRandomValue(min, max) {
+    return random() * (max - min) + min;
+}
+
+function getRandomInt(min, max) {
+    return Math.floor(random() * (max - min + 1)) + min;
+}
+
+// FNV-1a over the text, finished with a murmur3-style avalanche
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16; hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13; hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+// Sub-seed for one body, e.g. deriveSeed(12345, 'star/planet 3/moon 1')
+function deriveSeed(seed, path) {
+    return hashString(`${seed}/${path}`);
+}
+
+// Runs fn with the shared stream re-seeded from the system seed and the body's path,
+// then restores the outer stream. A body's draws no longer depend on how many draws
+// its siblings made, so editing one body leaves the others unchanged.
+function withRandomPath(path, fn) {
+    const outerSource = source;
+    source = splitmix32(deriveSeed(SEED, path));
+    try {
+        return fn();
+    } finally {
+        source = outerSource;
+    }
+}
+
+// Independent stream that does not disturb the shared one
+function createRandom(seed) {
+    return splitmix32(Number(seed) || 0);
+}
+
+export { random, set_random_seed, set_random_source, getRandomSeed, getRandomValue, getRandomInt, createRandom, deriveSeed, withRandomPath };
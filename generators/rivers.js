@@ -0,0 +1,596 @@
+import { sampleClimate } from './climate.js';
+import { cellToLatLon } from './terrain.js';
+
+const EARTH_RADIUS_KM = 6378;
+const SECONDS_PER_YEAR = 3.156e7;
+
+// Depressions are filled with a tiny slope (km per cell) so every cell has somewhere downhill to drain
+const FILL_EPSILON = 1e-5;
+
+// Filled depressions shallower than this are flats that rivers cross; deeper ones hold lakes
+const MIN_LAKE_DEPTH = 0.02; // km
+
+// Below this annual mean the ground is locked in ice and sheds no liquid runoff
+const FROZEN_TEMPERATURE = -10;
+
+// Discharge (m^3/s) at which a channel is drawn as a river; the Rhine carries about 2,300
+const RIVER_DISCHARGE = 1500;
+
+// Eight neighbours, walked clockwise from north
+const NEIGHBOURS = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+
+const LAKE_COLOR = [44, 96, 156];
+const SALT_LAKE_COLOR = [92, 150, 150];
+const RIVER_COLOR = [52, 108, 170];
+
+function generateRivers(heightmap, climate, { seaLevel = 0, planetSize = 1, riverDischarge = RIVER_DISCHARGE } = {}) {
+    const { width, height, data } = heightmap;
+    const radiusKm = planetSize * EARTH_RADIUS_KM;
+    const cellCount = width * height;
+
+    const cellAreas = new Float64Array(height);
+    const rowLatitudes = new Float64Array(height);
+    for (let j = 0; j < height; j++) {
+        const { lat } = cellToLatLon(0, j, width, height);
+        rowLatitudes[j] = lat;
+        cellAreas[j] = radiusKm * radiusKm * Math.cos(lat * Math.PI / 180) * (Math.PI / height) * (2 * Math.PI / width);
+    }
+
+    const isOcean = new Uint8Array(cellCount);
+    for (let index = 0; index < cellCount; index++) {
+        isOcean[index] = data[index] < seaLevel ? 1 : 0;
+    }
+
+    const filled = fillDepressions(heightmap, isOcean);
+    const flowDirections = calculateFlowDirections(heightmap, filled, isOcean, rowLatitudes);
+    const lakes = findLakes(heightmap, filled, isOcean, flowDirections, cellAreas, rowLatitudes);
+
+    // Runoff per cell in m^3/s: precipitation minus what evaporates or transpires before reaching a channel
+    const runoff = new Float64Array(cellCount);
+    const evaporation = new Float64Array(height);
+    for (let j = 0; j < height; j++) {
+        const { temperature, precipitation } = sampleClimate(climate, rowLatitudes[j]);
+        evaporation[j] = potentialEvaporation(temperature);
+        const landRunoff = temperature < FROZEN_TEMPERATURE ? 0 : precipitation * precipitation / (precipitation + evaporation[j] || 1);
+
+        for (let i = 0; i < width; i++) {
+            const index = j * width + i;
+            if (!isOcean[index]) {
+                const depth = lakes.cells[index] >= 0 ? precipitation : landRunoff;
+                runoff[index] = toDischarge(depth, cellAreas[j]);
+            }
+        }
+    }
+
+    const order = sortDownstream(filled, lakes);
+    const discharge = accumulateFlow(order, runoff, flowDirections, lakes, evaporation, width);
+    const basins = labelDrainageBasins(order, flowDirections, isOcean, lakes, cellAreas, width, height);
+    shrinkEndorheicLakes(heightmap, lakes, flowDirections, cellAreas, evaporation);
+    const rivers = traceRivers(discharge, flowDirections, isOcean, lakes, riverDischarge, width, height, radiusKm);
+
+    return {
+        width: width,
+        height: height,
+        flowDirections: flowDirections,
+        discharge: discharge,
+        lakeCells: lakes.cells,
+        lakes: lakes.list,
+        basinCells: basins.cells,
+        basins: basins.list,
+        rivers: rivers
+    };
+}
+
+// Wraps east-west, stops at the poles
+function neighbourIndex(i, j, direction, width, height) {
+    const nj = j + NEIGHBOURS[direction][1];
+    if (nj < 0 || nj >= height) {
+        return -1;
+    }
+    const ni = (i + NEIGHBOURS[direction][0] + width) % width;
+    return nj * width + ni;
+}
+
+// Priority-flood: grow inwards from the sea, raising every pit to its spill level
+function fillDepressions(heightmap, isOcean) {
+    const { width, height, data } = heightmap;
+    const filled = new Float64Array(width * height);
+    const visited = new Uint8Array(width * height);
+    const queue = createHeap(filled);
+
+    for (let index = 0; index < width * height; index++) {
+        if (isOcean[index]) {
+            filled[index] = data[index];
+            visited[index] = 1;
+            queue.push(index);
+        }
+    }
+
+    // A dry world drains into its lowest point
+    if (queue.size() === 0) {
+        let lowest = 0;
+        for (let index = 1; index < width * height; index++) {
+            if (data[index] < data[lowest]) {
+                lowest = index;
+            }
+        }
+        filled[lowest] = data[lowest];
+        visited[lowest] = 1;
+        queue.push(lowest);
+    }
+
+    while (queue.size() > 0) {
+        const index = queue.pop();
+        const i = index % width;
+        const j = Math.floor(index / width);
+
+        for (let direction = 0; direction < NEIGHBOURS.length; direction++) {
+            const next = neighbourIndex(i, j, direction, width, height);
+            if (next < 0 || visited[next]) {
+                continue;
+            }
+            filled[next] = Math.max(data[next], filled[index] + FILL_EPSILON);
+            visited[next] = 1;
+            queue.push(next);
+        }
+    }
+
+    return filled;
+}
+
+// D8: each land cell drains to its steepest downhill neighbour on the filled surface, or -1 for sinks
+function calculateFlowDirections(heightmap, filled, isOcean, rowLatitudes) {
+    const { width, height } = heightmap;
+    const flowDirections = new Int32Array(width * height).fill(-1);
+
+    for (let j = 0; j < height; j++) {
+        // Cells narrow towards the poles, so east-west steps are shorter than north-south ones
+        const eastWest = Math.max(Math.cos(rowLatitudes[j] * Math.PI / 180), 0.01);
+
+        for (let i = 0; i < width; i++) {
+            const index = j * width + i;
+            if (isOcean[index]) {
+                continue;
+            }
+
+            let steepest = 0;
+            for (let direction = 0; direction < NEIGHBOURS.length; direction++) {
+                const next = neighbourIndex(i, j, direction, width, height);
+                if (next < 0) {
+                    continue;
+                }
+                const distance = Math.hypot(NEIGHBOURS[direction][0] * eastWest, NEIGHBOURS[direction][1]);
+                const slope = (filled[index] - filled[next]) / distance;
+                if (slope > steepest) {
+                    steepest = slope;
+                    flowDirections[index] = next;
+                }
+            }
+        }
+    }
+
+    return flowDirections;
+}
+
+// Groups flooded cells into lakes and sends each lake's water out through its lowest cell
+function findLakes(heightmap, filled, isOcean, flowDirections, cellAreas, rowLatitudes) {
+    const { width, height, data } = heightmap;
+    const cells = new Int32Array(width * height).fill(-1);
+    const seen = new Uint8Array(width * height);
+    const isFlooded = index => !isOcean[index] && filled[index] - data[index] > FILL_EPSILON * 10;
+    const list = [];
+    const memberLists = [];
+
+    for (let start = 0; start < width * height; start++) {
+        if (seen[start] || !isFlooded(start)) {
+            continue;
+        }
+
+        const lake = { id: list.length, cellCount: 0, area: 0, level: 0, maxDepth: 0, lat: 0, lon: 0, outlet: start, inflow: 0, evaporation: 0, endorheic: false };
+        const members = [];
+        const stack = [start];
+        seen[start] = 1;
+        let weightedLat = 0;
+        let lonX = 0;
+        let lonY = 0;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const i = index % width;
+            const j = Math.floor(index / width);
+            const area = cellAreas[j];
+            const { lon } = cellToLatLon(i, j, width, height);
+
+            members.push(index);
+            lake.cellCount += 1;
+            lake.area += area;
+            lake.maxDepth = Math.max(lake.maxDepth, filled[index] - data[index]);
+            weightedLat += rowLatitudes[j] * area;
+            lonX += Math.cos(lon * Math.PI / 180) * area;
+            lonY += Math.sin(lon * Math.PI / 180) * area;
+            if (filled[index] < filled[lake.outlet]) {
+                lake.outlet = index;
+            }
+
+            for (let direction = 0; direction < NEIGHBOURS.length; direction++) {
+                const next = neighbourIndex(i, j, direction, width, height);
+                if (next < 0 || seen[next] || !isFlooded(next)) {
+                    continue;
+                }
+                seen[next] = 1;
+                stack.push(next);
+            }
+        }
+
+        if (lake.maxDepth < MIN_LAKE_DEPTH) {
+            continue;
+        }
+        members.forEach(index => {
+            cells[index] = lake.id;
+        });
+        members.sort((a, b) => data[a] - data[b]);
+        memberLists.push(members);
+
+        lake.level = filled[lake.outlet];
+        lake.lat = weightedLat / lake.area;
+        lake.lon = Math.atan2(lonY, lonX) * 180 / Math.PI;
+        list.push(lake);
+    }
+
+    // The whole lake drains through its outlet, which spills to whatever lies below it
+    for (let index = 0; index < width * height; index++) {
+        const id = cells[index];
+        if (id >= 0 && index !== list[id].outlet) {
+            flowDirections[index] = list[id].outlet;
+        }
+    }
+
+    return { cells, list, memberLists };
+}
+
+// Cell indices from the highest filled surface to the lowest; a lake's outlet comes after the rest of the lake
+function sortDownstream(filled, lakes) {
+    const order = Array.from(filled.keys());
+    const isOutlet = index => lakes.cells[index] >= 0 && lakes.list[lakes.cells[index]].outlet === index ? 1 : 0;
+    order.sort((a, b) => filled[b] - filled[a] || isOutlet(a) - isOutlet(b));
+    return order;
+}
+
+// Discharge in m^3/s flowing out of each cell; lakes that evaporate all their inflow become endorheic sinks
+function accumulateFlow(order, runoff, flowDirections, lakes, evaporation, width) {
+    const discharge = new Float64Array(runoff.length);
+
+    order.forEach(index => {
+        discharge[index] += runoff[index];
+
+        const lakeId = lakes.cells[index];
+        if (lakeId >= 0 && lakes.list[lakeId].outlet === index) {
+            const lake = lakes.list[lakeId];
+            const row = Math.floor(index / width);
+            // Open water evaporates faster than land
+            lake.inflow = discharge[index];
+            lake.evaporation = toDischarge(evaporation[row] * 1.3, lake.area);
+
+            if (lake.evaporation >= lake.inflow) {
+                lake.endorheic = true;
+                flowDirections[index] = -1;
+                discharge[index] = 0;
+                return;
+            }
+            discharge[index] = lake.inflow - lake.evaporation;
+        }
+
+        const next = flowDirections[index];
+        if (next >= 0) {
+            discharge[next] += discharge[index];
+        }
+    });
+
+    return new Float32Array(discharge);
+}
+
+// A closed lake never reaches its spill level: it settles where evaporation from its surface
+// balances the inflow, leaving the rest of the depression as dry flats
+function shrinkEndorheicLakes(heightmap, lakes, flowDirections, cellAreas, evaporation) {
+    const { width, height, data } = heightmap;
+
+    lakes.list.forEach((lake, id) => {
+        if (!lake.endorheic) {
+            return;
+        }
+
+        // Members are sorted from the deepest cell up, so the lake fills them in that order
+        const members = lakes.memberLists[id];
+        const deepest = members[0];
+        let area = 0;
+        let evaporated = 0;
+        let wetCount = 0;
+        while (wetCount < members.length && (wetCount === 0 || evaporated < lake.inflow)) {
+            const row = Math.floor(members[wetCount] / width);
+            area += cellAreas[row];
+            evaporated += toDischarge(evaporation[row] * 1.3, cellAreas[row]);
+            wetCount += 1;
+        }
+
+        lake.level = data[members[wetCount - 1]];
+        lake.maxDepth = lake.level - data[deepest];
+        lake.area = area;
+        lake.cellCount = wetCount;
+        lake.evaporation = evaporated;
+        lake.outlet = deepest;
+
+        members.forEach((index, k) => {
+            if (k < wetCount) {
+                flowDirections[index] = index === deepest ? -1 : deepest;
+                return;
+            }
+
+            // Dry flats drain down their own slopes towards the water
+            lakes.cells[index] = -1;
+            const i = index % width;
+            const j = Math.floor(index / width);
+            let lowest = deepest;
+            let lowestElevation = data[index];
+            for (let direction = 0; direction < NEIGHBOURS.length; direction++) {
+                const next = neighbourIndex(i, j, direction, width, height);
+                if (next >= 0 && data[next] < lowestElevation) {
+                    lowest = next;
+                    lowestElevation = data[next];
+                }
+            }
+            flowDirections[index] = lowest;
+        });
+    });
+}
+
+// Every cell belongs to the basin of the river mouth or closed lake its water ends up in
+function labelDrainageBasins(order, flowDirections, isOcean, lakes, cellAreas, width, height) {
+    const cells = new Int32Array(width * height).fill(-1);
+    const basins = [];
+
+    for (let k = order.length - 1; k >= 0; k--) {
+        const index = order[k];
+        if (isOcean[index]) {
+            continue;
+        }
+
+        const next = flowDirections[index];
+        if (next >= 0 && !isOcean[next]) {
+            cells[index] = cells[next];
+        } else {
+            const i = index % width;
+            const j = Math.floor(index / width);
+            const lakeId = lakes.cells[index];
+            cells[index] = basins.length;
+            basins.push({
+                id: basins.length,
+                terminus: next >= 0 ? 'ocean' : lakeId >= 0 ? 'endorheic' : 'sink',
+                lake: lakeId >= 0 ? lakeId : null,
+                mouth: cellToLatLon(i, j, width, height),
+                area: 0
+            });
+        }
+        basins[cells[index]].area += cellAreas[Math.floor(index / width)];
+    }
+
+    return { cells, list: basins };
+}
+
+// Polylines from each river's source down to the sea, a lake, or the river it joins
+function traceRivers(discharge, flowDirections, isOcean, lakes, riverDischarge, width, height, radiusKm) {
+    const isRiver = index => !isOcean[index] && lakes.cells[index] < 0 && discharge[index] >= riverDischarge;
+
+    const hasRiverInflow = new Uint8Array(width * height);
+    for (let index = 0; index < width * height; index++) {
+        const next = flowDirections[index];
+        if (isRiver(index) && next >= 0) {
+            hasRiverInflow[next] = 1;
+        }
+    }
+
+    const visited = new Uint8Array(width * height);
+    const rivers = [];
+    for (let source = 0; source < width * height; source++) {
+        if (!isRiver(source) || hasRiverInflow[source]) {
+            continue;
+        }
+
+        const points = [];
+        const path = [];
+        let index = source;
+        let terminus = 'sink';
+        let length = 0;
+        let previous = null;
+
+        while (index >= 0) {
+            const point = cellToLatLon(index % width, Math.floor(index / width), width, height);
+            if (previous) {
+                length += greatCircleDistance(previous, point) * radiusKm;
+            }
+            points.push(point);
+            path.push(index);
+            previous = point;
+
+            if (isOcean[index]) {
+                terminus = 'ocean';
+                break;
+            }
+            if (lakes.cells[index] >= 0) {
+                terminus = lakes.list[lakes.cells[index]].endorheic ? 'endorheic' : 'lake';
+                break;
+            }
+            if (visited[index]) {
+                terminus = 'confluence';
+                break;
+            }
+            visited[index] = 1;
+            index = flowDirections[index];
+        }
+
+        // The last point sits in the receiving water or river, so report the flow just above it
+        const mouth = path[Math.max(path.length - 2, 0)];
+
+        rivers.push({
+            points: points,
+            length: length,
+            discharge: discharge[mouth],
+            terminus: terminus
+        });
+    }
+
+    return rivers.sort((a, b) => b.discharge - a.discharge);
+}
+
+function greatCircleDistance(a, b) {
+    const lat1 = a.lat * Math.PI / 180;
+    const lat2 = b.lat * Math.PI / 180;
+    const deltaLon = (b.lon - a.lon) * Math.PI / 180;
+    const cosine = Math.sin(lat1) * Math.sin(lat2) + Math.cos(lat1) * Math.cos(lat2) * Math.cos(deltaLon);
+    return Math.acos(Math.min(Math.max(cosine, -1), 1));
+}
+
+// mm/year of water the air could take up at this annual mean temperature
+function potentialEvaporation(temperature) {
+    return Math.max(300 + 45 * temperature, 0);
+}
+
+// mm/year of water over km^2 to m^3/s
+function toDischarge(depthMm, areaKm2) {
+    return depthMm * areaKm2 * 1000 / SECONDS_PER_YEAR;
+}
+
+// Binary min-heap of cell indices keyed by their filled elevation
+function createHeap(keys) {
+    const items = [];
+
+    function push(item) {
+        items.push(item);
+        let child = items.length - 1;
+        while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (keys[items[parent]] <= keys[items[child]]) {
+                break;
+            }
+            [items[parent], items[child]] = [items[child], items[parent]];
+            child = parent;
+        }
+    }
+
+    function pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let parent = 0;
+            while (true) {
+                const left = parent * 2 + 1;
+                const right = left + 1;
+                let smallest = parent;
+                if (left < items.length && keys[items[left]] < keys[items[smallest]]) {
+                    smallest = left;
+                }
+                if (right < items.length && keys[items[right]] < keys[items[smallest]]) {
+                    smallest = right;
+                }
+                if (smallest === parent) {
+                    break;
+                }
+                [items[parent], items[smallest]] = [items[smallest], items[parent]];
+                parent = smallest;
+            }
+        }
+        return top;
+    }
+
+    return { push, pop, size: () => items.length };
+}
+
+// Transparent RGBA overlay at `scale` pixels per heightmap cell: lakes filled in, rivers
+// smoothed out of their grid steps and widening with discharge
+function renderRiverOverlay(riverNetwork, scale = 4) {
+    const width = riverNetwork.width * scale;
+    const height = riverNetwork.height * scale;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+
+    const paint = (x, y, color, alpha) => {
+        const px = ((Math.round(x) % width) + width) % width;
+        const py = Math.round(y);
+        if (py < 0 || py >= height) {
+            return;
+        }
+        const offset = (py * width + px) * 4;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+        pixels[offset + 3] = Math.max(pixels[offset + 3], alpha);
+    };
+
+    for (let index = 0; index < riverNetwork.lakeCells.length; index++) {
+        const lakeId = riverNetwork.lakeCells[index];
+        if (lakeId < 0) {
+            continue;
+        }
+        const color = riverNetwork.lakes[lakeId].endorheic ? SALT_LAKE_COLOR : LAKE_COLOR;
+        const i = index % riverNetwork.width;
+        const j = Math.floor(index / riverNetwork.width);
+        for (let y = 0; y < scale; y++) {
+            for (let x = 0; x < scale; x++) {
+                paint(i * scale + x, j * scale + y, color, 255);
+            }
+        }
+    }
+
+    riverNetwork.rivers.forEach(river => {
+        const radius = Math.min(0.5 + Math.log10(river.discharge / RIVER_DISCHARGE + 1) * 2, 2.5) * scale / 4;
+        const path = smoothPath(river.points.map(point => [(point.lon + 180) / 360 * width, (90 - point.lat) / 180 * height]), width);
+
+        for (let k = 1; k < path.length; k++) {
+            const [x0, y0] = path[k - 1];
+            const [x1, y1] = path[k];
+            const steps = Math.ceil(Math.hypot(x1 - x0, y1 - y0) * 2);
+            for (let s = 0; s <= steps; s++) {
+                const t = s / Math.max(steps, 1);
+                stampDisc(paint, x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, radius);
+            }
+        }
+    });
+
+    return { width, height, data: pixels };
+}
+
+function stampDisc(paint, cx, cy, radius) {
+    const reach = Math.ceil(radius);
+    for (let dy = -reach; dy <= reach; dy++) {
+        for (let dx = -reach; dx <= reach; dx++) {
+            if (dx * dx + dy * dy <= radius * radius + 0.25) {
+                paint(cx + dx, cy + dy, RIVER_COLOR, 230);
+            }
+        }
+    }
+}
+
+// Unwraps longitude so paths crossing the date line stay continuous, then rounds off the
+// D8 staircase with two passes of Chaikin's corner cutting
+function smoothPath(path, width) {
+    let points = path.map(point => point.slice());
+    for (let k = 1; k < points.length; k++) {
+        const jump = points[k][0] - points[k - 1][0];
+        points[k][0] -= Math.round(jump / width) * width;
+    }
+
+    for (let pass = 0; pass < 2 && points.length > 2; pass++) {
+        const smoothed = [points[0]];
+        for (let k = 0; k < points.length - 1; k++) {
+            const [x0, y0] = points[k];
+            const [x1, y1] = points[k + 1];
+            smoothed.push([x0 * 0.75 + x1 * 0.25, y0 * 0.75 + y1 * 0.25]);
+            smoothed.push([x0 * 0.25 + x1 * 0.75, y0 * 0.25 + y1 * 0.75]);
+        }
+        smoothed.push(points[points.length - 1]);
+        points = smoothed;
+    }
+
+    return points;
+}
+
+export { generateRivers, renderRiverOverlay };
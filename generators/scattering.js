@@ -0,0 +1,202 @@
+import { getMoleFractions, meanMolecularWeight, gasProperties } from './atmosphere.js';
+import { blackbodyColor, STAR_TEMPERATURES } from './color.js';
+
+// Single-scattering sky: Rayleigh scattering by the gas molecules and Mie scattering by aerosols,
+// with coefficients from the atmosphere's gas mix and surface pressure
+
+const BOLTZMANN = 1.380649e-23;       // J/K
+const LOSCHMIDT = 2.687e25;           // molecules per m^3 at 0 °C and 1 atm
+const ATOMIC_MASS_UNIT = 1.66054e-27; // kg
+const EARTH_GRAVITY = 9.81;           // m/s^2
+const PASCALS_PER_BAR = 1e5;
+// Red, green and blue wavelengths in m
+const WAVELENGTHS = [680e-9, 550e-9, 440e-9];
+
+// Aerosols: zenith optical depth, share of each colour they scatter rather than absorb, and how
+// strongly they throw light forward (the Henyey-Greenstein asymmetry)
+const hazeByAtmosphere = {
+    'carbon_dioxide_type_I': { opticalDepth: 0.5, albedo: [0.95, 0.75, 0.55], asymmetry: 0.65 }, // dust, as on Mars
+    'carbon_dioxide_type_II': { opticalDepth: 30, albedo: [1, 0.95, 0.8], asymmetry: 0.75 },      // sulfuric acid, as on Venus
+    'nitrogen_type_I': { opticalDepth: 3, albedo: [0.95, 0.7, 0.35], asymmetry: 0.6 },            // tholins, as on Titan
+    'nitrogen_type_III': { opticalDepth: 0.1, albedo: [0.95, 0.95, 0.95], asymmetry: 0.76 },     // sea salt, dust and sulfate
+    'hydrogen_helium_type_I': { opticalDepth: 0.5, albedo: [0.95, 0.9, 0.8], asymmetry: 0.7 },
+    'hydrogen_helium_type_II': { opticalDepth: 0.5, albedo: [0.95, 0.92, 0.85], asymmetry: 0.7 },
+    'hydrogen_helium_type_III': { opticalDepth: 1, albedo: [0.9, 0.85, 0.8], asymmetry: 0.7 },
+    'ice_type_I': { opticalDepth: 0.2, albedo: [0.9, 0.95, 0.95], asymmetry: 0.7 },
+    'ice_type_II': { opticalDepth: 0.2, albedo: [0.9, 0.95, 0.95], asymmetry: 0.7 },
+    'carbon_type_I': { opticalDepth: 1, albedo: [0.95, 0.65, 0.35], asymmetry: 0.6 },
+    'ammonia_type_I': { opticalDepth: 0.5, albedo: [0.95, 0.95, 0.9], asymmetry: 0.7 }
+};
+
+// Anything past this looks the same (opaque), and the shader's few samples can't resolve it anyway
+const MAX_OPTICAL_DEPTH = 10;
+// The drawn shell is far thicker than a real scale height, so the profile is stretched to fill it
+// while the column optical depths stay true: SHELL_SCALE_HEIGHTS scale heights of gas fit in the shell,
+// and the aerosols sit lower, at this share of the gas scale height
+const SHELL_SCALE_HEIGHTS = 5;
+const AEROSOL_HEIGHT_RATIO = 0.25;
+// Brightness of the starlight entering the top of the atmosphere, in shader units
+const SUN_INTENSITY = 20;
+
+// `gravity` is relative to Earth's, `surfacePressure` in bar and `surfaceTemperature` in °C (see atmospherics.js);
+// `moleFractions` replaces the type's standard gas mix for an evolved atmosphere
+function calculateScattering({ atmosphere, surfaceTemperature = 15, gravity = 1, surfacePressure = 1, moleFractions = null, starType = 'G' }) {
+    const fractions = moleFractions || getMoleFractions(atmosphere);
+    const meanMass = meanMolecularWeight(fractions);
+    const temperature = Math.max(surfaceTemperature + 273.15, 20);
+    const g = Math.max(gravity, 0.01) * EARTH_GRAVITY;
+
+    // Scale height H = kT / mg, and the column of molecules above each m^2 is P / mg
+    const scaleHeight = BOLTZMANN * temperature / (meanMass * ATOMIC_MASS_UNIT * g);
+    const column = surfacePressure * PASCALS_PER_BAR / (meanMass * ATOMIC_MASS_UNIT * g);
+
+    // Rayleigh cross-section per molecule, 32 pi^3 (n - 1)^2 / (3 N^2 lambda^4), averaged over the mix
+    const crossSections = WAVELENGTHS.map(wavelength => Object.entries(fractions).reduce((sum, [gas, fraction]) => {
+        const refractivity = gasProperties[gas].refractivity;
+        return sum + fraction * 32 * Math.pow(Math.PI, 3) * refractivity * refractivity / (3 * LOSCHMIDT * LOSCHMIDT * Math.pow(wavelength, 4));
+    }, 0));
+
+    // Aerosols need air to stay aloft, so a near-vacuum keeps none whatever its type
+    const haze = hazeByAtmosphere[atmosphere] || { opticalDepth: 0, albedo: [1, 1, 1], asymmetry: 0.7 };
+    const hazeDepth = haze.opticalDepth * Math.min(surfacePressure / 0.001, 1);
+
+    const sun = blackbodyColor(STAR_TEMPERATURES[starType] || STAR_TEMPERATURES['G']);
+    const brightest = Math.max(...sun);
+
+    return {
+        surfacePressure: surfacePressure,
+        scaleHeight: scaleHeight / 1000, // km
+        rayleighDepth: crossSections.map(crossSection => Math.min(crossSection * column, MAX_OPTICAL_DEPTH)),
+        mieDepth: Math.min(hazeDepth, MAX_OPTICAL_DEPTH),
+        mieAlbedo: haze.albedo,
+        mieAsymmetry: haze.asymmetry,
+        sunColor: sun.map(channel => channel / brightest)
+    };
+}
+
+// Uniforms for the scattering shaders on a shell from planetRadius to atmosphereRadius (scene units).
+// Dividing each optical depth by the drawn scale height gives the coefficient at the surface
+function scatteringUniforms(scattering, planetRadius, atmosphereRadius) {
+    const rayleighHeight = (atmosphereRadius - planetRadius) / SHELL_SCALE_HEIGHTS;
+    const mieHeight = rayleighHeight * AEROSOL_HEIGHT_RATIO;
+    return {
+        planetRadius: { value: planetRadius },
+        atmosphereRadius: { value: atmosphereRadius },
+        rayleighScaleHeight: { value: rayleighHeight },
+        mieScaleHeight: { value: mieHeight },
+        rayleighCoefficient: { value: scattering.rayleighDepth.map(depth => depth / rayleighHeight) },
+        mieExtinction: { value: scattering.mieDepth / mieHeight },
+        mieAlbedo: { value: scattering.mieAlbedo },
+        mieAsymmetry: { value: scattering.mieAsymmetry },
+        sunColor: { value: scattering.sunColor },
+        sunIntensity: { value: SUN_INTENSITY }
+    };
+}
+
+export const scatteringVertexShader = `
+varying vec3 vWorldPosition;
+varying vec3 vCenter;
+
+void main() {
+  vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+  vCenter = (modelMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+export const scatteringFragmentShader = `
+#define PI 3.14159265359
+#define PRIMARY_STEPS 16
+#define LIGHT_STEPS 6
+
+varying vec3 vWorldPosition;
+varying vec3 vCenter;
+
+uniform vec3 sunPosition;
+uniform vec3 sunColor;
+uniform float sunIntensity;
+uniform float planetRadius;
+uniform float atmosphereRadius;
+uniform float rayleighScaleHeight;
+uniform float mieScaleHeight;
+uniform vec3 rayleighCoefficient;
+uniform float mieExtinction;
+uniform vec3 mieAlbedo;
+uniform float mieAsymmetry;
+
+// Distances along the ray to where it enters and leaves a sphere; x > y means a miss
+vec2 intersectSphere(vec3 origin, vec3 direction, vec3 center, float radius) {
+  vec3 offset = origin - center;
+  float b = dot(offset, direction);
+  float c = dot(offset, offset) - radius * radius;
+  float discriminant = b * b - c;
+  if (discriminant < 0.0) {
+    return vec2(1.0, -1.0);
+  }
+  float root = sqrt(discriminant);
+  return vec2(-b - root, -b + root);
+}
+
+void main() {
+  vec3 direction = normalize(vWorldPosition - cameraPosition);
+  vec2 span = intersectSphere(cameraPosition, direction, vCenter, atmosphereRadius);
+  if (span.x > span.y) {
+    discard;
+  }
+  span.x = max(span.x, 0.0);
+  // The ground stops the view ray
+  vec2 ground = intersectSphere(cameraPosition, direction, vCenter, planetRadius);
+  if (ground.x <= ground.y && ground.x > 0.0) {
+    span.y = min(span.y, ground.x);
+  }
+
+  float stepLength = (span.y - span.x) / float(PRIMARY_STEPS);
+  vec3 sunDirection = normalize(sunPosition - vCenter);
+  vec3 mieCoefficient = mieExtinction * mieAlbedo;
+
+  float rayleighDepth = 0.0;
+  float mieDepth = 0.0;
+  vec3 rayleighSum = vec3(0.0);
+  vec3 mieSum = vec3(0.0);
+
+  for (int i = 0; i < PRIMARY_STEPS; i++) {
+    vec3 samplePoint = cameraPosition + direction * (span.x + (float(i) + 0.5) * stepLength);
+    float height = length(samplePoint - vCenter) - planetRadius;
+    float rayleighStep = exp(-height / rayleighScaleHeight) * stepLength;
+    float mieStep = exp(-height / mieScaleHeight) * stepLength;
+    rayleighDepth += rayleighStep;
+    mieDepth += mieStep;
+
+    // Points on the night side get no direct starlight
+    vec2 shadow = intersectSphere(samplePoint, sunDirection, vCenter, planetRadius);
+    if (shadow.x <= shadow.y && shadow.x > 0.0) {
+      continue;
+    }
+
+    // Optical depth from the sample out to the star; the long, low path near the terminator is what reddens sunsets
+    float lightLength = intersectSphere(samplePoint, sunDirection, vCenter, atmosphereRadius).y / float(LIGHT_STEPS);
+    float lightRayleigh = 0.0;
+    float lightMie = 0.0;
+    for (int j = 0; j < LIGHT_STEPS; j++) {
+      vec3 lightPoint = samplePoint + sunDirection * ((float(j) + 0.5) * lightLength);
+      float lightHeight = max(length(lightPoint - vCenter) - planetRadius, 0.0);
+      lightRayleigh += exp(-lightHeight / rayleighScaleHeight) * lightLength;
+      lightMie += exp(-lightHeight / mieScaleHeight) * lightLength;
+    }
+
+    vec3 attenuation = exp(-(rayleighCoefficient * (rayleighDepth + lightRayleigh) + mieExtinction * (mieDepth + lightMie)));
+    rayleighSum += rayleighStep * attenuation;
+    mieSum += mieStep * attenuation;
+  }
+
+  float mu = dot(direction, sunDirection);
+  float rayleighPhase = 3.0 / (16.0 * PI) * (1.0 + mu * mu);
+  float g = mieAsymmetry;
+  float miePhase = (1.0 - g * g) / (4.0 * PI * pow(1.0 + g * g - 2.0 * g * mu, 1.5));
+
+  vec3 color = sunIntensity * sunColor * (rayleighSum * rayleighCoefficient * rayleighPhase + mieSum * mieCoefficient * miePhase);
+  gl_FragColor = vec4(color, 1.0);
+}
+`;
+
+export { calculateScattering, scatteringUniforms };
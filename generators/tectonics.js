@@ -0,0 +1,292 @@
+import { random, getRandomValue, getRandomInt } from './random.js';
+
+const EARTH_RADIUS_KM = 6378;
+
+// Planets without a rocky lithosphere have no plates to break up
+const platelessTypes = ['Gas Giant', 'Ice Giant'];
+
+function generateTectonics(planetSize, planetType, coreState, starAge) {
+    if (platelessTypes.includes(planetType)) {
+        return {
+            activity: 0,
+            activityLevel: 'None',
+            regime: 'none',
+            plates: [],
+            boundaries: []
+        };
+    }
+
+    const activity = calculateTectonicActivity(planetSize, planetType, coreState, starAge);
+    const activityLevel = getActivityLevel(activity);
+    const plates = generatePlates(planetSize, activity);
+    const tectonics = {
+        activity: activity,
+        activityLevel: activityLevel,
+        // Below the threshold the lithosphere stays one rigid shell (like Mars or Mercury)
+        regime: plates.length > 1 ? 'mobile lid' : 'stagnant lid',
+        radiusKm: planetSize * EARTH_RADIUS_KM,
+        plates: plates,
+        boundaries: []
+    };
+
+    measurePlateAreas(tectonics);
+    tectonics.boundaries = classifyBoundaries(tectonics);
+
+    return tectonics;
+}
+
+function calculateTectonicActivity(planetSize, planetType, coreState, starAge) {
+    // Bigger planets keep their primordial and radiogenic heat for longer
+    const sizeFactor = Math.min(Math.max((planetSize - 0.2) / 1.3, 0), 1);
+
+    const coreFactors = {
+        'molten': 1,
+        'partially molten': 0.65,
+        'solid': 0.15
+    };
+    const coreFactor = coreFactors[coreState] !== undefined ? coreFactors[coreState] : 0.5;
+
+    // Heat flow decays with age; an Earth-sized world stays active for roughly 10 billion years
+    const thermalLifetime = 10 * Math.pow(Math.max(planetSize, 0.1), 2);
+    const ageFactor = Math.exp(-(starAge || 0) / (thermalLifetime * 2));
+
+    let activity = coreFactor * (0.4 + 0.6 * sizeFactor) * ageFactor;
+
+    // Tidal heating and a thin crust keep lava worlds churning
+    if (planetType === 'Lava Planet') {
+        activity = Math.min(activity * 1.5 + 0.2, 1);
+    }
+
+    return activity;
+}
+
+function getActivityLevel(activity) {
+    if (activity < 0.1) {
+        return 'None';
+    } else if (activity < 0.35) {
+        return 'Low';
+    } else if (activity < 0.65) {
+        return 'Moderate';
+    } else {
+        return 'High';
+    }
+}
+
+function generatePlates(planetSize, activity) {
+    if (activity < 0.1) {
+        return [createPlate(0, randomUnitVector(), 0)];
+    }
+
+    // Earth has 7 major plates plus a handful of minor ones
+    const baseCount = 4 + activity * 8 * Math.sqrt(Math.max(planetSize, 0.25));
+    const plateCount = Math.max(2, Math.round(baseCount) + getRandomInt(-2, 2));
+
+    const plates = [];
+    for (let i = 0; i < plateCount; i++) {
+        plates.push(createPlate(i, randomUnitVector(), activity));
+    }
+    return plates;
+}
+
+function createPlate(id, center, activity) {
+    // Angular velocity in degrees per million years; Earth's plates move at 0.2 - 1.2 deg/Myr
+    const angularVelocity = getRandomValue(0.2, 1.2) * activity;
+
+    return {
+        id: id,
+        center: center,
+        crust: random() < 0.4 ? 'continental' : 'oceanic',
+        eulerPole: randomUnitVector(),
+        angularVelocity: angularVelocity,
+        area: 1
+    };
+}
+
+// Uniformly distributed point on the unit sphere
+function randomUnitVector() {
+    const z = getRandomValue(-1, 1);
+    const phi = getRandomValue(0, Math.PI * 2);
+    const r = Math.sqrt(1 - z * z);
+    return [r * Math.cos(phi), r * Math.sin(phi), z];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]) || 1;
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+function latLonToVector(latDegrees, lonDegrees) {
+    const lat = latDegrees * Math.PI / 180;
+    const lon = lonDegrees * Math.PI / 180;
+    return [Math.cos(lat) * Math.cos(lon), Math.sin(lat), Math.cos(lat) * Math.sin(lon)];
+}
+
+// Surface velocity of a plate at point p, in cm/year
+function plateVelocity(plate, p, radiusKm) {
+    const omegaRadPerYear = plate.angularVelocity * Math.PI / 180 / 1e6;
+    const radiusCm = radiusKm * 1e5;
+    const v = cross(plate.eulerPole, p);
+    return [v[0] * omegaRadPerYear * radiusCm, v[1] * omegaRadPerYear * radiusCm, v[2] * omegaRadPerYear * radiusCm];
+}
+
+// Plates are the Voronoi cells of their centres, so the two nearest centres tell us
+// which plate a point sits on and how far it is from the shared boundary.
+function sampleTectonics(tectonics, x, y, z) {
+    const p = normalize([x, y, z]);
+    const plates = tectonics.plates;
+
+    if (plates.length === 0) {
+        return { plate: null, neighbour: null, boundaryType: null, boundaryDistance: Math.PI, convergence: 0 };
+    }
+
+    let nearest = null;
+    let second = null;
+    let nearestDot = -Infinity;
+    let secondDot = -Infinity;
+    plates.forEach(plate => {
+        const d = dot(p, plate.center);
+        if (d > nearestDot) {
+            second = nearest;
+            secondDot = nearestDot;
+            nearest = plate;
+            nearestDot = d;
+        } else if (d > secondDot) {
+            second = plate;
+            secondDot = d;
+        }
+    });
+
+    if (!second) {
+        return { plate: nearest, neighbour: null, boundaryType: null, boundaryDistance: Math.PI, convergence: 0 };
+    }
+
+    // Angular distance (radians) to the bisector between the two centres
+    const boundaryDistance = (Math.acos(Math.min(secondDot, 1)) - Math.acos(Math.min(nearestDot, 1))) / 2;
+    const { type, convergence } = classifyMotion(nearest, second, p, tectonics.radiusKm);
+
+    return {
+        plate: nearest,
+        neighbour: second,
+        boundaryType: type,
+        boundaryDistance: boundaryDistance,
+        convergence: convergence
+    };
+}
+
+// Relative motion across the boundary between plates a and b at point p
+function classifyMotion(a, b, p, radiusKm) {
+    // Boundary normal: the direction from a towards b, in the tangent plane at p
+    const towardsB = [b.center[0] - a.center[0], b.center[1] - a.center[1], b.center[2] - a.center[2]];
+    const along = dot(towardsB, p);
+    const normal = normalize([towardsB[0] - along * p[0], towardsB[1] - along * p[1], towardsB[2] - along * p[2]]);
+
+    const va = plateVelocity(a, p, radiusKm);
+    const vb = plateVelocity(b, p, radiusKm);
+    const relative = [vb[0] - va[0], vb[1] - va[1], vb[2] - va[2]];
+
+    // Positive when the plates close on each other
+    const convergence = -dot(relative, normal);
+    const shear = Math.sqrt(Math.max(dot(relative, relative) - convergence * convergence, 0));
+
+    let type;
+    if (Math.abs(convergence) < shear * 0.5) {
+        type = 'transform';
+    } else if (convergence > 0) {
+        type = 'convergent';
+    } else {
+        type = 'divergent';
+    }
+
+    return { type, convergence };
+}
+
+function measurePlateAreas(tectonics) {
+    const counts = new Array(tectonics.plates.length).fill(0);
+    let total = 0;
+
+    forEachGridPoint(5, (lat, lon, p, weight) => {
+        counts[sampleTectonics(tectonics, p[0], p[1], p[2]).plate.id] += weight;
+        total += weight;
+    });
+
+    tectonics.plates.forEach((plate, i) => {
+        plate.area = counts[i] / total;
+    });
+}
+
+// Walks the boundaries on a coarse grid and groups them per plate pair
+function classifyBoundaries(tectonics) {
+    if (tectonics.plates.length < 2) {
+        return [];
+    }
+
+    const stepDegrees = 2.5;
+    const stepKm = tectonics.radiusKm * stepDegrees * Math.PI / 180;
+    const boundaries = {};
+
+    forEachGridPoint(stepDegrees, (lat, lon, p, weight) => {
+        const sample = sampleTectonics(tectonics, p[0], p[1], p[2]);
+        if (sample.boundaryDistance * 180 / Math.PI > stepDegrees / 2) {
+            return;
+        }
+
+        const ids = [sample.plate.id, sample.neighbour.id].sort((a, b) => a - b);
+        const key = ids.join('-');
+        if (!boundaries[key]) {
+            boundaries[key] = {
+                plates: ids,
+                type: null,
+                length: 0,
+                convergenceRate: 0,
+                counts: { convergent: 0, divergent: 0, transform: 0 },
+                points: []
+            };
+        }
+
+        const boundary = boundaries[key];
+        boundary.length += stepKm * weight;
+        boundary.counts[sample.boundaryType] += 1;
+        boundary.convergenceRate += Math.abs(sample.convergence);
+        boundary.points.push({ lat: lat, lon: lon, type: sample.boundaryType });
+    });
+
+    return Object.values(boundaries).map(boundary => {
+        const counts = boundary.counts;
+        boundary.type = Object.keys(counts).reduce((best, type) => counts[type] > counts[best] ? type : best, 'transform');
+        boundary.convergenceRate /= boundary.points.length; // cm/year
+        boundary.length = Math.round(boundary.length);
+        return boundary;
+    });
+}
+
+// Equal-angle latitude/longitude grid, weighted by cos(latitude) so areas come out right
+function forEachGridPoint(stepDegrees, callback) {
+    for (let lat = -90 + stepDegrees / 2; lat < 90; lat += stepDegrees) {
+        const weight = Math.cos(lat * Math.PI / 180);
+        for (let lon = -180 + stepDegrees / 2; lon < 180; lon += stepDegrees) {
+            callback(lat, lon, latLonToVector(lat, lon), weight);
+        }
+    }
+}
+
+function summarizeTectonics(tectonics) {
+    const counts = { convergent: 0, divergent: 0, transform: 0 };
+    tectonics.boundaries.forEach(boundary => {
+        counts[boundary.type] += 1;
+    });
+    return counts;
+}
+
+export { generateTectonics, calculateTectonicActivity, sampleTectonics, summarizeTectonics, latLonToVector };
@@ -0,0 +1,227 @@
+import { createNoise3D } from '../node_modules/simplex-noise/dist/esm/simplex-noise.js';
+import { random } from './random.js';
+import { sampleTectonics, latLonToVector } from './tectonics.js';
+import { sampleFractal } from './texture.js';
+
+// One cell per degree; rows run north to south and columns west to east, like the sphere's UVs
+const HEIGHTMAP_WIDTH = 360;
+const HEIGHTMAP_HEIGHT = 180;
+
+// Typical peak-to-trough relief in kilometres
+const reliefByType = {
+    'Terrestrial': 6,
+    'Ocean World': 4,
+    'Lava Planet': 3,
+    'Dwarf Planet': 4
+};
+
+// Fractal for the small-scale relief (see texture.js), matching the shader surfaces: lava worlds get
+// ridged flows, and dwarf planets smooth basins under rough highlands
+const detailStyleByPlanetType = {
+    'Lava Planet': 'ridged',
+    'Dwarf Planet': 'hetero'
+};
+
+// Elevation offsets (in units of relief) for the two kinds of crust; ocean basins sit
+// deep enough that an Earth-sized water budget fills them to roughly Earth's coastlines
+const crustOffsets = {
+    'continental': 0.15,
+    'oceanic': -0.7
+};
+
+const EARTH_RADIUS_KM = 6378;
+// Real relief is a thousandth of a radius and would vanish on screen, so displaced geometry stretches it;
+// the cap keeps small, active worlds from turning into spiky balls
+const BASE_RELIEF_EXAGGERATION = 15;
+const MAX_RELIEF_FRACTION = 0.04;
+
+function generateHeightmap(tectonics, planetType, width = HEIGHTMAP_WIDTH, height = HEIGHTMAP_HEIGHT) {
+    const noise3D = createNoise3D(random);
+    const relief = reliefByType[planetType] || 4;
+    const detailStyle = detailStyleByPlanetType[planetType] || 'fbm';
+    const data = new Float32Array(width * height);
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            const { lat, lon } = cellToLatLon(i, j, width, height);
+            const p = latLonToVector(lat, lon);
+            const elevation = calculateElevation(p, tectonics, noise3D, detailStyle) * relief;
+
+            data[j * width + i] = elevation;
+            min = Math.min(min, elevation);
+            max = Math.max(max, elevation);
+        }
+    }
+
+    return { width, height, data, min, max };
+}
+
+function calculateElevation(p, tectonics, noise3D, detailStyle) {
+    const detail = sampleFractal(noise3D, p[0], p[1], p[2], detailStyle);
+
+    if (tectonics.plates.length === 0) {
+        return detail * 0.6;
+    }
+
+    // Warp the lookup so coastlines and plate edges are ragged rather than straight Voronoi lines
+    const warp = 0.15;
+    const sample = sampleTectonics(
+        tectonics,
+        p[0] + noise3D(p[0] * 2 + 11, p[1] * 2, p[2] * 2) * warp,
+        p[1] + noise3D(p[0] * 2, p[1] * 2 + 23, p[2] * 2) * warp,
+        p[2] + noise3D(p[0] * 2, p[1] * 2, p[2] * 2 + 37) * warp
+    );
+
+    let base = crustOffsets[sample.plate.crust];
+    if (sample.neighbour) {
+        // Blend the crust level across the boundary so shelves slope instead of stepping
+        const blend = smoothstep(0, 0.15, sample.boundaryDistance);
+        const shared = (crustOffsets[sample.plate.crust] + crustOffsets[sample.neighbour.crust]) / 2;
+        base = shared + (base - shared) * blend;
+    }
+
+    return base + detail * 0.45 + boundaryRelief(sample, tectonics.activity);
+}
+
+// Mountains, trenches, ridges and rifts along plate boundaries
+function boundaryRelief(sample, activity) {
+    if (!sample.neighbour) {
+        return 0;
+    }
+
+    const d = sample.boundaryDistance;
+    const strength = (0.3 + activity) * Math.min(Math.abs(sample.convergence) / 4, 1.5);
+    const ownCrust = sample.plate.crust;
+    const otherCrust = sample.neighbour.crust;
+
+    switch (sample.boundaryType) {
+        case 'convergent':
+            if (ownCrust === 'oceanic' && otherCrust === 'continental') {
+                // The oceanic plate dives under, leaving a trench
+                return -0.5 * strength * gaussian(d, 0.02);
+            }
+            return 0.9 * strength * gaussian(d, 0.05);
+        case 'divergent':
+            if (ownCrust === 'oceanic') {
+                return 0.25 * strength * gaussian(d, 0.04); // mid-ocean ridge
+            }
+            return -0.2 * strength * gaussian(d, 0.03); // continental rift valley
+        default:
+            return 0.05 * strength * gaussian(d, 0.02);
+    }
+}
+
+function gaussian(d, width) {
+    return Math.exp(-(d * d) / (width * width));
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
+function cellToLatLon(i, j, width, height) {
+    return {
+        lat: 90 - (j + 0.5) * 180 / height,
+        lon: (i + 0.5) * 360 / width - 180
+    };
+}
+
+// Bilinear lookup that wraps around in longitude
+function sampleHeightmap(heightmap, lat, lon) {
+    const { width, height, data } = heightmap;
+    const x = (lon + 180) / 360 * width - 0.5;
+    const y = Math.min(Math.max((90 - lat) / 180 * height - 0.5, 0), height - 1);
+
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const tx = x - x0;
+    const ty = y - y0;
+    const y1 = Math.min(y0 + 1, height - 1);
+    const column = i => ((i % width) + width) % width;
+
+    const top = data[y0 * width + column(x0)] * (1 - tx) + data[y0 * width + column(x0 + 1)] * tx;
+    const bottom = data[y1 * width + column(x0)] * (1 - tx) + data[y1 * width + column(x0 + 1)] * tx;
+    return top * (1 - ty) + bottom * ty;
+}
+
+// Smaller worlds are stretched more (their mountains stand taller for the same strength of rock),
+// and so are tectonically active ones, whose relief is what makes them worth looking at
+function reliefExaggeration(planetSize, activity = 0) {
+    return BASE_RELIEF_EXAGGERATION * (0.5 + activity) / Math.sqrt(Math.max(planetSize, 0.1));
+}
+
+// Pushes the vertices of a three.js SphereGeometry (v = 1 at the north pole) in or out along their
+// radius by the heightmap elevation. Oceans, if a sea level is given, stay a smooth shell at the nominal radius
+function displaceSphere(positions, uvs, heightmap, { planetSize = 1, exaggeration = 1, seaLevel = null }) {
+    const radiusKm = planetSize * EARTH_RADIUS_KM;
+    const base = seaLevel !== null ? seaLevel : 0;
+    const poleHeights = {
+        north: rowMean(heightmap, 0),
+        south: rowMean(heightmap, heightmap.height - 1)
+    };
+
+    for (let k = 0; k < positions.length / 3; k++) {
+        const u = uvs[k * 2];
+        const v = uvs[k * 2 + 1];
+        // Every pole vertex must land on the same point, so they share the mean of the polar row
+        let elevation;
+        if (v >= 1) {
+            elevation = poleHeights.north;
+        } else if (v <= 0) {
+            elevation = poleHeights.south;
+        } else {
+            elevation = sampleHeightmap(heightmap, (v - 0.5) * 180, u * 360 - 180);
+        }
+        if (seaLevel !== null) {
+            elevation = Math.max(elevation, seaLevel);
+        }
+
+        const offset = Math.min(Math.max((elevation - base) / radiusKm * exaggeration, -MAX_RELIEF_FRACTION), MAX_RELIEF_FRACTION);
+        positions[k * 3] *= 1 + offset;
+        positions[k * 3 + 1] *= 1 + offset;
+        positions[k * 3 + 2] *= 1 + offset;
+    }
+    return positions;
+}
+
+// computeVertexNormals only sees the triangles around each vertex, but the sphere's u = 0 and u = 1 columns
+// and each pole's row are separate vertices at one point; give them their shared normal so no seam shows
+function weldSphereNormals(normals, widthSegments, heightSegments) {
+    const columns = widthSegments + 1;
+    const average = indices => {
+        const sum = [0, 0, 0];
+        indices.forEach(k => {
+            sum[0] += normals[k * 3];
+            sum[1] += normals[k * 3 + 1];
+            sum[2] += normals[k * 3 + 2];
+        });
+        const length = Math.hypot(sum[0], sum[1], sum[2]) || 1;
+        indices.forEach(k => {
+            normals[k * 3] = sum[0] / length;
+            normals[k * 3 + 1] = sum[1] / length;
+            normals[k * 3 + 2] = sum[2] / length;
+        });
+    };
+
+    for (let row = 0; row <= heightSegments; row++) {
+        if (row === 0 || row === heightSegments) {
+            average(Array.from({ length: columns }, (_, i) => row * columns + i));
+        } else {
+            average([row * columns, row * columns + widthSegments]);
+        }
+    }
+    return normals;
+}
+
+function rowMean(heightmap, row) {
+    let total = 0;
+    for (let i = 0; i < heightmap.width; i++) {
+        total += heightmap.data[row * heightmap.width + i];
+    }
+    return total / heightmap.width;
+}
+
+export { generateHeightmap, reliefExaggeration, displaceSphere, weldSphereNormals, sampleHeightmap, cellToLatLon, HEIGHTMAP_WIDTH, HEIGHTMAP_HEIGHT };
@@ -1,37 +1,22 @@
+import { createNoise3D } from '../node_modules/simplex-noise/dist/esm/simplex-noise.js';
+import { random } from './random.js';
+import { latLonToVector } from './tectonics.js';
+import { mixColors } from './color.js';
+
 // musgrave shader, for noise based planet texturing
-// 3.14159265358979323846264
+// The noise is evaluated in 3D at each fragment's point on the unit sphere in object space, so there
+// is no UV seam or pole pinching to hide, and the surface turns with the planet rather than sliding
+// over it. Octave settings and the colour ramp come from musgraveUniforms and paletteUniforms
 // Vertex Shader
 export const musgraveVertexShader = `
-varying vec2 vUv;
-varying vec3 vNormal;
+varying vec3 vSpherePosition;
+varying vec3 vWorldNormal;
+varying vec3 vWorldPosition;
 
 void main() {
-  // Generate spherical UVs based on the vertex position
-  float PI = 3.14159265358979323846264;
-
-  vec3 normalizedPosition = normalize(position);
-  float u = 0.5 + atan(normalizedPosition.z, normalizedPosition.x) / (2.0 * PI);
-  float v = 0.5 - asin(normalizedPosition.y) / PI;
-  
-  // Apply a sinusoidal scaling to the U coordinate to reduce stretching
-  float scalingStrength = 0.25; // Lower this value to reduce the effect, increase to enhance
-  float scalingFactor = (1.0 - cos(v * PI)) * scalingStrength;
-
-  float blendFactor = 1.3; // Factor 2: Blending Factor
-  float sinusoidalU = u * scalingFactor / 2.0 + u * blendFactor;
-  
-  // Adjust u near the seam to create a blend zone
-  float seamZoneWidth = 0.01; // Width of the blend zone on either side of the seam
-  float blendZoneStart = 1.0 - seamZoneWidth;
-  if (u < seamZoneWidth) {
-    sinusoidalU *= smoothstep(0.0, seamZoneWidth, u);
-  } else if (u > blendZoneStart) {
-    sinusoidalU = blendZoneStart + (sinusoidalU - blendZoneStart) * smoothstep(0.0, seamZoneWidth, 1.0 - u);
-  }
-
-  // Use the sinusoidally adjusted U for the final UV mapping
-  vUv = vec2(sinusoidalU, v);
-  vNormal = normalize(normalMatrix * normal); // Transform the normal to view space
+  vSpherePosition = normalize(position);
+  vWorldNormal = normalize(mat3(modelMatrix) * normal);
+  vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
 
   gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
 }
@@ -39,172 +24,325 @@ void main() {
 
 // Fragment Shader
 export const musgraveFragmentShader = `
-varying vec2 vUv;
-varying vec3 vNormal;
+varying vec3 vSpherePosition;
+varying vec3 vWorldNormal;
+varying vec3 vWorldPosition;
 
+uniform int style;
 uniform float layers;
 uniform float amplitude;
+uniform float frequency;
 uniform float lacunarity;
 uniform float gain;
+uniform float roughness;
+uniform float offset;
+uniform vec3 seedOffset;
+uniform vec2 heightRange;
+uniform float seaLevel;
 uniform vec3 lightColor;
 uniform vec3 lightPosition;
 uniform float lightIntensity;
+uniform vec3 waterColor;
+uniform vec3 sandColor;
+uniform vec3 grassColor;
+uniform vec3 rockColor;
+uniform vec3 glowColor;
 
-float interpolate(float a, float b, float t) {
-  return mix(a, b, t * t * (3.0 - 2.0 * t));
-}
+// 3D simplex noise by Ian McEwan and Stefan Gustavson (Ashima Arts, MIT licence)
+vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 permute(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
 
-float random(vec2 st) {
-  return fract(sin(dot(st.xy, vec2(12.9898,78.233))) * 43758.5453123);
-}
+float snoise(vec3 v) {
+  const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+  const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+  vec3 i = floor(v + dot(v, C.yyy));
+  vec3 x0 = v - i + dot(i, C.xxx);
+
+  vec3 g = step(x0.yzx, x0.xyz);
+  vec3 l = 1.0 - g;
+  vec3 i1 = min(g.xyz, l.zxy);
+  vec3 i2 = max(g.xyz, l.zxy);
+
+  vec3 x1 = x0 - i1 + C.xxx;
+  vec3 x2 = x0 - i2 + C.yyy;
+  vec3 x3 = x0 - D.yyy;
+
+  i = mod289(i);
+  vec4 p = permute(permute(permute(
+            i.z + vec4(0.0, i1.z, i2.z, 1.0))
+          + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+          + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+  float n_ = 0.142857142857;
+  vec3 ns = n_ * D.wyz - D.xzx;
+
+  vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+  vec4 x_ = floor(j * ns.z);
+  vec4 y_ = floor(j - 7.0 * x_);
+
+  vec4 x = x_ * ns.x + ns.yyyy;
+  vec4 y = y_ * ns.x + ns.yyyy;
+  vec4 h = 1.0 - abs(x) - abs(y);
+
+  vec4 b0 = vec4(x.xy, y.xy);
+  vec4 b1 = vec4(x.zw, y.zw);
+  vec4 s0 = floor(b0) * 2.0 + 1.0;
+  vec4 s1 = floor(b1) * 2.0 + 1.0;
+  vec4 sh = -step(h, vec4(0.0));
+
+  vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+  vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+
+  vec3 p0 = vec3(a0.xy, h.x);
+  vec3 p1 = vec3(a0.zw, h.y);
+  vec3 p2 = vec3(a1.xy, h.z);
+  vec3 p3 = vec3(a1.zw, h.w);
 
-float noise(vec2 st) {
-  vec2 i = floor(st);
-  vec2 f = fract(st);
-  
-  float a = random(i);
-  float b = random(i + vec2(1.0, 0.0));
-  float c = random(i + vec2(0.0, 1.0));
-  float d = random(i + vec2(1.0, 1.0));
-  
-  vec2 u = f * f * (3.0 - 2.0 * f);
-  
-  return interpolate(interpolate(a, b, u.x), interpolate(c, d, u.x), u.y);
+  vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+  p0 *= norm.x;
+  p1 *= norm.y;
+  p2 *= norm.z;
+  p3 *= norm.w;
+
+  vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+  m = m * m;
+  return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
 }
 
-float fbm(vec2 coordinates) {
+// The three fractals match fbm, ridgedMultifractal and heteroTerrain in texture.js
+float fbm(vec3 p) {
   float total = 0.0;
-  float amplitudeLocal = amplitude;
-  float frequency = 1.0;
+  float amplitudeLocal = amplitude * 0.5;
+  float f = frequency;
   for (int i = 0; i < 16; i++) {
-    if(i >= int(layers)) break;
-    total += noise(coordinates * frequency) * amplitudeLocal;
-    frequency *= lacunarity;
+    if (i >= int(layers)) break;
+    total += snoise(p * f) * amplitudeLocal;
+    f *= lacunarity;
     amplitudeLocal *= gain;
   }
   return total;
 }
 
-vec3 mapToTerrainColor(float noiseValue) {
-    // Simple color ramp - adjust these colors and thresholds as needed
-    vec3 water = vec3(0.0, 0.0, 0.5); // Deep blue
-    vec3 sand = vec3(0.8, 0.7, 0.2); // Sand color
-    vec3 grass = vec3(0.0, 0.5, 0.0); // Green
-    vec3 rock = vec3(0.5, 0.5, 0.5); // Gray
-    
-    float waterLevel = 0.7;
-    float sandLevel = 0.8;
-    float grassLevel = 0.95;
-    
-    if(noiseValue < waterLevel) {
-      return water;
-    } else if(noiseValue < sandLevel) {
-      return mix(water, sand, (noiseValue - waterLevel) / (sandLevel - waterLevel));
-    } else if(noiseValue < grassLevel) {
-      return mix(sand, grass, (noiseValue - sandLevel) / (grassLevel - sandLevel));
-    } else {
-      return rock;
-    }
+float ridgedMultifractal(vec3 p) {
+  float f = frequency;
+  float signal = offset - abs(snoise(p * f));
+  signal *= signal;
+  float total = signal;
+  for (int i = 1; i < 16; i++) {
+    if (i >= int(layers)) break;
+    f *= lacunarity;
+    float weight = clamp(signal * gain, 0.0, 1.0);
+    signal = offset - abs(snoise(p * f));
+    signal *= signal * weight;
+    total += signal * pow(lacunarity, -float(i) * roughness);
   }
-  
-  float edgeFactor(vec2 coord) {
-    float edgeWidth = 0.1; // How wide the edge effect should be
-    float uEdge = smoothstep(0.0, edgeWidth, coord.x) * (1.0 - smoothstep(1.0 - edgeWidth, 1.0, coord.x));
-    float vEdge = smoothstep(0.0, edgeWidth, coord.y) * (1.0 - smoothstep(1.0 - edgeWidth, 1.0, coord.y));
-    return min(uEdge, vEdge); // Use the smallest value to ensure it affects all edges
+  return total;
+}
+
+float heteroTerrain(vec3 p) {
+  float f = frequency;
+  float total = offset + snoise(p * f);
+  for (int i = 1; i < 16; i++) {
+    if (i >= int(layers)) break;
+    f *= lacunarity;
+    total += (snoise(p * f) + offset) * pow(lacunarity, -float(i) * roughness) * total;
   }
+  return total;
+}
 
-  void main() {
-    // Adjust the UVs to avoid the seam
-    vec2 adjustedUV = vUv;
-    adjustedUV.x = vUv.x < 0.5 ? mix(0.25, 0.5, vUv.x * 2.0) : mix(0.5, 0.75, (vUv.x - 0.5) * 2.0);
-    
-    // Get the base noise value
-    float n = fbm(adjustedUV * 3.5); // The multiplier here controls the scale of the noise
-    
-    // Apply the edge factor to reduce noise values at the edges
-    n *= edgeFactor(vUv);
-  
-    vec3 norm = normalize(vNormal); // Now vNormal is declared and can be used
-    vec3 lightDir = normalize(lightPosition - vec3(gl_FragCoord)); // Calculate the light direction
-    float diff = max(dot(norm, lightDir), 0.0); // Calculate the diffuse component
-    vec3 diffuse = lightColor * diff * lightIntensity; // Calculate the final diffuse color
-  
-    vec3 color = mapToTerrainColor(n); // Get the base terrain color
-    vec3 finalColor = color * diffuse; // Apply the lighting to the terrain color
-  
-    gl_FragColor = vec4(finalColor, 1.0); // Output the final color
+// Giants have no ground: their cloud tops run in bands of latitude, which the noise bends into eddies.
+// The bands follow the planet's own axis, so they take the unseeded position
+float cloudBands(vec3 p) {
+  return sin((vSpherePosition.y * frequency + fbm(p) * offset) * 3.14159265);
+}
+
+// Height in 0-1, with the style's typical spread stretched over the colour ramp
+float terrainHeight(vec3 p) {
+  float h;
+  if (style == 1) {
+    h = ridgedMultifractal(p);
+  } else if (style == 2) {
+    h = heteroTerrain(p);
+  } else if (style == 3) {
+    h = cloudBands(p);
+  } else {
+    h = fbm(p);
   }
-`;
+  return clamp((h - heightRange.x) / (heightRange.y - heightRange.x), 0.0, 1.0);
+}
+
+vec3 mapToTerrainColor(float height) {
+    // Colour ramp from the planet's palette (see paletteUniforms in color.js); a sea level of 0 leaves it dry
+    if (height < seaLevel) {
+      return waterColor;
+    }
+    float t = (height - seaLevel) / max(1.0 - seaLevel, 0.001);
+    if (t < 0.1) {
+      return mix(waterColor, sandColor, seaLevel > 0.0 ? t / 0.1 : 1.0);
+    } else if (t < 0.6) {
+      return mix(sandColor, grassColor, (t - 0.1) / 0.5);
+    }
+    return mix(grassColor, rockColor, (t - 0.6) / 0.4);
+  }
+
+  void main() {
+    float height = terrainHeight(vSpherePosition + seedOffset);
 
+    vec3 norm = normalize(vWorldNormal);
+    vec3 lightDir = normalize(lightPosition - vWorldPosition);
+    float diff = max(dot(norm, lightDir), 0.0);
+    vec3 diffuse = lightColor * diff * lightIntensity;
 
+    vec3 color = mapToTerrainColor(height);
+    // Molten rock shows through the lowest ground and glows on the night side too; black elsewhere
+    vec3 glow = glowColor * (1.0 - smoothstep(0.0, 0.3, height));
+    gl_FragColor = vec4(color * diffuse + glow, 1.0);
+  }
+`;
 
 // methos for calling different values
 // material.uniforms.layers.value = 4; // Set the number of layers for the fBM noise
 // material.uniforms.amplitude.value = 0.5; // Set the initial amplitude
 // material.uniforms.lacunarity.value = 2.0; // Set the lacunarity
 // material.uniforms.gain.value = 0.5; // Set the gain
+// Object.assign(material.uniforms, musgraveUniforms({ style: 'ridged' }), paletteUniforms(planetData.palette));
+
+
+// Baked noise textures, for materials that need an ordinary texture map. Everything is sampled from
+// 3D noise at points on the unit sphere, so the equirectangular image wraps at the date line and
+// pinches cleanly at the poles instead of tearing like a flat 2D pattern would
 
+// Octave settings for each of Musgrave's fractals; frequency is the base feature count around the sphere.
+// range is the spread most of the sphere falls within, which the shader stretches over its colour ramp
+const noiseStyles = {
+    'fbm': { octaves: 6, frequency: 1.5, lacunarity: 2, gain: 0.5, range: [-0.5, 0.5] },
+    'ridged': { octaves: 7, frequency: 1.2, lacunarity: 2.1, roughness: 0.9, offset: 1, gain: 2, range: [0.05, 1.6] },
+    'hetero': { octaves: 7, frequency: 1.3, lacunarity: 2, roughness: 0.8, offset: 0.4, range: [-0.6, 2.1] },
+    // Shader only: frequency is the number of bands from pole to pole and offset how far the noise bends them
+    'bands': { octaves: 5, frequency: 7, lacunarity: 2, gain: 0.5, offset: 0.6, range: [-1, 1] }
+};
+// The order musgraveFragmentShader numbers its styles in
+const SHADER_STYLES = ['fbm', 'ridged', 'hetero', 'bands'];
 
-  function generateNoiseTexture(width, height, scale, detail, dimension, lacunarity) {
-    // Create a canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.createImageData(width, height);
-  
-    // Replace this with your noise function
-    function noise(x, y, z) {
-      // Placeholder for noise function
-      return Math.random();
+const NOISE_TEXTURE_WIDTH = 1024;
+const NOISE_TEXTURE_HEIGHT = 512;
+
+// Fractal Brownian motion: each octave adds finer detail at a fraction of the amplitude
+function fbm(noise3D, x, y, z, { octaves = 6, frequency = 1, lacunarity = 2, gain = 0.5 } = {}) {
+    let total = 0;
+    let amplitude = 0.5;
+    for (let o = 0; o < octaves; o++) {
+        total += noise3D(x * frequency, y * frequency, z * frequency) * amplitude;
+        frequency *= lacunarity;
+        amplitude *= gain;
     }
-  
-    // Adjust the noise function based on the scale and detail parameters
-    function scaledNoise(x, y, z) {
-      return noise(x * scale, y * scale, z * scale) * detail;
+    return total;
+}
+
+// Musgrave's ridged multifractal: folding the noise about zero gives sharp crests, and each octave
+// is weighted by the one before so the detail piles up on the ridges and leaves the valleys smooth
+function ridgedMultifractal(noise3D, x, y, z, { octaves = 7, frequency = 1, lacunarity = 2, roughness = 0.9, offset = 1, gain = 2 } = {}) {
+    let signal = offset - Math.abs(noise3D(x * frequency, y * frequency, z * frequency));
+    signal *= signal;
+    let total = signal;
+    let weight = 1;
+    for (let o = 1; o < octaves; o++) {
+        frequency *= lacunarity;
+        weight = Math.min(Math.max(signal * gain, 0), 1);
+        signal = offset - Math.abs(noise3D(x * frequency, y * frequency, z * frequency));
+        signal *= signal * weight;
+        total += signal * Math.pow(lacunarity, -o * roughness);
     }
-  
-    // Generate noise-based texture
-    for (let x = 0; x < width; x++) {
-      for (let y = 0; y < height; y++) {
-        let value = 0;
-        let amplitude = 1;
-        let frequency = 1;
-        
-        // Implement fbm (Fractal Brownian Motion)
-        for (let o = 0; o < dimension; o++) {
-          value += scaledNoise(x * frequency, y * frequency, 0) * amplitude;
-          amplitude *= lacunarity;
-          frequency *= detail;
+    return total;
+}
+
+// Musgrave's heterogeneous terrain: each octave is scaled by the height so far, so lowlands stay
+// smooth plains while highlands turn rough
+function heteroTerrain(noise3D, x, y, z, { octaves = 7, frequency = 1, lacunarity = 2, roughness = 0.8, offset = 0.4 } = {}) {
+    let total = offset + noise3D(x * frequency, y * frequency, z * frequency);
+    for (let o = 1; o < octaves; o++) {
+        frequency *= lacunarity;
+        const increment = (noise3D(x * frequency, y * frequency, z * frequency) + offset) * Math.pow(lacunarity, -o * roughness);
+        total += increment * total;
+    }
+    return total;
+}
+
+const fractalsByStyle = {
+    'fbm': fbm,
+    'ridged': ridgedMultifractal,
+    'hetero': heteroTerrain
+};
+
+// One of the fractals by name, stretched so the style's usual spread runs from -0.5 to 0.5 like fBm's
+function sampleFractal(noise3D, x, y, z, style = 'fbm') {
+    const settings = noiseStyles[style] || noiseStyles['fbm'];
+    const value = (fractalsByStyle[style] || fbm)(noise3D, x, y, z, settings);
+    return (value - settings.range[0]) / (settings.range[1] - settings.range[0]) - 0.5;
+}
+
+// Seeded equirectangular noise image, north on the first row to match SphereGeometry's UVs.
+// With a colour ramp ({ low, mid, high } from color.js) the noise is shaded from lowland to highland,
+// otherwise it comes out in grey. Returns RGBA pixels for the caller to put on a canvas
+function generateNoiseTexture({ width = NOISE_TEXTURE_WIDTH, height = NOISE_TEXTURE_HEIGHT, style = 'fbm', ramp = null, options = {} } = {}) {
+    const noise3D = createNoise3D(random);
+    const fractal = fractalsByStyle[style] || fbm;
+    const settings = Object.assign({}, noiseStyles[style] || noiseStyles['fbm'], options);
+
+    const values = new Float32Array(width * height);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let j = 0; j < height; j++) {
+        const lat = 90 - (j + 0.5) * 180 / height;
+        for (let i = 0; i < width; i++) {
+            const p = latLonToVector(lat, (i + 0.5) * 360 / width - 180);
+            const value = fractal(noise3D, p[0], p[1], p[2], settings);
+            values[j * width + i] = value;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
         }
-  
-        // Normalize value to the range of 0-255
-        const colorValue = Math.floor((value + 1) / 2 * 255);
-        const pixelIndex = (y * width + x) * 4;
-        imageData.data[pixelIndex] = colorValue;     // R
-        imageData.data[pixelIndex + 1] = colorValue; // G
-        imageData.data[pixelIndex + 2] = colorValue; // B
-        imageData.data[pixelIndex + 3] = 255;        // A
-      }
     }
-  
-    // Update canvas with the generated noise
-    ctx.putImageData(imageData, 0, 0);
-  
-    // Create a THREE.Texture from the canvas
-    const texture = new THREE.Texture(canvas);
-    texture.needsUpdate = true;
-  
-    return texture;
-  }
 
-// Usage
-// const musgraveTexture = generateMusgraveTexture(1024, 1024);
-// const material = new THREE.MeshStandardMaterial({
-//   map: musgraveTexture,
-  // ... other material properties
-// });
+    const range = max - min || 1;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let k = 0; k < values.length; k++) {
+        const t = (values[k] - min) / range;
+        const color = ramp ? rampColor(ramp, t) : [t * 255, t * 255, t * 255];
+        data[k * 4] = color[0];
+        data[k * 4 + 1] = color[1];
+        data[k * 4 + 2] = color[2];
+        data[k * 4 + 3] = 255;
+    }
+
+    return { width, height, data };
+}
+
+// Uniforms for musgraveFragmentShader; the seed offset moves each planet to its own patch of noise
+function musgraveUniforms({ style = 'fbm', seaLevel = 0, options = {} } = {}) {
+    const settings = Object.assign({ roughness: 1, offset: 1, gain: 0.5 }, noiseStyles[style] || noiseStyles['fbm'], options);
+    return {
+        style: { value: Math.max(SHADER_STYLES.indexOf(style), 0) },
+        layers: { value: settings.octaves },
+        amplitude: { value: 1 },
+        frequency: { value: settings.frequency },
+        lacunarity: { value: settings.lacunarity },
+        gain: { value: settings.gain },
+        roughness: { value: settings.roughness },
+        offset: { value: settings.offset },
+        seedOffset: { value: [random() * 100 - 50, random() * 100 - 50, random() * 100 - 50] },
+        heightRange: { value: settings.range },
+        seaLevel: { value: seaLevel }
+    };
+}
+
+function rampColor(ramp, t) {
+    if (t < 0.5) {
+        return mixColors(ramp.low, ramp.mid, t * 2);
+    }
+    return mixColors(ramp.mid, ramp.high, (t - 0.5) * 2);
+}
 
-// const planetMesh = new THREE.Mesh(planetGeometry, material);
-// ... the rest of your planet creation code
\ No newline at end of file
+export { generateNoiseTexture, musgraveUniforms, sampleFractal, noiseStyles };
@@ -2,9 +2,28 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import { generateGeologicalData, determinePlanetaryComposition } from './generators/crust.js';
 import { generateOrbit, generateParentStar, generateStarSizeAndMass, generateStarLuminosity, calculateHabitableZone, determinePlanetType  } from './generators/orbit.js';
-import { getPlanetAtmosphere, getAtmosphereDetailsForDisplay, calculateSurfaceTemperature } from './generators/atmosphere.js';
+import { getPlanetAtmosphere, getAtmosphereDetailsForDisplay } from './generators/atmosphere.js';
+import { random, set_random_seed, getRandomSeed, createRandom, withRandomPath } from './generators/random.js';
 
 import { elementsData } from './generators/crust.js';
+import { summarizeTectonics } from './generators/tectonics.js';
+import { generateClimate, calculateStellarFlux } from './generators/climate.js';
+import { generateHeightmap, reliefExaggeration, displaceSphere, weldSphereNormals } from './generators/terrain.js';
+import { BIOMES, generateBiomeGrid, renderBiomeImage, renderGlowImage } from './generators/biomes.js';
+import { generateOceans, calculateIceCaps } from './generators/oceans.js';
+import { generateRivers, renderRiverOverlay } from './generators/rivers.js';
+import { generateMinerals } from './generators/minerals.js';
+import { generateFlora } from './generators/flora.js';
+import { generateFauna } from './generators/fauna.js';
+import { calculateAtmospherePhysics, calculateBulkProperties } from './generators/atmospherics.js';
+import { calculatePlanetTemperatures } from './generators/greenhouse.js';
+import { evolveAtmosphere } from './generators/evolution.js';
+import { orbitPoints, calculateOrbitalPeriod, calculateSynodicPeriod, periapsisDistance, apoapsisDistance } from './generators/kepler.js';
+import { evaluateSystemState, generateMoonOrbits, planetOrbit, calculateSiderealDay, calculateDayLength, getRotationSpeed, AU_TO_SCENE_SCALE } from './generators/ephemeris.js';
+import { DAYS_PER_YEAR, createClock, advanceClock, setClockPaused, reverseClock, changeTimeScale, jumpClock, describeTimeScale, calendarDate } from './generators/clock.js';
+import { generateCivilizations, renderCultureOverlay } from './generators/culture.js';
+import { generatePalette, colorToHex, paletteUniforms } from './generators/color.js';
+import { createPhonology, nameForPath, catalogueDesignation } from './generators/names.js';
 
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
@@ -13,7 +32,8 @@ import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { CopyShader } from 'three/addons/shaders/CopyShader.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 
-import { musgraveFragmentShader, musgraveVertexShader } from './generators/texture.js';
+import { musgraveFragmentShader, musgraveVertexShader, musgraveUniforms, generateNoiseTexture } from './generators/texture.js';
+import { calculateScattering, scatteringUniforms, scatteringVertexShader, scatteringFragmentShader } from './generators/scattering.js';
 import { createNoise2D, createNoise3D, createNoise4D }  from './node_modules/simplex-noise/dist/esm/simplex-noise.js';
 
 // Global variables for the three.js objects
@@ -24,6 +44,7 @@ let bloomPass;
 let celestialObjects = [];
 let currentTargetIndex = 0; // Initialize the index for the currently targeted object globally
 let desiredTargetPosition = new THREE.Vector3();
+let simulationClock = createClock(); // Drives every orbit, spin and drift in the scene (see clock.js)
 let followOffset = new THREE.Vector3();
 let isZooming = false;
 let zoomTargetPosition = new THREE.Vector3();
@@ -31,7 +52,32 @@ let zoomTargetLookAt = new THREE.Vector3();
 let bloomStrength = 0.3;
 let bloomRadius = 0.9;
 let bloomThreshold = 0.75;
-const AU_TO_SCENE_SCALE = 21840.00;
+const CLOUD_CIRCUIT_DAYS = 20; // Clouds drift once round their planet, relative to the ground, in this many days
+const MAX_NAMED_RIVERS = 10; // Only the largest rivers get names of their own
+const ATMOSPHERE_HISTORY_ENTRIES = 6; // Snapshots of the atmosphere's evolution shown in the detail panel
+// Planet mesh resolution by camera distance in planet radii; the zoom button stops at 3 radii
+const PLANET_DETAIL_LEVELS = [
+    { distance: 6, segments: 256 },
+    { distance: 20, segments: 128 },
+    { distance: 60, segments: 64 },
+    { distance: Infinity, segments: 32 }
+];
+// Fractal the musgrave shader uses for planets without a generated surface (see texture.js)
+const noiseStyleByPlanetType = {
+    'Dwarf Planet': 'hetero',
+    'Lava Planet': 'ridged',
+    'Terrestrial': 'fbm',
+    'Ocean World': 'fbm',
+    'Gas Giant': 'bands',
+    'Ice Giant': 'bands'
+};
+// Share of the shader's height range under water; everything else is dry
+const shaderSeaLevelByPlanetType = {
+    'Terrestrial': 0.5,
+    'Ocean World': 0.85
+};
+// Cloud cover only where the noise is in its upper half, shading to white at the densest
+const CLOUD_RAMP = { low: [0, 0, 0], mid: [0, 0, 0], high: [255, 255, 255] };
 
 let universeData = {
     parentStar: {
@@ -72,60 +118,122 @@ function importUniverseData(base64Data) {
     }
 }
 
-function populateUniverseData() {
-    const orbitData = generateOrbit();
+// `orbitData` is a system generateOrbit already drew for this seed, e.g. in the stability worker
+function populateUniverseData(seed, { orbitData = null } = {}) {
+    if (orbitData) {
+        set_random_seed(seed);
+    } else {
+        orbitData = generateOrbit(seed);
+    }
 
+    universeData.seed = getRandomSeed();
     universeData.parentStar = orbitData.parentStar;
     universeData.starData = orbitData.parentStar;
+    universeData.stability = orbitData.stability;
 
     // Calculate systemOuterEdge before mapping over solarSystem
     // Ensure orbitData.solarSystem is sorted or has the last planet as the furthest one
     let systemOuterEdge = orbitData.solarSystem[orbitData.solarSystem.length - 1].orbitRadius;
 
-    universeData.solarSystem = orbitData.solarSystem.map(planet => {
-        const baseSpeed = 0.00001; // Base speed for scaling
-        const scalingFactor = 21840; // Adjust this factor to control the scaling effect
-        const orbitalSpeed = baseSpeed / (planet.orbitRadius * scalingFactor);
-        let rotationSpeed = getRotationSpeed(planet.orbitRadius, { innerBoundary: universeData.parentStar.habitableZone.innerBoundary, outerBoundary: universeData.parentStar.habitableZone.outerBoundary }, AU_TO_SCENE_SCALE, systemOuterEdge);
-        const geologicalData = generateGeologicalData(planet.radius, planet.orbitRadius, universeData.parentStar.size, universeData.parentStar.mass);
+    universeData.solarSystem = orbitData.solarSystem.map(planet => withRandomPath(`${planet.path}/details`, () => {
+        const orbitalPeriod = calculateOrbitalPeriod(planet.orbitRadius, universeData.parentStar.mass, calculateBulkProperties(planet.type, planet.size).mass);
+        let rotationSpeed = getRotationSpeed(planet.orbitRadius, { innerBoundary: universeData.parentStar.habitableZone.innerBoundary, outerBoundary: universeData.parentStar.habitableZone.outerBoundary }, systemOuterEdge);
+        const geologicalData = withRandomPath(`${planet.path}/geology`, () => generateGeologicalData(planet.radius, planet.orbitRadius, universeData.parentStar.size, universeData.parentStar.mass, planet.type, universeData.parentStar.age));
         const atmosphereComposition = getPlanetAtmosphere(planet.type, planet.orbitRadius, universeData.parentStar.habitableZone);
-        const surfaceTemperature = calculateSurfaceTemperature(universeData.parentStar.luminosity, calculateStarTemperature(universeData.parentStar.type), planet.orbitRadius, planet.size, atmosphereComposition // Ensure this matches expected input in calculateSurfaceTemperature
-        );
-        return {
+        const isTidallyLocked = random() < 0.1;
+        // Rough share of the surface under water; generatePlanetSurface refines it once the oceans are filled
+        const estimatedOceanCoverage = { 'Ocean World': 0.95, 'Terrestrial': 0.6 }[planet.type] || 0;
+        // The planet formed with planet.atmosphere; running it through the star's age gives today's air,
+        // and its pressure sets the greenhouse warming
+        const atmosphereEvolution = evolveAtmosphere({
+            planetType: planet.type,
+            planetSize: planet.size,
+            orbitRadius: planet.orbitRadius,
+            primordialAtmosphere: planet.atmosphere,
+            star: universeData.parentStar,
+            oceanCoverage: estimatedOceanCoverage
+        });
+        const { atmosphere, surfacePressure, moleFractions } = atmosphereEvolution;
+        const temperatures = calculatePlanetTemperatures({
+            stellarFlux: calculateStellarFlux(universeData.parentStar.luminosity, planet.orbitRadius),
+            planetType: planet.type,
+            planetSize: planet.size,
+            atmosphere: atmosphere,
+            surfacePressure: surfacePressure,
+            moleFractions: moleFractions,
+            oceanCoverage: atmosphereEvolution.oceanCoverage,
+            axialTilt: planet.axialTilt,
+            dayLength: calculateDayLength({ isTidallyLocked, orbitalPeriod, rotationSpeed }),
+            isTidallyLocked: isTidallyLocked
+        });
+        const surfaceTemperature = temperatures.surfaceTemperature;
+        const atmospherePhysics = calculateAtmospherePhysics({ planetType: planet.type, planetSize: planet.size, atmosphere, surfaceTemperature, surfacePressure, moleFractions });
+        const planetData = {
+            path: planet.path,
             type: planet.type,
             radius: planet.size,
             orbitRadius: planet.orbitRadius,
-            atmosphere: planet.atmosphere,
+            orbit: planet.orbit,
+            atmosphere: atmosphere,
             moons: planet.moons,
             axialTilt: planet.axialTilt,
             rotationSpeed,
-            orbitalSpeed,
-            isTidallyLocked: Math.random() < 0.1,
+            orbitalPeriod,
+            isTidallyLocked,
             geologicalData,
             atmosphereComposition,
+            atmosphereEvolution,
+            atmospherePhysics,
+            temperatures,
             surfaceTemperature,
         };
-    });
+        planetData.climate = buildClimate(planetData, atmosphereEvolution.oceanCoverage);
+        planetData.moonOrbits = generateMoonOrbits(planetData, planet.path);
+        return planetData;
+    }));
 
     // Now that systemOuterEdge is calculated outside the map, it can be assigned to universeData
     universeData.systemOuterEdge = systemOuterEdge;
+    assignNames();
+}
+
+function buildClimate(planetData, oceanCoverage) {
+    // The radiative balance sets how much light the planet keeps and how much warmer its air makes it
+    return generateClimate({
+        stellarFlux: calculateStellarFlux(universeData.parentStar.luminosity, planetData.orbitRadius),
+        axialTilt: planetData.axialTilt,
+        dayLength: calculateDayLength(planetData),
+        greenhouseFactor: planetData.temperatures.greenhouseFactor,
+        oceanCoverage: oceanCoverage,
+        albedo: planetData.temperatures.albedo,
+        planetRadius: planetData.radius
+    });
 }
 
 function filterVitalDataForExport(universeData) {
     const filteredData = {
+        seed: universeData.seed,
         parentStar: {
             type: universeData.parentStar.type,
+            age: universeData.parentStar.age,
             size: universeData.parentStar.size,
             mass: universeData.parentStar.mass,
-            luminosity: universeData.parentStar.luminosity
+            luminosity: universeData.parentStar.luminosity,
+            name: universeData.parentStar.name
         },
         solarSystem: universeData.solarSystem.map(planet => ({
+            path: planet.path,
             type: planet.type,
             orbitRadius: planet.orbitRadius,
+            orbit: planet.orbit,
+            orbitalPeriod: planet.orbitalPeriod,
+            moonOrbits: planet.moonOrbits,
             size: planet.radius, // Assuming 'radius' is the size property
             axialTilt: planet.axialTilt,
             moons: planet.moons,
-            isTidallyLocked: planet.isTidallyLocked
+            isTidallyLocked: planet.isTidallyLocked,
+            name: planet.name,
+            moonNames: planet.moonNames
         }))
     };
     return filteredData;
@@ -148,6 +256,7 @@ document.addEventListener('DOMContentLoaded', () => {
     setupThreeJS();
     setupStarGeneration();
     setupSolarSystemGeneration();
+    setupSimulationClock();
 
     let currentTargetIndex = 0; // Initialize the index for the currently targeted object
 
@@ -233,13 +342,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
 async function updateScene() {
     cleanUp(); // Clears the scene of existing planets and star meshes
+    jumpClock(simulationClock, 0); // A new system starts at the epoch its orbital elements are given for
+    assignNames(); // Imported systems may arrive without names, and the fauna needs the system's language
     await generatePlanets(); // Await the asynchronous generation of planets and their compositions
     generateRings();
     updateStarLight();
     addStarToScene();
     // updateShaderLighting();
     generateMoons();
-    generateSystemName();
     visualizeOrbits();
     generateAtmospheres();
     zoomToStar();
@@ -318,12 +428,66 @@ function updateDesiredTargetPosition(index) {
 
 function createPlanet(planetData, index) {
     // const habitableZone = universeData.parentStar.habitableZone;
-    const planetGeometry = new THREE.SphereGeometry(planetData.radius, 32, 32);
     const starSize = universeData.parentStar.size;
     const starMass = universeData.parentStar.mass;
-    const geologicalData = generateGeologicalData(planetData.radius, planetData.orbitRadius, starSize, starMass);
+    const path = planetPath(planetData, index);
+    // Reuse the geology from generation so the seeded plates stay put; imported systems rebuild it
+    const geologicalData = planetData.geologicalData || withRandomPath(`${path}/geology`, () => generateGeologicalData(planetData.radius, planetData.orbitRadius, starSize, starMass, planetData.type, universeData.parentStar.age));
+
+    planetData.atmospherePhysics = planetData.atmospherePhysics || calculateAtmospherePhysics({
+        planetType: planetData.type,
+        planetSize: planetData.radius,
+        atmosphere: planetData.atmosphere,
+        surfaceTemperature: planetData.surfaceTemperature
+    });
+    planetData.surface = planetData.surface || generatePlanetSurface(planetData, path, geologicalData);
+    planetData.minerals = planetData.minerals || withRandomPath(`${path}/minerals`, () => generateMinerals({
+        planetType: planetData.type,
+        planetSize: planetData.radius,
+        composition: planetData.composition,
+        geologicalData: geologicalData,
+        surface: planetData.surface,
+        oceans: planetData.oceans,
+        climate: planetData.climate,
+        surfaceTemperature: planetData.surfaceTemperature,
+        starAge: universeData.parentStar.age
+    }));
+    if (planetData.surface && isPlanetHospitable(planetData)) {
+        planetData.flora = planetData.flora || withRandomPath(`${path}/flora`, () => generateFlora({
+            biomes: planetData.surface.biomes,
+            heightmap: planetData.surface.heightmap,
+            climate: planetData.climate,
+            seaLevel: planetData.surface.seaLevel,
+            starType: universeData.parentStar.type,
+            atmosphere: planetData.atmosphere,
+            planetSize: planetData.radius
+        }));
+        planetData.fauna = planetData.fauna || withRandomPath(`${path}/fauna`, () => generateFauna({
+            flora: planetData.flora,
+            gravity: planetData.atmospherePhysics.gravity,
+            atmosphereDensity: planetData.atmospherePhysics.relativeDensity,
+            phonology: universeData.phonology
+        }));
+        planetData.culture = planetData.culture || withRandomPath(`${path}/culture`, () => generateCivilizations({
+            surface: planetData.surface,
+            fauna: planetData.fauna,
+            starAge: universeData.parentStar.age,
+            planetSize: planetData.radius
+        }));
+    }
+    // Every material, cloud layer, atmosphere shell and ring below takes its colours from here
+    planetData.palette = withRandomPath(`${path}/palette`, () => generatePalette({
+        planetType: planetData.type,
+        composition: planetData.composition,
+        surfaceTemperature: planetData.surfaceTemperature,
+        atmosphere: planetData.atmosphere,
+        starType: universeData.parentStar.type,
+        starLuminosity: universeData.parentStar.luminosity,
+        orbitRadius: planetData.orbitRadius,
+        oceans: planetData.oceans,
+        flora: planetData.flora
+    }));
 
-    const noiseTexture = createNoiseTexture();
     // let musgraveTexture = generateFBMNoiseTexture(1024, 1024, 0.01, 0.5, 8, 2.0);
     // let planetTexture;
     let normalMap = null;
@@ -337,76 +501,41 @@ function createPlanet(planetData, index) {
     let normalMapIntensity =  new THREE.Vector2(0.0, 0.0);
     let material;
 
-    if (planetData.type === 'Terrestrial') {
+    if (planetData.surface) {
+        // Coloured from the same grid the mesh is displaced by: ocean depths, shelves, sea ice and islands,
+        // lava fields or bare regolith
         material = new THREE.MeshStandardMaterial({
-            map: new THREE.TextureLoader().load('./texture/terr_d.png'),
-            roughness: 0.6,
-           // color: getColorForPlanetType(planetData.type),
-    
+            map: createBiomeTexture(planetData.surface, planetData.culture, planetData.palette),
+            roughness: { 'Ocean World': 0.4, 'Lava Planet': 0.8, 'Dwarf Planet': 0.9 }[planetData.type] || 0.6,
         })
-        planetGeometry.rotateZ(Math.PI / 2); //rotate so texture applies properly
-
-      }
-
-
-else if (planetData.type === 'Lava Planet') {
-    material = new THREE.MeshStandardMaterial({
-        map: new THREE.TextureLoader().load('./texture/lava_d.png'),
-        emissiveMap: new THREE.TextureLoader().load('./texture/lava_e.png'),
-        emissive: 0xffffff,
-        emissiveIntensity: 1.25,
-        roughness: 0.8,
-        normalMap: new THREE.TextureLoader().load('./texture/lava_n.png'),
-
-
-    })
-    planetGeometry.rotateZ(Math.PI / 2); //rotate so texture applies properly
-
-}
-else if (planetData.type === 'Gas Giant' || planetData.type === 'Ice Giant') {
-    material = new THREE.MeshStandardMaterial({
-        map: new THREE.TextureLoader().load('./texture/giant_d_2.png'),
-        roughness: 0.95,
-        normalMap: new THREE.TextureLoader().load('./texture/giant_n.png'),
-
-
-    })
-    planetGeometry.rotateZ(Math.PI / 2); //rotate so texture applies properly
-
-}
-else if (planetData.type === 'Ocean World') {
-    material = new THREE.MeshStandardMaterial({
-        map: new THREE.TextureLoader().load('./texture/ocean_d.png'),
-        roughness: 0.6,
-        color: getColorForPlanetType(planetData.type),
-
-    })
-    planetGeometry.rotateZ(Math.PI / 2); //rotate so texture applies properly
-
-}
-else {
-    material = new THREE.MeshStandardMaterial({
-        map: noiseTexture,
-        color: getColorForPlanetType(planetData.type),
-        normalMap: normalMap,
-        normalScale: normalMapIntensity,
-        roughness: roughnessAmount,
-        emissiveMap: planetEmissiveTexture,
-        emissive: emissiveColor,
-        emissiveIntensity: emissiveIntensityValue,
-    });
-    planetGeometry.rotateZ(Math.PI / 2); //rotate so texture applies properly
-
-}
+        if (planetData.palette.surface.glow) {
+            material.emissiveMap = createGlowTexture(planetData.surface, planetData.palette);
+            material.emissive = new THREE.Color(0xffffff);
+            material.emissiveIntensity = 1.25;
+        }
+    } else {
+        // Fractal surface computed per fragment on the sphere in the planet's colours, so it has no seam
+        // and turns with the planet; lava worlds glow from their low ground and giants are banded
+        material = new THREE.ShaderMaterial({
+            uniforms: Object.assign({
+                lightColor: { value: new THREE.Color(0xffffff) },
+                lightPosition: { value: new THREE.Vector3() },
+                lightIntensity: { value: 1 }
+            }, withRandomPath(`${path}/surface`, () => musgraveUniforms({
+                style: noiseStyleByPlanetType[planetData.type] || 'fbm',
+                seaLevel: shaderSeaLevelByPlanetType[planetData.type] || 0
+            })), paletteUniforms(planetData.palette)),
+            vertexShader: musgraveVertexShader,
+            fragmentShader: musgraveFragmentShader
+        });
+    }
 
+    // Start coarse; updatePlanetDetail swaps in finer displaced meshes as the camera closes in
+    const buildGeometry = segments => createPlanetGeometry(planetData, geologicalData, segments);
+    const planetGeometry = buildGeometry(PLANET_DETAIL_LEVELS[PLANET_DETAIL_LEVELS.length - 1].segments);
     const planetMesh = new THREE.Mesh(planetGeometry, material);
-    const phi = Math.PI / 2; // Horizontal plane
-    const theta = Math.random() * Math.PI * 2; // Randomize starting position on orbit
-    planetMesh.position.setFromSphericalCoords(
-        planetData.orbitRadius * AU_TO_SCENE_SCALE, 
-        phi, // Horizontal plane
-        theta // Randomized azimuthal angle
-    );
+    planetMesh.userData.detail = { build: buildGeometry, geometries: { [planetGeometry.parameters.widthSegments]: planetGeometry } };
+    planetMesh.position.copy(toScenePosition(evaluateSystemState(universeData, simulationClock.time).planets[index].position));
 
     const axialTiltRadians = THREE.Math.degToRad(planetData.axialTilt);
     planetMesh.rotation.x = axialTiltRadians; // Tilting the planet around its X-axis
@@ -414,16 +543,17 @@ else {
 
  if (planetData.type === 'Ocean World' || planetData.type === 'Terrestrial') {
     const cloudGeometry = new THREE.SphereGeometry(planetData.radius * 1.01, 32, 32);
+    const cloudTexture = withRandomPath(`${path}/clouds`, () => createCloudTexture());
     const cloudMaterial = new THREE.MeshPhongMaterial({
-        map: new THREE.TextureLoader().load('./texture/water_clouds_d.png'),
-        alphaMap: new THREE.TextureLoader().load('./texture/water_clouds_d.png'),
+        map: cloudTexture,
+        alphaMap: cloudTexture,
         transparent: true,
         depthWrite: false,
         opacity: 0.6,
+        color: colorToHex(planetData.palette.cloud),
     });
     cloudMaterial.blending = THREE.AdditiveBlending; 
     const cloudMesh = new THREE.Mesh(cloudGeometry, cloudMaterial);
-    cloudGeometry.rotateZ(Math.PI / 2);
     cloudGeometry.rotateX = axialTiltRadians; 
     planetData.cloudMesh = cloudMesh;
     planetMesh.add(cloudMesh);
@@ -435,23 +565,141 @@ else {
 
 }
 
-function getColorForPlanetType(planetData) {
-    const colorMap = {
-        'Terrestrial': 0x228b22, // Forest Green
-        'Ice Giant': 0xadd8e6,   // Light Blue
-        'Gas Giant': 0xffa07a,   // Light Salmon (for an orange/tan look)
-        'Lava Planet': 0xff4500, // OrangeRed
-        'Ocean World': 0x1e90ff, // DodgerBlue
-        'Dwarf Planet': 0x404040, // Gray
-        // Add more types as needed
-    };
+// Sphere pushed out by the heightmap so mountains and basins show on the limb and in the shading
+function createPlanetGeometry(planetData, geologicalData, segments) {
+    const geometry = new THREE.SphereGeometry(planetData.radius, segments, segments);
+    if (planetData.surface) {
+        displaceSphere(geometry.attributes.position.array, geometry.attributes.uv.array, planetData.surface.heightmap, {
+            planetSize: planetData.radius,
+            exaggeration: reliefExaggeration(planetData.radius, geologicalData.tectonics ? geologicalData.tectonics.activity : 0),
+            seaLevel: planetData.oceans ? planetData.surface.seaLevel : null
+        });
+        geometry.computeVertexNormals();
+        weldSphereNormals(geometry.attributes.normal.array, segments, segments);
+    }
+    return geometry;
+}
+
+// Picks each planet's mesh resolution from the camera distance, building finer levels only when first needed
+function updatePlanetDetail() {
+    universeData.solarSystem.forEach((planetData, index) => {
+        const planetMesh = scene.getObjectByName(`planet${index}`);
+        if (!planetMesh || !planetMesh.userData.detail) {
+            return;
+        }
+        const distance = camera.position.distanceTo(planetMesh.position) / planetData.radius;
+        const level = PLANET_DETAIL_LEVELS.find(candidate => distance < candidate.distance);
+        if (planetMesh.geometry.parameters.widthSegments === level.segments) {
+            return;
+        }
+
+        const detail = planetMesh.userData.detail;
+        detail.geometries[level.segments] = detail.geometries[level.segments] || detail.build(level.segments);
+        planetMesh.geometry = detail.geometries[level.segments];
+    });
+}
+
+// Heightmap, oceans and biome grid for solid planets; giants, and imported systems that carry no climate, get none
+function generatePlanetSurface(planetData, path, geologicalData) {
+    if (!planetData.climate || !geologicalData.tectonics) {
+        return null;
+    }
+
+    const heightmap = withRandomPath(`${path}/terrain`, () => generateHeightmap(geologicalData.tectonics, planetData.type));
+    const oceans = withRandomPath(`${path}/oceans`, () => generateOceans({
+        planetType: planetData.type,
+        planetSize: planetData.radius,
+        orbitRadius: planetData.orbitRadius,
+        starLuminosity: universeData.parentStar.luminosity,
+        starAge: universeData.parentStar.age,
+        composition: planetData.composition,
+        heightmap: heightmap,
+        surfaceTemperature: planetData.surfaceTemperature
+    }));
+
+    if (oceans) {
+        // Now the real coverage is known, redo the climate with the oceans' heat capacity and moisture
+        planetData.climate = buildClimate(planetData, oceans.coverage);
+        oceans.iceCaps = calculateIceCaps(oceans, planetData.climate);
+    }
+    planetData.oceans = oceans;
 
-    return colorMap[planetData] || 0xffffff; // Default to white if type not found
+    const seaLevel = oceans ? oceans.seaLevel : 0;
+    const biomes = generateBiomeGrid(planetData.type, heightmap, planetData.climate, seaLevel);
+    if (!biomes) {
+        return null;
+    }
+
+    // Only worlds with liquid water on the surface carve rivers
+    const rivers = biomes.biomeSet === 'temperate' ? generateRivers(heightmap, planetData.climate, { seaLevel: seaLevel, planetSize: planetData.radius }) : null;
+    if (rivers && universeData.phonology) {
+        rivers.rivers.slice(0, MAX_NAMED_RIVERS).forEach((river, k) => {
+            river.name = nameForPath(universeData.phonology, `${path}/river ${k + 1}`);
+        });
+    }
+    return { heightmap, biomes, seaLevel, rivers };
+}
+
+// The biome grid is equirectangular with north on the first row, which matches SphereGeometry's UVs as-is
+// Baked from seeded noise rather than a stock image; used as both the colour and the alpha of the cloud layer
+function createCloudTexture() {
+    const clouds = generateNoiseTexture({ width: 512, height: 256, ramp: CLOUD_RAMP });
+    return new THREE.CanvasTexture(createImageCanvas(clouds.width, clouds.height, clouds.data));
+}
+
+// Molten ground lights up the night side, so it gets an emissive map from the same biome grid
+function createGlowTexture(surface, palette) {
+    const { width, height } = surface.biomes;
+    return new THREE.CanvasTexture(createImageCanvas(width, height, renderGlowImage(surface.biomes, palette)));
+}
+
+function createBiomeTexture(surface, culture = null, palette = null) {
+    const biomeCanvas = createImageCanvas(surface.biomes.width, surface.biomes.height, renderBiomeImage(surface.biomes, surface.heightmap, palette));
+    const overlays = [];
+    if (surface.rivers) {
+        overlays.push(renderRiverOverlay(surface.rivers));
+    }
+    if (culture) {
+        overlays.push(renderCultureOverlay(culture));
+    }
+    if (overlays.length === 0) {
+        return new THREE.CanvasTexture(biomeCanvas);
+    }
+
+    // Rivers and towns are smaller than a biome cell, so draw them over an upscaled copy of the biome map
+    const canvas = document.createElement('canvas');
+    canvas.width = overlays[0].width;
+    canvas.height = overlays[0].height;
+    const context = canvas.getContext('2d');
+    context.drawImage(biomeCanvas, 0, 0, canvas.width, canvas.height);
+    overlays.forEach(overlay => {
+        context.drawImage(createImageCanvas(overlay.width, overlay.height, overlay.data), 0, 0, canvas.width, canvas.height);
+    });
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+function createImageCanvas(width, height, pixels) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    const imageData = context.createImageData(width, height);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+
+    return canvas;
+}
+
+// Imported systems from before sub-seeds carry no path, so fall back to the generated one
+function planetPath(planetData, index) {
+    return planetData.path || `star/planet ${index + 1}`;
 }
 
 function addRingsToPlanet(planetMesh, planetData, index) {
     if (planetData.type === 'Gas Giant' || planetData.type === 'Ice Giant') {
-        const { group: ringGroup, outerRadius } = createSegmentedRings(planetData.radius, planetData.type, planetData.axialTilt);
+        const { group: ringGroup, outerRadius } = withRandomPath(`${planetPath(planetData, index)}/rings`, () => createSegmentedRings(planetData.radius, planetData.palette, planetData.axialTilt));
         const axialTiltRadians = THREE.Math.degToRad(planetData.axialTilt);
         ringGroup.rotation.y = axialTiltRadians;
 
@@ -465,9 +713,10 @@ function addRingsToPlanet(planetMesh, planetData, index) {
 async function generatePlanets() {
     for (let i = 0; i < universeData.solarSystem.length; i++) {
         const planetData = universeData.solarSystem[i];
-        createPlanet(planetData, i);
-        const composition = await determinePlanetaryComposition(planetData.radius, planetData.orbitRadius, universeData.parentStar.size, universeData.parentStar.mass);
+        // Composition comes first: the oceans built with the planet's surface depend on it
+        const composition = await determinePlanetaryComposition(planetData.radius, planetData.orbitRadius, universeData.parentStar.size, universeData.parentStar.mass, universeData.parentStar.luminosity);
         planetData.composition = composition;
+        createPlanet(planetData, i);
     }
 }
 
@@ -475,8 +724,15 @@ function generateAtmospheres() {
     universeData.solarSystem.forEach((planetData, index) => {
         const planetMesh = scene.getObjectByName(`planet${index}`);
         if (planetMesh) {
-            const atmosphereComposition = getPlanetAtmosphere(planetData.type, planetData.orbitRadius, universeData.parentStar.habitableZone);
-            const atmosphereMesh = createAtmosphere(planetData.radius, atmosphereComposition);
+            planetData.scattering = calculateScattering({
+                atmosphere: planetData.atmosphere,
+                surfaceTemperature: planetData.surfaceTemperature,
+                gravity: planetData.atmospherePhysics.gravity,
+                surfacePressure: planetData.atmospherePhysics.surfacePressure,
+                moleFractions: planetData.atmosphereEvolution ? planetData.atmosphereEvolution.moleFractions : null,
+                starType: universeData.parentStar.type
+            });
+            const atmosphereMesh = createAtmosphere(planetData);
             atmosphereMesh.name = `atmosphere${index}`;
             planetMesh.add(atmosphereMesh);
         }
@@ -492,23 +748,6 @@ function generateRings() {
     });
 }
 
-function updateSurfaceTemperatures() {
-    universeData.solarSystem.forEach((planet) => {
-        // Ensure all necessary data is present
-        if (planet.orbitRadius && planet.atmosphere && universeData.parentStar.luminosity) {
-            const surfaceTemperature = calculateSurfaceTemperature(
-                universeData.parentStar.luminosity,
-                planet.orbitRadius,
-                planet.atmosphere,
-                universeData.parentStar.temperature,
-                planet.size,
-            );
-
-            planet.surfaceTemperature = surfaceTemperature;
-        }
-    });
-}
-
 function setupLighting() {
     const starData = universeData.parentStar;
     let { color, intensity } = calculateStarColorAndIntensity(starData.type, starData.luminosity);
@@ -558,11 +797,15 @@ function setupOrbitControls() {
 function startAnimationLoop() {
     let followSpeed = 0.05; 
 
-    function animate() {
+    function animate(now) {
         requestAnimationFrame(animate);
-        animatePlanets();
-        animateMoons();
-        animateClouds();
+        const time = advanceClock(simulationClock, now || performance.now());
+        const state = evaluateSystemState(universeData, time);
+        animatePlanets(state);
+        updatePlanetDetail();
+        animateMoons(state);
+        animateClouds(time);
+        displaySimulationDate(time);
 
         controls.target.lerp(desiredTargetPosition, followSpeed);
         updateDesiredTargetPosition(currentTargetIndex);
@@ -586,20 +829,17 @@ function startAnimationLoop() {
 animate()
 }
 
-function animatePlanets() {
+// `state` from evaluateSystemState at the simulation clock's time
+function animatePlanets(state) {
     universeData.solarSystem.forEach((planetData, index) => {
         const planetMesh = scene.getObjectByName(`planet${index}`);
         if (planetMesh) {
-            planetMesh.rotation.y += planetData.rotationSpeed * 20;
+            const planetState = state.planets[index];
+            planetMesh.rotation.y = planetState.rotationAngle;
 
-            const orbitRadius = planetData.orbitRadius * AU_TO_SCENE_SCALE;
-            const theta = (Date.now() * planetData.orbitalSpeed) % (Math.PI * 2);
-            planetMesh.position.x = Math.cos(theta) * orbitRadius;
-            planetMesh.position.z = Math.sin(theta) * orbitRadius;
+            planetMesh.position.copy(toScenePosition(planetState.position));
 
-            if (planetMesh.material && planetMesh.material.isShaderMaterial && planetMesh.material.uniforms.objectWorldPosition && planetMesh.material.uniforms.rotationMatrix) {
-                planetMesh.material.uniforms.objectWorldPosition.value.copy(planetMesh.position);
-                planetMesh.material.uniforms.rotationMatrix.value = new THREE.Matrix4().makeRotationFromEuler(planetMesh.rotation);
+            if (planetMesh.material && planetMesh.material.isShaderMaterial && planetMesh.material.uniforms.lightPosition) {
                 planetMesh.material.uniforms.lightColor.value.copy(starLight.color);
                 planetMesh.material.uniforms.lightPosition.value.copy(starLight.position);
                 planetMesh.material.uniforms.lightIntensity.value = starLight.intensity;
@@ -613,46 +853,44 @@ function animatePlanets() {
     });
 }
 
-function animateClouds() {
+function animateClouds(time) {
     universeData.solarSystem.forEach((planetData, index) => {
         const planetMesh = scene.getObjectByName(`planet${index}`);
         if (planetMesh && planetData.cloudMesh) {
             const cloudMesh = planetData.cloudMesh;
-            cloudMesh.rotation.y += -0.002;
+            cloudMesh.rotation.y = -Math.PI * 2 * time / CLOUD_CIRCUIT_DAYS;
         }
     });
 }
 
-function animateMoons() {
+function animateMoons(state) {
     universeData.solarSystem.forEach((planetData, index) => {
         const planetMesh = scene.getObjectByName(`planet${index}`);
         if (planetMesh && planetData.moons > 0) {
+            // Moons hang off the turning, tilted planet mesh, so undo its rotation to put them where the ephemeris says
+            const inverseRotation = planetMesh.quaternion.clone().invert();
             planetMesh.children.forEach((moon) => {
                 if (moon.name.startsWith('moon')) {
-                    const orbitData = moon.userData.orbit;
-                    const angle = (Date.now() * orbitData.speed * 4 + orbitData.phase) % (Math.PI * 2);
-
-                    moon.position.set(
-                        Math.cos(angle) * orbitData.radius,
-                        Math.sin(angle) * Math.sin(orbitData.inclination) * orbitData.radius,
-                        Math.sin(angle) * Math.cos(orbitData.inclination) * orbitData.radius
-                    );
+                    const { offset } = state.planets[index].moons[moon.userData.moonIndex];
+                    moon.position.set(offset.x, offset.y, offset.z).applyQuaternion(inverseRotation);
                 }
             });
         }
     });
 }
 
+// Scene coordinates of a position in AU from the ephemeris
+function toScenePosition(position) {
+    return new THREE.Vector3(position.x, position.y, position.z).multiplyScalar(AU_TO_SCENE_SCALE);
+}
+
 function visualizeOrbits() {
     universeData.solarSystem.forEach((planetData, index) => {
-        const orbitRadius = planetData.orbitRadius * AU_TO_SCENE_SCALE;
-        const orbitGeometry = new THREE.RingGeometry(orbitRadius - 0.1, orbitRadius, 1024);
+        const points = orbitPoints(planetOrbit(planetData)).map(toScenePosition);
+        const orbitGeometry = new THREE.BufferGeometry().setFromPoints(points);
         const orbitMaterial = new THREE.LineBasicMaterial({ color: 0xDED38D, transparent: true, opacity: 0.05 });
         
         const orbitPath = new THREE.LineLoop(orbitGeometry, orbitMaterial);
-
-
-        orbitPath.rotation.x = Math.PI / 2; 
         orbitPath.name = `orbitPath${index}`; 
         scene.add(orbitPath);
     });
@@ -734,8 +972,10 @@ function adjustLightPosition() {
     starLight.position.set(defaultPosition.x, defaultPosition.y, defaultPosition.z);
 
     const variance = 0.3;
-    const randomX = (Math.random() - 0.5) * variance;
-    const randomY = Math.random() * (variance / 2);
+    const { randomX, randomY } = withRandomPath('star/light', () => ({
+        randomX: (random() - 0.5) * variance,
+        randomY: random() * (variance / 2)
+    }));
 
     starLight.position.x += randomX;
     starLight.position.y += Math.abs(randomY);
@@ -745,6 +985,7 @@ function cleanUp() {
     scene.children = scene.children.filter(child => {
         if (child.name.startsWith('planet') || child.name.startsWith('orbitPath')) {
             if (child.geometry) child.geometry.dispose();
+            if (child.userData.detail) Object.values(child.userData.detail.geometries).forEach(geometry => geometry.dispose());
             if (child.material instanceof THREE.Material) child.material.dispose();
             return false; 
         }
@@ -825,9 +1066,10 @@ function addStarToScene() {
 function displayStarProperties() {
     const starPropertiesDiv = document.getElementById('starProperties');
 
-    const { type, age, size, mass, luminosity, habitableZone } = universeData.starData;
+    const { name, designation, type, age, size, mass, luminosity, habitableZone } = universeData.starData;
 
     starPropertiesDiv.innerHTML = `
+        <p>Name: ${name || 'Unnamed'}${designation && designation !== name ? ` (${designation})` : ''}</p>
         <p>Type: ${type}</p>
         <p>Age: ${age.toFixed(2)} billion years</p>
         <p>Size: ${size.toFixed(2)} Solar radii</p>
@@ -839,41 +1081,159 @@ function displayStarProperties() {
 
 function setupSolarSystemGeneration() {
     const generateSystemButton = document.getElementById('generateSystemButton');
-
-    generateSystemButton.addEventListener('click', () => {
-        populateUniverseData();
+    const showSystem = (seed, orbitData = null) => {
+        populateUniverseData(seed, { orbitData });
         displayStarProperties(universeData.starData);
         displaySolarSystemProperties();
         updateScene();
+    };
+    let pendingSystem = null;
 
+    generateSystemButton.addEventListener('click', () => {
+        // An empty seed field rolls a fresh system; a typed seed always reproduces the same one
+        const seedValue = document.getElementById('seedInput').value;
+        const seed = seedValue !== '' ? Number(seedValue) : Date.now();
+        // A newer click replaces a system still being checked
+        if (pendingSystem) {
+            pendingSystem.terminate();
+            pendingSystem = null;
+        }
+        if (!document.getElementById('rejectUnstableInput').checked) {
+            showSystem(seed);
+            return;
+        }
+
+        // Integrating every redraw takes seconds, so the worker picks the system and the scene is only
+        // built once it has
+        generateSystemButton.textContent = 'Checking stability…';
+        pendingSystem = runNBodyWorker({ seed }, orbitData => {
+            pendingSystem = null;
+            generateSystemButton.textContent = 'Generate Solar System';
+            showSystem(seed, orbitData);
+        }, error => {
+            pendingSystem = null;
+            generateSystemButton.textContent = 'Generate Solar System';
+            console.error('Stability check failed:', error);
+            alert('The stability check failed, so the system was generated without rejecting unstable draws.');
+            showSystem(seed);
+        });
+    });
+
+    // Generation integrates briefly at most; this gives the integrator its full step budget (see nbody.js).
+    // That takes seconds, so it runs in a worker and the page keeps animating meanwhile
+    const runNBodyButton = document.getElementById('runNBodyButton');
+    runNBodyButton.addEventListener('click', () => {
+        const solarSystem = universeData.solarSystem;
+        const finish = () => {
+            runNBodyButton.disabled = false;
+            runNBodyButton.textContent = 'Check Stability (N-body)';
+        };
+        runNBodyButton.disabled = true;
+        runNBodyButton.textContent = 'Integrating…';
+
+        // Only what the integrator reads; the planet objects also hold meshes, which cannot be posted
+        runNBodyWorker({
+            star: { mass: universeData.parentStar.mass, size: universeData.parentStar.size },
+            planets: solarSystem.map(planet => ({ type: planet.type, radius: planet.radius, orbit: planetOrbit(planet) }))
+        }, stability => {
+            finish();
+            // A system generated while the worker ran has its own estimate already
+            if (universeData.solarSystem === solarSystem) {
+                universeData.stability = stability;
+                displaySolarSystemProperties();
+            }
+        }, error => {
+            finish();
+            console.error('N-body check failed:', error);
+            alert('The N-body stability check failed.');
+        });
     });
 }
 
+// Hands one request to nbodyWorker.js and its one reply to `onResult`. A worker that fails to load, throws
+// or sends back something unreadable is stopped all the same and `onError` told why
+function runNBodyWorker(request, onResult, onError) {
+    const worker = new Worker(new URL('./generators/nbodyWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = event => {
+        worker.terminate();
+        onResult(event.data);
+    };
+    worker.onerror = event => {
+        event.preventDefault();
+        worker.terminate();
+        onError(event.message || 'the worker could not be loaded');
+    };
+    worker.onmessageerror = () => {
+        worker.terminate();
+        onError('the worker\'s reply could not be read');
+    };
+    worker.postMessage(request);
+    return worker;
+}
+
+function setupSimulationClock() {
+    const pauseButton = document.getElementById('pauseTime');
+
+    pauseButton.addEventListener('click', () => {
+        setClockPaused(simulationClock, !simulationClock.paused);
+        pauseButton.textContent = simulationClock.paused ? 'Play' : 'Pause';
+    });
+    document.getElementById('reverseTime').addEventListener('click', () => reverseClock(simulationClock));
+    document.getElementById('slowerTime').addEventListener('click', () => changeTimeScale(simulationClock, -1));
+    document.getElementById('fasterTime').addEventListener('click', () => changeTimeScale(simulationClock, 1));
+    document.getElementById('jumpToDate').addEventListener('click', () => {
+        const day = parseFloat(document.getElementById('jumpDateInput').value);
+        if (!isNaN(day)) {
+            jumpClock(simulationClock, day);
+        }
+    });
+}
+
+// The clock's date in Earth years and days, and in the focused planet's own years and solar days
+function displaySimulationDate(time) {
+    const dateDiv = document.getElementById('simulationDate');
+    if (!dateDiv) {
+        return;
+    }
+    const earthDate = calendarDate(time, DAYS_PER_YEAR, 24);
+    let text = `${describeTimeScale(simulationClock)} • Earth: Year ${earthDate.year}, Day ${earthDate.day} (${time.toFixed(2)} days since epoch)`;
+
+    const planet = currentTargetIndex > 0 ? universeData.solarSystem[currentTargetIndex - 1] : null;
+    if (planet && planet.orbitalPeriod) {
+        const localDate = calendarDate(time, planet.orbitalPeriod, calculateDayLength(planet));
+        text += ` • ${planet.name || `Planet ${currentTargetIndex}`}: Year ${localDate.year}, Day ${localDate.day} (${localDate.days.toFixed(2)} local days since epoch)`;
+    }
+    dateDiv.textContent = text;
+}
+
 function formatAtmosphere(atmosphere) {
     return atmosphere.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
 }
 
 function displaySolarSystemProperties() {
     const solarSystemPropertiesDiv = document.getElementById('solarSystemProperties');
-    let htmlContent = '<h3 class="solar-system-title">Solar System Planets</h3>';
+    let htmlContent = `<h3 class="solar-system-title">${universeData.systemName || 'Solar'} System Planets</h3>`;
+    htmlContent += `<div class="planet-detail">Seed: ${universeData.seed}</div>`;
+    htmlContent += formatStability(universeData.stability);
 
     universeData.solarSystem.forEach((planet, index) => {
         const moonsCount = typeof planet.moons === 'number' ? planet.moons : 'N/A';
         const atmosphereFormatted = planet.atmosphere ? formatAtmosphere(planet.atmosphere) : 'N/A';
-        const rotationPeriodHours = rotationSpeedToEarthHours(planet.rotationSpeed).toFixed(2);
-        const orbitalPeriodDays = orbitalSpeedToEarthDays(planet.orbitalSpeed, planet.orbitRadius).toFixed(2);
-        const localDaysPerOrbitValue = localDaysPerOrbit(planet.rotationSpeed, planet.orbitalSpeed, planet.orbitRadius).toFixed(2);
+        const rotationPeriodHours = calculateSiderealDay(planet).toFixed(2);
+        const solarDayHours = calculateDayLength(planet).toFixed(2);
+        const orbitalPeriodDays = planet.orbitalPeriod.toFixed(2);
+        const localDaysPerOrbitValue = localDaysPerOrbit(planet).toFixed(2);
 
         const planetDetails = `
             <div class="planet-details-container">
-                <strong>Planet ${index + 1}</strong>
+                <strong>${planet.name || `Planet ${index + 1}`}</strong>
                 <div class="planet-detail">Type: ${planet.type}</div>
-                <div class="planet-detail">Orbit Radius: ${planet.orbitRadius.toFixed(2)} AU</div>
+                <div class="planet-detail">Semi-major Axis: ${planet.orbitRadius.toFixed(2)} AU (${formatOrbitRange(planetOrbit(planet))})</div>
                 <div class="planet-detail">Size: ${planet.radius.toFixed(2)}</div>
                 <div class="planet-detail">Atmosphere: ${atmosphereFormatted}</div>
                 <div class="planet-detail">Moons: ${moonsCount}</div>
-                <div class="planet-detail">Sidereal Day: ${rotationPeriodHours} hours</div>
-                <div class="planet-detail">Sidereal Year: ${localDaysPerOrbitValue} Sidereal Days (${orbitalPeriodDays} Earth Days)</div>
+                <div class="planet-detail">Sidereal Day: ${rotationPeriodHours} hours, Solar Day: ${solarDayHours} hours</div>
+                <div class="planet-detail">Sidereal Year: ${orbitalPeriodDays} Earth Days (${localDaysPerOrbitValue} Solar Days)</div>
             </div>
             <hr class="planet-separator">`;
         htmlContent += planetDetails;
@@ -887,6 +1247,16 @@ function displaySolarSystemProperties() {
     solarSystemPropertiesDiv.innerHTML = htmlContent;
 }
 
+function isPlanetInHabitableZone(planet) {
+    return planet.orbitRadius >= universeData.parentStar.habitableZone.innerBoundary && planet.orbitRadius <= universeData.parentStar.habitableZone.outerBoundary;
+}
+
+function isPlanetHospitable(planet) {
+    const isAtmosphereHospitable = planet.atmosphere === 'nitrogen_type_III';
+    const isTemperatureHospitable = planet.surfaceTemperature >= -80 && planet.surfaceTemperature <= 80;
+    return isPlanetInHabitableZone(planet) && isAtmosphereHospitable && isTemperatureHospitable;
+}
+
 async function displayHabitablePlanetDetails(index) {
     const habitablePlanetDiv = document.getElementById('habitablePlanetDetails');
 
@@ -903,17 +1273,14 @@ async function displayHabitablePlanetDetails(index) {
 
     const planet = universeData.solarSystem[index];
     const atmosphereFormatted = planet.atmosphere ? formatAtmosphere(planet.atmosphere) : 'N/A';
-    const planetName = generatePlanetName(index + 1); 
-    const rotationPeriodHours = rotationSpeedToEarthHours(planet.rotationSpeed).toFixed(2);
-    const orbitalPeriodDays = orbitalSpeedToEarthDays(planet.orbitalSpeed, planet.orbitRadius).toFixed(2);
-    const localDaysPerOrbitValue = localDaysPerOrbit(planet.rotationSpeed, planet.orbitalSpeed, planet.orbitRadius).toFixed(2);
-    const isInHabitableZone = planet.orbitRadius >= universeData.parentStar.habitableZone.innerBoundary && planet.orbitRadius <= universeData.parentStar.habitableZone.outerBoundary;
-    const habitableZoneStatus = isInHabitableZone ? "Yes" : "No";
-    const isAtmosphereHospitable = planet.atmosphere === 'nitrogen_type_III';
-    const surfaceTemperature = planet.surfaceTemperature; 
-    const isTemperatureHospitable = surfaceTemperature >= -80 && surfaceTemperature <= 80;
-    const isHospitable = isInHabitableZone && isAtmosphereHospitable && isTemperatureHospitable;
-    const hospitableStatus = isHospitable ? "Yes" : "No";
+    const planetName = planet.name || `Planet ${index + 1}`;
+    const rotationPeriodHours = calculateSiderealDay(planet).toFixed(2);
+    const solarDayHours = calculateDayLength(planet).toFixed(2);
+    const orbitalPeriodDays = planet.orbitalPeriod.toFixed(2);
+    const localDaysPerOrbitValue = localDaysPerOrbit(planet).toFixed(2);
+    const neighbourSynodicPeriods = formatSynodicPeriods(planet);
+    const habitableZoneStatus = isPlanetInHabitableZone(planet) ? "Yes" : "No";
+    const hospitableStatus = isPlanetHospitable(planet) ? "Yes" : "No";
 
 
     let elementDetails = `
@@ -931,17 +1298,21 @@ async function displayHabitablePlanetDetails(index) {
     const planetDetailsContent = `
         <div class="planet-details-header">Planet Details</div>
         <div class="planet-details-grid">
-            <span>Name: ${planetName}</span>
+            <span>Name: ${planetName}${planet.designation && planet.designation !== planetName ? ` (${planet.designation})` : ''}</span>
             <span>Type: ${planet.type}</span>
-            <span>Orbit Radius: ${planet.orbitRadius.toFixed(2)} AU</span>
+            <span>Semi-major Axis: ${planet.orbitRadius.toFixed(2)} AU</span>
+            <span>Periapsis / Apoapsis: ${formatOrbitRange(planetOrbit(planet))}</span>
+            <span>Eccentricity: ${planetOrbit(planet).eccentricity.toFixed(3)}</span>
+            <span>Inclination: ${planetOrbit(planet).inclination.toFixed(2)}°</span>
             <span>Size: ${planet.radius.toFixed(2)}</span>
-            <span>Moons: ${planet.moons || 'N/A'}</span>
+            <span>Moons: ${planet.moonNames && planet.moonNames.length ? planet.moonNames.join(', ') : 'N/A'}</span>
             <span>Axial Tilt: ${planet.axialTilt.toFixed(2)}°</span>
 
             <span>Atmosphere: ${atmosphereFormatted}</span>
             <span>Surface Temperature: ${planet.surfaceTemperature.toFixed(2)}°C</span>
-            <span>Day: ${rotationPeriodHours} hours</span>
-            <span>Year: ${localDaysPerOrbitValue} days (${orbitalPeriodDays} Earth days)</span>
+            <span>Day: ${rotationPeriodHours} hours sidereal, ${solarDayHours} hours solar</span>
+            <span>Year: ${orbitalPeriodDays} Earth days (${localDaysPerOrbitValue} solar days)</span>
+            <span>Synodic Period: ${neighbourSynodicPeriods}</span>
             <span>In Habitable Zone: ${habitableZoneStatus}</span>
             <span>Hospitable: ${hospitableStatus}</span>
 
@@ -971,6 +1342,8 @@ const interiorCompositionHtml = `
         <li>Core: ${geologicalData.core.size.toLocaleString()} M thick, Volume: ${geologicalData.core.volume.toLocaleString()} m&sup3;</li>
         <li>Mantle: ${geologicalData.mantle.thickness.toLocaleString()} M thick, Volume: ${geologicalData.mantle.volume.toLocaleString()} m&sup3;</li>
         <li>Crust: ${geologicalData.crust.thickness.toLocaleString()} M thick, Volume: ${geologicalData.crust.volume.toLocaleString()} m&sup3;</li>
+        <li>Core State: ${geologicalData.core.state}</li>
+        ${formatTectonics(geologicalData.tectonics)}
     </ul>
 </div>
 `;
@@ -986,8 +1359,30 @@ let rightColumnContent = `
 <div class="right-column">
     <h3 class="section-header">Atmosphere Composition</h3>
     ${atmosphereCompositionContent}
+    <h3 class="section-header">Atmospheric Physics</h3>
+    ${formatAtmospherePhysics(planet.atmospherePhysics, planet.type)}
+    <h3 class="section-header">Atmospheric History</h3>
+    ${formatAtmosphereHistory(planet.atmosphereEvolution)}
+    <h3 class="section-header">Radiative Balance</h3>
+    ${formatTemperatures(planet.temperatures)}
+    <h3 class="section-header">Climate</h3>
+    ${formatClimate(planet.climate)}
+    <h3 class="section-header">Oceans</h3>
+    ${formatOceans(planet.oceans)}
+    <h3 class="section-header">Rivers & Lakes</h3>
+    ${formatRivers(planet.surface)}
+    <h3 class="section-header">Biomes</h3>
+    ${formatBiomes(planet.surface)}
+    <h3 class="section-header">Flora</h3>
+    ${formatFlora(planet.flora)}
+    <h3 class="section-header">Fauna</h3>
+    ${formatFauna(planet.fauna)}
+    <h3 class="section-header">Civilizations</h3>
+    ${formatCulture(planet.culture)}
     <h3 class="section-header">Interior Composition</h3>
     ${interiorCompositionHtml}
+    <h3 class="section-header">Minerals & Ore Deposits</h3>
+    ${formatMinerals(planet.minerals)}
 </div>`;
 
 habitablePlanetDiv.innerHTML = `${leftColumnContent}${rightColumnContent}`;
@@ -995,6 +1390,347 @@ habitablePlanetDiv.innerHTML = `${leftColumnContent}${rightColumnContent}`;
 
 }
 
+function formatAtmospherePhysics(physics, planetType) {
+    if (!physics) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    const isGiant = planetType === 'Gas Giant' || planetType === 'Ice Giant';
+    let gasesHtml = '';
+    physics.gases.forEach(gas => {
+        gasesHtml += `<li>${gas.gas}: ${formatPressure(gas.partialPressure)}, Jeans parameter ${gas.jeansParameter.toFixed(1)} (${gas.escape})</li>`;
+    });
+
+    return `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li>Mass: ${physics.mass.toFixed(2)} Earth masses, Gravity: ${physics.gravity.toFixed(2)} g, Escape Velocity: ${physics.escapeVelocity.toFixed(1)} km/s</li>
+            <li>Surface Pressure: ${formatPressure(physics.surfacePressure)}${isGiant ? ' (1 bar reference level)' : ''}</li>
+            <li>Surface Density: ${physics.surfaceDensity.toPrecision(3)} kg/m&sup3; (${physics.relativeDensity.toPrecision(2)}× Earth)</li>
+            <li>Mean Molecular Weight: ${physics.meanMolecularWeight.toFixed(1)} g/mol, Scale Height: ${physics.scaleHeight.toFixed(1)} km</li>
+            <li>Exobase Temperature: ${physics.exobaseTemperature.toFixed(0)} K, Atmospheric Escape: ${physics.escapeLikelihood}</li>
+            ${gasesHtml}
+        </ul>
+    </div>`;
+}
+
+function formatAtmosphereHistory(evolution) {
+    if (!evolution || evolution.timeline.length === 0) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    // A handful of snapshots is enough to tell the story; the last is today
+    const timeline = evolution.timeline;
+    const stride = Math.ceil(timeline.length / ATMOSPHERE_HISTORY_ENTRIES);
+    const snapshots = timeline.filter((entry, index) => (timeline.length - 1 - index) % stride === 0);
+    let entriesHtml = '';
+    snapshots.forEach(entry => {
+        const notes = [entry.magneticField ? 'magnetic field' : 'no magnetic field', entry.oceans ? 'oceans' : 'no oceans'];
+        entriesHtml += `<li>${formatAge(entry.age)}: ${formatAtmosphere(entry.atmosphere)}, ${formatPressure(entry.surfacePressure)}, ${entry.surfaceTemperature.toFixed(0)}°C (star at ${(entry.luminosity / universeData.parentStar.luminosity * 100).toFixed(0)}% of today's output; outgassing ${entry.outgassing.toPrecision(2)} bar/Gyr, stripping ${entry.stripping.toPrecision(2)} bar/Gyr; ${notes.join(', ')})</li>`;
+    });
+
+    return `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li>Formed with: ${formatAtmosphere(evolution.primordialAtmosphere)}${evolution.oceansLost ? ', oceans lost to a runaway greenhouse' : ''}</li>
+            ${entriesHtml}
+        </ul>
+    </div>`;
+}
+
+function formatAge(gigayears) {
+    return gigayears >= 1 ? `${gigayears.toFixed(2)} Gyr` : `${(gigayears * 1000).toFixed(0)} Myr`;
+}
+
+function formatTemperatures(temperatures) {
+    if (!temperatures) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    return `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li>Bond Albedo: ${temperatures.albedo.toFixed(2)}, Equilibrium Temperature: ${temperatures.equilibriumTemperature.toFixed(1)}°C</li>
+            <li>Infrared Optical Depth: ${temperatures.opticalDepth.toPrecision(3)}, Greenhouse Warming: ${(temperatures.surfaceTemperature - temperatures.equilibriumTemperature).toFixed(1)}°C</li>
+            <li>Water Vapour: ${formatPressure(temperatures.waterVapourPressure)}${temperatures.runawayGreenhouse ? ' (runaway greenhouse)' : ''}</li>
+            <li>Day Side: ${temperatures.dayTemperature.toFixed(1)}°C, Night Side: ${temperatures.nightTemperature.toFixed(1)}°C</li>
+            <li>Equator: ${temperatures.equatorTemperature.toFixed(1)}°C, Poles: ${temperatures.poleTemperature.toFixed(1)}°C</li>
+        </ul>
+    </div>`;
+}
+
+// Earth days between the planet's lineups with its neighbours, as seen from the star
+function formatSynodicPeriods(planet) {
+    const index = universeData.solarSystem.indexOf(planet);
+    const neighbours = [universeData.solarSystem[index - 1], universeData.solarSystem[index + 1]].filter(Boolean);
+    if (neighbours.length === 0) {
+        return 'N/A';
+    }
+    return neighbours.map(neighbour => `${calculateSynodicPeriod(planet.orbitalPeriod, neighbour.orbitalPeriod).toFixed(1)} days with ${neighbour.name || `Planet ${universeData.solarSystem.indexOf(neighbour) + 1}`}`).join(', ');
+}
+
+function formatStability(stability) {
+    if (!stability) {
+        return '';
+    }
+    const planetName = index => universeData.solarSystem[index].name || `Planet ${index + 1}`;
+    // The integration covers only the years it ran; the spacing estimate reaches further but is a rough
+    // guide for eccentric, unequal planets, so the two are shown apart
+    const integrated = stability.stable === null ? 'not integrated' : `${stability.stable ? 'stable' : 'unstable'} over the ${formatDuration(stability.integratedYears)} integrated`;
+    const estimate = stability.spacingEstimate;
+    const extrapolated = `${estimate.stable ? 'stable over' : 'unstable within'} ${formatDuration(estimate.horizonYears)}, estimated lifetime ${formatDuration(estimate.lifetimeYears)}`;
+
+    let itemsHtml = '';
+    stability.events.forEach(event => {
+        itemsHtml += `<li>${event.type}: ${event.planets.map(planetName).join(' and ')} after ${formatDuration(event.years)}</li>`;
+    });
+    stability.pairs.filter(pair => !pair.hillStable).forEach(pair => {
+        itemsHtml += `<li>Too close: ${pair.planets.map(planetName).join(' and ')}, ${pair.hillSpacing.toFixed(1)} mutual Hill radii apart${pair.crossing ? ', orbits cross' : ''}</li>`;
+    });
+    stability.resonances.forEach(resonance => {
+        itemsHtml += `<li>${resonance.ratio} resonance: ${resonance.planets.map(planetName).join(' and ')} (period ratio ${resonance.periodRatio.toFixed(3)}, ${resonance.librating === null ? 'libration not checked' : (resonance.librating ? 'librating' : 'circulating')})</li>`;
+    });
+
+    return `
+        <div class="planet-detail">Orbital Stability (N-body): ${integrated}</div>
+        <div class="planet-detail">Orbital Stability (Hill spacing estimate): ${extrapolated}</div>
+        ${itemsHtml ? `<ul class="interior-composition-list">${itemsHtml}</ul>` : ''}`;
+}
+
+function formatDuration(years) {
+    if (!isFinite(years)) {
+        return 'unlimited';
+    } else if (years >= 1e12) {
+        return 'over 1000 Gyr';
+    } else if (years >= 1e6) {
+        return formatAge(years / 1e9);
+    } else if (years >= 1e3) {
+        return `${(years / 1e3).toFixed(1)} kyr`;
+    }
+    return `${years.toFixed(1)} years`;
+}
+
+// Closest and farthest approach to the star
+function formatOrbitRange(orbit) {
+    return `${periapsisDistance(orbit).toFixed(2)}–${apoapsisDistance(orbit).toFixed(2)} AU`;
+}
+
+function formatPressure(bar) {
+    if (bar >= 0.1) {
+        return `${bar.toFixed(2)} bar`;
+    } else if (bar >= 1e-4) {
+        return `${(bar * 1000).toFixed(2)} mbar`;
+    }
+    return `${(bar * 1e5).toExponential(1)} Pa`;
+}
+
+function formatClimate(climate) {
+    if (!climate) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    const { hadley, ferrel, polar } = climate.cells;
+    const northernBands = climate.bands.filter(band => band.latitude > 0);
+    let bandsHtml = '';
+    northernBands.filter((band, i) => i % 2 === 0).forEach(band => {
+        bandsHtml += `<li>${band.latitude}°: ${band.temperature.toFixed(1)}°C (${band.minTemperature.toFixed(0)} to ${band.maxTemperature.toFixed(0)}°C), ${band.precipitation.toFixed(0)} mm/yr, ${band.cell} cell, ${band.wind} winds</li>`;
+    });
+
+    return `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li>Circulation: ${hadley} Hadley, ${ferrel} Ferrel, ${polar} Polar cell(s) per hemisphere</li>
+            <li>Mean Temperature: ${climate.globalTemperature.toFixed(1)}°C (Equator ${climate.equatorTemperature.toFixed(1)}°C, Poles ${climate.poleTemperature.toFixed(1)}°C)</li>
+            ${bandsHtml}
+        </ul>
+    </div>`;
+}
+
+function formatOceans(oceans) {
+    if (!oceans) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    const iceCaps = oceans.iceCaps
+        ? `Poleward of ${oceans.iceCaps.latitude}° (${(oceans.iceCaps.fraction * 100).toFixed(1)}% of surface)`
+        : 'None';
+
+    return `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li>Water Budget: ${oceans.waterBudget.toFixed(2)} Earth oceans</li>
+            <li>Ocean Coverage: ${(oceans.coverage * 100).toFixed(1)}%</li>
+            <li>Average Depth: ${oceans.averageDepth.toFixed(0)} m</li>
+            <li>Salinity: ${oceans.salinityClass} (${oceans.salinity.toFixed(1)}‰)</li>
+            <li>Ice Caps: ${iceCaps}</li>
+        </ul>
+    </div>`;
+}
+
+function formatRivers(surface) {
+    if (!surface || !surface.rivers) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    const { rivers, lakes, basins } = surface.rivers;
+    const longest = rivers.reduce((best, river) => river.length > best ? river.length : best, 0);
+    const largest = rivers.length > 0 ? rivers[0].discharge : 0;
+    const endorheicLakes = lakes.filter(lake => lake.endorheic).length;
+    const closedBasins = basins.filter(basin => basin.terminus !== 'ocean').length;
+
+    return `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li>Rivers: ${rivers.length}</li>
+            <li>Longest River Reach: ${longest.toFixed(0)} km</li>
+            <li>Largest Discharge: ${largest.toFixed(0)} m³/s${rivers.length > 0 && rivers[0].name ? ` (${rivers[0].name})` : ''}</li>
+            <li>Lakes: ${lakes.length} (${endorheicLakes} salt)</li>
+            <li>Drainage Basins: ${basins.length} (${closedBasins} closed)</li>
+        </ul>
+    </div>
+    <div class="composition-container">
+        ${rivers.filter(river => river.name).slice(0, 5).map(river => `<div class="composition-item">${river.name}: ${river.length.toFixed(0)} km, ${river.discharge.toFixed(0)} m³/s</div>`).join('')}
+    </div>`;
+}
+
+function formatBiomes(surface) {
+    if (!surface) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    let biomesContent = '<div class="composition-container">';
+    Object.entries(surface.biomes.coverage)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 8)
+        .forEach(([biome, fraction]) => {
+            biomesContent += `<div class="composition-item">${BIOMES[biome].name}: ${(fraction * 100).toFixed(1)}%</div>`;
+        });
+    biomesContent += '</div>';
+    return biomesContent;
+}
+
+function formatMinerals(minerals) {
+    if (!minerals) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    let mineralsContent = '<div class="interior-composition-container"><ul class="interior-composition-list">';
+    Object.entries(minerals.assemblages).forEach(([layer, assemblage]) => {
+        const listed = assemblage.minerals
+            .slice(0, 4)
+            .map(mineral => `${mineral.name} (${mineral.formula}) ${mineral.percent.toFixed(1)}%`)
+            .join(', ');
+        mineralsContent += `<li>${layer.charAt(0).toUpperCase() + layer.slice(1)}: ${listed}</li>`;
+    });
+    mineralsContent += '</ul></div>';
+
+    if (minerals.deposits.length === 0) {
+        return `${mineralsContent}<div class="composition-item">Ore Deposits: None</div>`;
+    }
+
+    mineralsContent += '<div class="composition-container">';
+    minerals.deposits.forEach(deposit => {
+        const location = `${Math.abs(deposit.lat).toFixed(1)}°${deposit.lat >= 0 ? 'N' : 'S'} ${Math.abs(deposit.lon).toFixed(1)}°${deposit.lon >= 0 ? 'E' : 'W'}`;
+        const grade = deposit.unit === '%' ? deposit.grade.toFixed(2) : deposit.grade.toFixed(1);
+        mineralsContent += `<div class="composition-item">${deposit.name}: ${deposit.tonnage.toFixed(0)} Mt @ ${grade} ${deposit.unit} ${deposit.commodity}, ${location}${deposit.offshore ? ' (offshore)' : ''}</div>`;
+    });
+    mineralsContent += '</div>';
+    return mineralsContent;
+}
+
+function formatFlora(flora) {
+    if (!flora) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    const [r, g, b] = flora.pigment.color;
+    let floraContent = `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li>Pigment: <span style="display:inline-block;width:0.8em;height:0.8em;background:rgb(${r}, ${g}, ${b})"></span> ${flora.pigment.name}</li>
+            <li>Photosynthesis: ${flora.photosynthesis}</li>
+            <li>Vegetated Land: ${(flora.vegetatedFraction * 100).toFixed(1)}% of surface</li>
+            <li>Biomass: ${flora.totalBiomass.toFixed(0)} Gt (${flora.totalProductivity.toFixed(0)} Gt/year)</li>
+        </ul>
+    </div>
+    <div class="composition-container">`;
+    flora.ecosystems.slice(0, 6).forEach(ecosystem => {
+        floraContent += `<div class="composition-item">${ecosystem.name}: ${ecosystem.growthForm}, ${ecosystem.biomassDensity.toFixed(1)} kg/m², ${ecosystem.canopyHeight.toFixed(1)} m tall (${ecosystem.traits.join(', ')})</div>`;
+    });
+    floraContent += '</div>';
+    return floraContent;
+}
+
+function formatFauna(fauna) {
+    if (!fauna) {
+        return '<div class="composition-item">N/A</div>';
+    }
+
+    const animals = fauna.species.filter(organism => organism.trophicLevel !== 'producer');
+    let faunaContent = `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li>Species Catalogued: ${fauna.species.length} (${animals.length} animals)</li>
+            <li>Food Web Links: ${fauna.foodWeb.length}</li>
+            <li>Flight: ${fauna.flight.length ? fauna.flight.join(', ') : 'none'}</li>
+        </ul>
+    </div>
+    <div class="composition-container">`;
+    animals.slice(0, 12).forEach(organism => {
+        faunaContent += `<div class="composition-item">${organism.commonName} (<i>${organism.name}</i>): ${organism.trophicLevel}, ${organism.bodyPlan}, ${organism.locomotion}, ${formatBodyMass(organism.bodyMass)}</div>`;
+    });
+    faunaContent += '</div>';
+    return faunaContent;
+}
+
+function formatCulture(culture) {
+    if (!culture) {
+        return '<div class="composition-item">None</div>';
+    }
+
+    let cultureContent = '';
+    culture.civilizations.forEach(civilization => {
+        const [r, g, b] = civilization.color;
+        const capital = civilization.centres[0];
+        cultureContent += `
+    <div class="interior-composition-container">
+        <ul class="interior-composition-list">
+            <li><span style="display:inline-block;width:0.8em;height:0.8em;background:rgb(${r}, ${g}, ${b})"></span> ${civilization.name}: ${civilization.techName} ${civilization.government}</li>
+            <li>Population: ${civilization.population.toLocaleString()} (${(civilization.territoryFraction * 100).toFixed(1)}% of surface)</li>
+            <li>Capital: ${capital.name} (${capital.lat.toFixed(1)}°, ${capital.lon.toFixed(1)}°)</li>
+            <li>Language Seed: ${civilization.languageSeed}</li>
+        </ul>
+    </div>
+    <div class="composition-container">`;
+        civilization.centres.slice(1).forEach(centre => {
+            cultureContent += `<div class="composition-item">${centre.name}: ${centre.population.toLocaleString()}${centre.coastal ? ', port' : ''}${centre.river ? ', river' : ''}</div>`;
+        });
+        cultureContent += '</div>';
+    });
+    return cultureContent;
+}
+
+function formatBodyMass(mass) {
+    if (mass < 0.001) {
+        return `${(mass * 1e6).toFixed(0)} mg`;
+    } else if (mass < 1) {
+        return `${(mass * 1000).toFixed(0)} g`;
+    }
+    return `${mass.toFixed(mass < 10 ? 1 : 0)} kg`;
+}
+
+function formatTectonics(tectonics) {
+    if (!tectonics || tectonics.plates.length === 0) {
+        return '<li>Tectonics: None</li>';
+    }
+
+    const boundaryCounts = summarizeTectonics(tectonics);
+    return `
+        <li>Tectonic Activity: ${tectonics.activityLevel} (${tectonics.regime})</li>
+        <li>Plates: ${tectonics.plates.length}</li>
+        <li>Boundaries: ${boundaryCounts.convergent} convergent, ${boundaryCounts.divergent} divergent, ${boundaryCounts.transform} transform</li>`;
+}
+
 function plotElementProbabilityGraph(planetComposition) {
     const elementSymbols = Object.keys(planetComposition);
     const masses = elementSymbols.map(symbol => planetComposition[symbol]);
@@ -1060,21 +1796,40 @@ const chart = new Chart(ctx, {
 
 }
 
-function generateSystemName() {
-    const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    let name = 'P'; // Start with 'P' 
-    for (let i = 0; i < 3; i++) {
-        name += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    name += '-';
-    for (let i = 0; i < 3; i++) {
-        name += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    universeData.systemName = name;
-}
+// Names come from the system seed alone, so they survive export and import unchanged. Without a
+// seed, or when a name is already taken in the system, a body keeps its catalogue designation.
+function assignNames() {
+    const seed = universeData.seed;
+    const star = universeData.parentStar;
+    universeData.phonology = seed !== undefined && seed !== null ? createPhonology(seed) : null;
+    const taken = new Set();
+    // Names follow the seeded path; designations follow the planets' order outward from the star
+    const nameBody = (body, path, cataloguePath = path) => {
+        body.designation = catalogueDesignation(seed, cataloguePath);
+        if (!body.name) {
+            const name = universeData.phonology ? nameForPath(universeData.phonology, path) : null;
+            body.name = name && !taken.has(name) ? name : body.designation;
+        }
+        taken.add(body.name);
+    };
 
-function generatePlanetName(planetIndex) {
-    return `${universeData.systemName}/${planetIndex}`;
+    nameBody(star, 'star');
+    universeData.systemName = star.name;
+    universeData.solarSystem.forEach((planet, index) => {
+        const path = planetPath(planet, index);
+        const cataloguePath = `star/planet ${index + 1}`;
+        nameBody(planet, path, cataloguePath);
+        const moonCount = typeof planet.moons === 'number' ? planet.moons : 0;
+        planet.moonNames = Array.from({ length: moonCount }, (_, i) => {
+            if (planet.moonNames && planet.moonNames[i]) {
+                taken.add(planet.moonNames[i]);
+                return planet.moonNames[i];
+            }
+            const moon = {};
+            nameBody(moon, `${path}/moon ${i + 1}`, `${cataloguePath}/moon ${i + 1}`);
+            return moon.name;
+        });
+    });
 }
 
 function formatElementName(element) {
@@ -1123,7 +1878,8 @@ function desaturateColor(color, factor) {
 function applyVisualTemperatureVariance(baseTemperature) {
     const variancePercentage = 0.05; 
     const varianceAmount = baseTemperature * variancePercentage;
-    const variedTemperature = baseTemperature + (Math.random() * 2 - 1) * varianceAmount;
+    // Same sub-seed on every call, so the star light and the star mesh share one tint
+    const variedTemperature = baseTemperature + withRandomPath('star/tint', () => random() * 2 - 1) * varianceAmount;
     return variedTemperature;
 }
 
@@ -1160,41 +1916,6 @@ function interpolateColors(color1, color2, factor) {
     return result;
 }
 
-function getAtmosphereColor(composition) {
-    const baseColors = {
-        'trace': '#E0E0E0',
-        'carbon_dioxide_type_I': '#E57373',
-        'carbon_dioxide_type_II': '#B71C1C',
-        'hydrogen_helium_type_I': '#FFF59D',
-        'hydrogen_helium_type_II': '#FFCC80',
-        'hydrogen_helium_type_III': '#FFE0B2',
-        'ice_type_I': '#B2EBF2',
-        'ice_type_II': '#64B5F6',
-        'nitrogen_type_I': '#81D4FA',
-        'nitrogen_type_II': '#42A5F5',
-        'nitrogen_type_III': '#4FC3F7',
-        'carbon_type_I': '#CE93D8',
-        'ammonia_type_I': '#AED581',
-        'unknown': '#add8e6'
-    };
-
-    function applyRandomVariation(color) {
-        let rgb = parseInt(color.substring(1), 16);
-        let r = (rgb >> 16) & 0xFF;
-        let g = (rgb >> 8) & 0xFF;
-        let b = rgb & 0xFF;
-        r = Math.min(255, Math.max(0, r + Math.floor(Math.random() * 11) - 5));
-        g = Math.min(255, Math.max(0, g + Math.floor(Math.random() * 11) - 5));
-        b = Math.min(255, Math.max(0, b + Math.floor(Math.random() * 11) - 5));
-        return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
-    }
-    if (baseColors[composition]) {
-        return applyRandomVariation(baseColors[composition]);
-    } else {
-        return applyRandomVariation(baseColors['unknown']);
-    }
-}
-
 function calculateAtmosphereScale(planetRadius) {
   const baseScale = 1.025; 
   const scaleRate = 0.01;
@@ -1204,69 +1925,45 @@ function calculateAtmosphereScale(planetRadius) {
 
 }
 
-function createAtmosphere(planetRadius, composition, planetType) {
-  const atmosphereScaleFactor = calculateAtmosphereScale(planetRadius);
-  const atmosphereRadius = planetRadius * atmosphereScaleFactor;
-  const geometry = new THREE.SphereGeometry(atmosphereRadius, 32, 32);
-  const color = getAtmosphereColor(composition);
-  const planetColor = getColorForPlanetType(planetType);
+// Rayleigh and Mie single scattering, ray-marched through the shell for every pixel it covers
+function createAtmosphere(planetData) {
+    const atmosphereRadius = planetData.radius * calculateAtmosphereScale(planetData.radius);
+    const geometry = new THREE.SphereGeometry(atmosphereRadius, 64, 64);
     const material = new THREE.ShaderMaterial({
-        uniforms: {
-            atmosphereColor: { value: new THREE.Color(color) },
-            surfaceColor: { value: new THREE.Color(planetColor) },
-        },
-        vertexShader: /* glsl */`
-            varying vec3 vertexNormal;
-            void main() {
-                vertexNormal = normalize(normalMatrix * normal); // Normal in view space
-                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-            }
-        `,
-        fragmentShader: /* glsl */`
-            uniform vec3 atmosphereColor;
-            uniform vec3 surfaceColor;
-            varying vec3 vertexNormal;
-            void main() {
-                // Calculate intensity based on the angle to the view direction
-                float viewAngle = dot(vertexNormal, vec3(0, 0, 1));
-                float atmosphereEffect = smoothstep(0.0, 1.0, pow(1.0 - viewAngle, 2.0));
-                float intensity = pow(0.6 - dot(vertexNormal, vec3(0, 0, 1)), 2.0);
-  					gl_FragColor = vec4(atmosphereColor, intensity * 0.5); // reduce intensity for a subtler effect
-
-                // Mix the surface color and the atmosphere color based on the calculated effect
-                vec3 finalColor = mix(surfaceColor, atmosphereColor, atmosphereEffect);
-
-                // Output the final color with the alpha representing the atmosphere effect
-                gl_FragColor = vec4(finalColor, atmosphereEffect);
-            }
-        `,
-        side: THREE.BackSide,
-        blending: THREE.NormalBlending,
+        uniforms: Object.assign({
+            sunPosition: { value: starLight ? starLight.position.clone() : new THREE.Vector3() }
+        }, scatteringUniforms(planetData.scattering, planetData.radius, atmosphereRadius)),
+        vertexShader: scatteringVertexShader,
+        fragmentShader: scatteringFragmentShader,
+        // Front faces cover the whole disc, so the haze over the ground is drawn as well as the limb
+        side: THREE.FrontSide,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
         transparent: true
     });
 
     return new THREE.Mesh(geometry, material);
 }
 
-function createSegmentedRings(planetRadius, planetType, planetData) {
+function createSegmentedRings(planetRadius, palette, planetData) {
     const ringSegmentsGroup = new THREE.Group();
-    const numSegments = Math.floor(Math.random() * (20 - 5 + 1)) + 5;
+    const numSegments = Math.floor(random() * (20 - 5 + 1)) + 5;
     let currentOuterRadius = planetRadius * 1.2; 
 
     for (let i = 0; i < numSegments; i++) {
-        const segmentWidth = Math.random() * 0.2 + 0.05;
+        const segmentWidth = random() * 0.2 + 0.05;
         const innerRadius = currentOuterRadius;
         const outerRadius = innerRadius + segmentWidth;
 
-        const distanceVariance = Math.random() * 0.05 + 0.01; 
+        const distanceVariance = random() * 0.05 + 0.01; 
         currentOuterRadius += distanceVariance; 
 
         const ringGeometry = new THREE.RingGeometry(innerRadius, outerRadius, 64, 1);
         const ringMaterial = new THREE.MeshStandardMaterial({
-            color: ringColor(planetType), 
+            color: colorToHex(palette.ring[Math.floor(random() * palette.ring.length)]),
             side: THREE.DoubleSide,
             transparent: true,
-            opacity: 0.4 + Math.random() * 0.5 
+            opacity: 0.4 + random() * 0.5 
         });
 
         const ringMesh = new THREE.Mesh(ringGeometry, ringMaterial);
@@ -1290,80 +1987,46 @@ function createSegmentedRings(planetRadius, planetType, planetData) {
 
 function createMoonsForPlanet(planetMesh, planetData, planetIndex) {
     const moons = [];
-    const baseDistanceFromPlanet = planetData.radius * 10.0;
+    // Imported systems may arrive without moon orbits, and the ephemeris reads them off the planet
+    planetData.moonOrbits = planetData.moonOrbits || generateMoonOrbits(planetData, planetPath(planetData, planetIndex));
 
-    for (let i = 0; i < planetData.moons; i++) {
+    planetData.moonOrbits.forEach((moonOrbit, i) => {
+        const moonPath = `${planetPath(planetData, planetIndex)}/moon ${i + 1}`;
         const moonScaleFactor = Math.max(planetData.radius / 5, 0.05);
-        const moonRandomSize = Math.random();
-        const moonGeometry = new THREE.SphereGeometry(moonRandomSize * moonScaleFactor, 32, 32);
+        const moonGeometry = new THREE.SphereGeometry(moonOrbit.size * moonScaleFactor, 32, 32);
         const moonMaterial = new THREE.MeshStandardMaterial({ color: 0x888888 });
         const moonMesh = new THREE.Mesh(moonGeometry, moonMaterial);
 
         moonMesh.name = `moon${planetIndex}_${i}`;
-
-        const distanceIncrement = i * (planetData.radius * 0.2);
-        const distanceFromPlanetAdjusted = baseDistanceFromPlanet + distanceIncrement;
-        
-        const orbitalInclination = (Math.random() - 0.5) * Math.PI;
-        const orbitalPhase = Math.random() * Math.PI * 2; 
-
-        moonMesh.position.set(
-            Math.cos(orbitalPhase) * distanceFromPlanetAdjusted,
-            Math.sin(orbitalPhase) * Math.sin(orbitalInclination) * distanceFromPlanetAdjusted,
-            Math.sin(orbitalPhase) * Math.cos(orbitalInclination) * distanceFromPlanetAdjusted
-        );
-
-        moonMesh.userData.orbit = {
-            radius: distanceFromPlanetAdjusted,
-            inclination: orbitalInclination,
-            phase: orbitalPhase,
-            speed: 0.000005 
-        };
+        moonMesh.userData.path = moonPath;
+        moonMesh.userData.moonIndex = i; // Its entry in the planet's moons from evaluateSystemState
+        moonMesh.userData.displayName = planetData.moonNames ? planetData.moonNames[i] : undefined;
 
         planetMesh.add(moonMesh);
         moons.push(moonMesh);
-    }
+    });
     return moons;
 }
 
-function createNoiseTexture(size = 1024) {
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const context = canvas.getContext('2d');
-
-    const imageData = context.createImageData(size, size);
-
-    for (let i = 0; i < imageData.data.length; i += 4) {
-        // Generate random grayscale value
-        const val = Math.floor(Math.random() * 255);
-        imageData.data[i] = val;     // Red
-        imageData.data[i + 1] = val; // Green
-        imageData.data[i + 2] = val; // Blue
-        imageData.data[i + 3] = 255; // Alpha
-    }
-
-    context.putImageData(imageData, 0, 0);
-
-    return new THREE.CanvasTexture(canvas);
-}
-
 function createStarFieldTexture(size = 2048, stars = 10000) {
     const canvas = document.createElement('canvas');
     canvas.width = size;
     canvas.height = size;
     const context = canvas.getContext('2d');
 
+    // Own stream, so redrawing the backdrop never shifts the system's draws
+    const starFieldRandom = createRandom(getRandomSeed());
+
     // Fill the background with black
     context.fillStyle = 'black';
     context.fillRect(0, 0, size, size);
 
     // Draw stars
     for (let i = 0; i < stars; i++) {
-        const x = Math.random() * size;
-        const y = Math.random() * size;
-        const radius = Math.random() * 1.5; // Vary the size for a bit of variation
-        const alpha = 0.5 + Math.random() * 0.5; // Vary the opacity
+        const x = starFieldRandom() * size;
+        const y = starFieldRandom() * size;
+        const radius = starFieldRandom() * 1.5; // Vary the size for a bit of variation
+        const alpha = 0.5 + starFieldRandom() * 0.5; // Vary the opacity
 
         context.beginPath();
         context.arc(x, y, radius, 0, 2 * Math.PI);
@@ -1374,74 +2037,19 @@ function createStarFieldTexture(size = 2048, stars = 10000) {
     return new THREE.CanvasTexture(canvas);
 }
 
-function ringColor(planetType) {
-    let colorHex = 0xada9a1; 
-
-    switch (planetType) {
-        case 'Gas Giant':
-            colorHex = 0xd2b48c;
-            break;
-        case 'Ice Giant':
-            colorHex = 0xadd8e6; 
-            break;
-        default:
-    }
-
-    return new THREE.Color(colorHex);
-}
-
-const ROTATION_SPEED_SCALE = 0.001; 
-const ORBITAL_SPEED_SCALE = 0.000000048; 
 const LOCAL_DAY_SCALE = 1.00;
 
-function rotationSpeedToEarthHours(rotationSpeed) {
-    const rotationPeriodHours = (2 * Math.PI / Math.abs(rotationSpeed)) * ROTATION_SPEED_SCALE;
-    return rotationPeriodHours;
-}
-
-function orbitalSpeedToEarthDays(orbitalSpeed, orbitRadiusAU) {
-    const orbitalPeriodDays = (2 * Math.PI * orbitRadiusAU / orbitalSpeed) * ORBITAL_SPEED_SCALE;
-    return orbitalPeriodDays;
-}
-
-function localDaysPerOrbit(rotationSpeed, orbitalSpeed, orbitRadiusAU) {
-    const rotationPeriodHours = rotationSpeedToEarthHours(rotationSpeed);
-    const orbitalPeriodDays = orbitalSpeedToEarthDays(orbitalSpeed, orbitRadiusAU);
-    const rotationPeriodDays = rotationPeriodHours / 24;
-    const localDays = orbitalPeriodDays / rotationPeriodDays;
-    return localDays;
+// Sunrises in one trip round the star
+function localDaysPerOrbit(planet) {
+    return planet.orbitalPeriod * 24 / calculateDayLength(planet);
 }
 
 function displayTimeConversions(selectedPlanetIndex) {
     const planet = universeData.solarSystem[selectedPlanetIndex];
 
-    const rotationPeriodHours = rotationSpeedToEarthHours(planet.rotationSpeed);
-    const orbitalPeriodDays = orbitalSpeedToEarthDays(planet.orbitalSpeed, planet.orbitRadius);
-    const localDays = localDaysPerOrbit(planet.rotationSpeed, planet.orbitalSpeed, planet.orbitRadius);
-
-}
-
-function getRotationSpeed(orbitRadius, habitableZone, AU_TO_SCENE_SCALE, systemOuterEdge) {
-    let orbitRadiusAU = orbitRadius / AU_TO_SCENE_SCALE;
-    
-    let systemSizeAU = systemOuterEdge / AU_TO_SCENE_SCALE;
-    let distancePercentage = orbitRadiusAU / systemSizeAU;
-
-    let habitableZoneWidth = habitableZone.outerBoundary - habitableZone.innerBoundary;
-    let scalingFactor = 1 + (habitableZoneWidth / 2); 
-    
-    let randomFactor = Math.random() * scalingFactor;
-    
-    let baseRotationSpeed = 0.0001 + (distancePercentage * randomFactor * 0.0001);
-
-    let habCenterAU = (habitableZone.innerBoundary + habitableZone.outerBoundary) / 2;
-    let distanceFromCenter = Math.abs(orbitRadiusAU - habCenterAU) / habCenterAU;
-    let speedModifier = Math.max(0.5, 1 - distanceFromCenter); 
-    let finalRotationSpeed = baseRotationSpeed * speedModifier;
-    finalRotationSpeed = Math.max(0.00001, Math.min(finalRotationSpeed, 0.0005)); 
-
-    finalRotationSpeed *= Math.random() < 0.5 ? 1 : -1;
+    const rotationPeriodHours = calculateSiderealDay(planet);
+    const orbitalPeriodDays = planet.orbitalPeriod;
+    const localDays = localDaysPerOrbit(planet);
 
-    return finalRotationSpeed;
 }
 